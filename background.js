@@ -16,6 +16,29 @@ chrome.runtime.onStartup.addListener(() => {
     console.log('Browser started');
 });
 
+// The encrypted library's unlocked keys and decrypted prompt list live in chrome.storage.session until
+// the lock timeout. storageManager.js sets this alarm at the expiry; the popup may be closed by then,
+// so the session is cleared here. Keep the names in step with storageManager.js.
+const ENCRYPTION_LOCK_ALARM = 'encryption-auto-lock';
+const ENCRYPTION_SESSION_KEY = 'encryption_session';
+const PROMPT_LIST_CACHE_KEY = 'prompt_list_cache';
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== ENCRYPTION_LOCK_ALARM) return;
+    try {
+        const { [ENCRYPTION_SESSION_KEY]: session } = await chrome.storage.session.get([ENCRYPTION_SESSION_KEY]);
+        // An open popup extends the session and moves the alarm; only act once it has really expired
+        if (session && session.expiresAt > Date.now()) {
+            chrome.alarms.create(ENCRYPTION_LOCK_ALARM, { when: session.expiresAt });
+            return;
+        }
+        await chrome.storage.session.remove([ENCRYPTION_SESSION_KEY, PROMPT_LIST_CACHE_KEY]);
+        console.log('Encryption session expired; unlocked keys cleared.');
+    } catch (error) {
+        console.error('Failed to clear the expired encryption session:', error);
+    }
+});
+
 let pendingImageForCopy = null;
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -24,4 +24,9 @@ const logger = {
      * @param {...any} args - Arguments to log, similar to console.warn.
      */
     warn: (...args) => console.warn('[PromptManager]', ...args),
-};
\ No newline at end of file
+};
+
+// Node: require('./logger.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = logger;
+}
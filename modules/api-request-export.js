@@ -0,0 +1,134 @@
+// modules/api-request-export.js
+
+/**
+ * Turns a composed system prompt and user input into a ready-to-run chat request.
+ * - Providers: OpenAI Chat Completions and Anthropic Messages
+ * - Targets: request body JSON, a curl command, or a Python snippet using the official SDK
+ * - A pasted image is sent as a base64 image content block
+ * - API keys are never embedded; snippets read them from the environment
+ */
+
+export const API_PROVIDERS = Object.freeze({
+    openai: {
+        label: 'OpenAI',
+        endpoint: 'https://api.openai.com/v1/chat/completions',
+        model: 'gpt-4o',
+        apiKeyEnv: 'OPENAI_API_KEY'
+    },
+    anthropic: {
+        label: 'Anthropic',
+        endpoint: 'https://api.anthropic.com/v1/messages',
+        model: 'claude-3-5-sonnet-latest',
+        apiKeyEnv: 'ANTHROPIC_API_KEY',
+        version: '2023-06-01',
+        maxTokens: 1024
+    }
+});
+
+export const API_EXPORT_FORMATS = Object.freeze({
+    json: 'Request JSON',
+    curl: 'curl command',
+    python: 'Python snippet'
+});
+
+function buildOpenAIBody({ systemPrompt, userText, image }) {
+    let userContent = userText;
+    if (image) {
+        userContent = [];
+        if (userText) userContent.push({ type: 'text', text: userText });
+        userContent.push({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.base64Data}` } });
+    }
+    return {
+        model: API_PROVIDERS.openai.model,
+        messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userContent }
+        ]
+    };
+}
+
+function buildAnthropicBody({ systemPrompt, userText, image }) {
+    let userContent = userText;
+    if (image) {
+        userContent = [{ type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.base64Data } }];
+        if (userText) userContent.push({ type: 'text', text: userText });
+    }
+    return {
+        model: API_PROVIDERS.anthropic.model,
+        max_tokens: API_PROVIDERS.anthropic.maxTokens,
+        system: systemPrompt,
+        messages: [
+            { role: 'user', content: userContent }
+        ]
+    };
+}
+
+/**
+ * Builds the request body for a provider.
+ * @param {string} provider - Key of API_PROVIDERS.
+ * @param {object} parts
+ * @param {string} parts.systemPrompt - Fully composed system prompt.
+ * @param {string} parts.userText - Plain user text, may be empty when an image is given.
+ * @param {{mimeType: string, base64Data: string}|null} parts.image - Pasted image, if any.
+ * @returns {object}
+ */
+export function buildChatRequestBody(provider, parts) {
+    if (provider === 'openai') return buildOpenAIBody(parts);
+    if (provider === 'anthropic') return buildAnthropicBody(parts);
+    throw new Error(`Unknown API provider: ${provider}`);
+}
+
+function buildCurlCommand(provider, json) {
+    const config = API_PROVIDERS[provider];
+    const headers = provider === 'anthropic'
+        ? [`-H "x-api-key: $${config.apiKeyEnv}"`, `-H "anthropic-version: ${config.version}"`]
+        : [`-H "Authorization: Bearer $${config.apiKeyEnv}"`];
+    // A quoted heredoc passes the JSON through untouched, whatever quotes the prompt contains.
+    return [
+        `curl ${config.endpoint} \\`,
+        `  -H "Content-Type: application/json" \\`,
+        ...headers.map(h => `  ${h} \\`),
+        `  -d @- <<'JSON'`,
+        json,
+        'JSON'
+    ].join('\n');
+}
+
+function buildPythonSnippet(provider, json) {
+    // The body only holds strings, numbers, arrays and objects, so its JSON is also a valid Python literal.
+    if (provider === 'anthropic') {
+        return [
+            'import anthropic',
+            '',
+            `client = anthropic.Anthropic()  # reads ${API_PROVIDERS.anthropic.apiKeyEnv}`,
+            `request = ${json}`,
+            '',
+            'message = client.messages.create(**request)',
+            'print(message.content[0].text)'
+        ].join('\n');
+    }
+    return [
+        'from openai import OpenAI',
+        '',
+        `client = OpenAI()  # reads ${API_PROVIDERS.openai.apiKeyEnv}`,
+        `request = ${json}`,
+        '',
+        'response = client.chat.completions.create(**request)',
+        'print(response.choices[0].message.content)'
+    ].join('\n');
+}
+
+/**
+ * Renders a chat request for the chosen provider and target format.
+ * @param {string} provider - Key of API_PROVIDERS.
+ * @param {string} format - Key of API_EXPORT_FORMATS.
+ * @param {object} parts - See buildChatRequestBody().
+ * @returns {string}
+ */
+export function buildApiRequestExport(provider, format, parts) {
+    const json = JSON.stringify(buildChatRequestBody(provider, parts), null, 2);
+    if (format === 'json') return json;
+    if (format === 'curl') return buildCurlCommand(provider, json);
+    if (format === 'python') return buildPythonSnippet(provider, json);
+    throw new Error(`Unknown API export format: ${format}`);
+}
@@ -1,14 +1,31 @@
 // modules/backup-manager.js
 
 /**
- * Local backup manager for prompts using chrome.storage.local.
+ * Local backup manager for prompts, stored in the "local" storage backend (chrome.storage.local by default;
+ *   see storageBackends.js).
  * - Keeps up to MAX_BACKUPS daily snapshots (rolling window)
- * - Stores simplified prompt objects: {id, title, text}
+ * - Stores portable prompt objects: {id, title, text} plus optional schema fields (see prompt-schema.js)
+ * - Snapshots are {prompts, folders, order} (order: the manual list order, see prompt-order.js);
+ *   older snapshots lack order, or are a bare prompt array
+ * - Restores are per prompt: compareBackupToLibrary() lists what differs and restorePromptsFromBackup()
+ *   writes back only the chosen prompts
+ * - While the prompt library is encrypted, snapshots are stored as an envelope from encryptWithLibraryKey()
+ *   (storageManager.js), unless "Encrypt local backups" is turned off on this device
  */
 
+import { toPortablePrompt } from './prompt-schema.js';
+import { loadFolders, saveFolders, mergeFolders, getFolderPath } from './folder-manager.js';
+import { loadPromptOrder, savePromptOrder, sortPromptsManually, insertRestoredIntoOrder } from './prompt-order.js';
+import { dropFromTrash } from './trash-manager.js';
+
 const BACKUP_INDEX_KEY = 'prompt_backups_index';
 const BACKUP_PREFIX = 'prompt_backup_'; // e.g., prompt_backup_2025-11-05
 const MAX_BACKUPS = 7; // keep last 7 days
+const BACKUP_ENCRYPTION_KEY = 'backup_encryption'; // per device; absent means on
+
+function backupStorage() {
+    return StorageBackends.get('local');
+}
 
 function todayKey() {
     const d = new Date();
@@ -19,16 +36,36 @@ function todayKey() {
 }
 
 async function readIndex() {
-    const { [BACKUP_INDEX_KEY]: idx } = await chrome.storage.local.get([BACKUP_INDEX_KEY]);
+    const { [BACKUP_INDEX_KEY]: idx } = await backupStorage().get([BACKUP_INDEX_KEY]);
     return Array.isArray(idx) ? idx : [];
 }
 
 async function writeIndex(index) {
-    await chrome.storage.local.set({ [BACKUP_INDEX_KEY]: index });
+    await backupStorage().set({ [BACKUP_INDEX_KEY]: index });
 }
 
+// Corrupted prompts have no usable text; older snapshots keep their last good version.
 function simplifyPrompts(prompts) {
-    return (Array.isArray(prompts) ? prompts : []).map(p => ({ id: p.id, title: p.title, text: p.text }));
+    return (Array.isArray(prompts) ? prompts : []).filter(p => !p.corrupted).map(toPortablePrompt);
+}
+
+async function shouldEncryptSnapshots() {
+    if (typeof getEncryptionStatus !== 'function') return false;
+    return (await getEncryptionStatus()).enabled && await loadBackupEncryption();
+}
+
+// Encrypted snapshots open with the current or a retired library key; a locked library throws.
+async function readSnapshot(value) {
+    if (typeof isEncryptedEnvelope === 'function' && isEncryptedEnvelope(value)) value = await decryptEnvelope(value);
+    if (Array.isArray(value)) return { prompts: value, folders: null, order: null };
+    if (value && Array.isArray(value.prompts)) {
+        return {
+            prompts: value.prompts,
+            folders: Array.isArray(value.folders) ? value.folders : null,
+            order: Array.isArray(value.order) ? value.order : null
+        };
+    }
+    return null;
 }
 
 async function pruneOldBackups(index) {
@@ -39,11 +76,43 @@ async function pruneOldBackups(index) {
     const remove = sorted.slice(MAX_BACKUPS);
     const keysToRemove = remove.map(r => r.key);
     if (keysToRemove.length) {
-        await chrome.storage.local.remove(keysToRemove);
+        await backupStorage().remove(keysToRemove);
     }
     return keep.sort((a, b) => a.timestamp - b.timestamp); // normalized ascending by time
 }
 
+export async function loadBackupEncryption() {
+    const { [BACKUP_ENCRYPTION_KEY]: enabled } = await backupStorage().get([BACKUP_ENCRYPTION_KEY]);
+    return enabled !== false;
+}
+
+export async function saveBackupEncryption(enabled) {
+    await backupStorage().set({ [BACKUP_ENCRYPTION_KEY]: !!enabled });
+}
+
+/**
+ * Rewrites every snapshot encrypted with the library's current key, or in plaintext. Used after the passphrase
+ * or the backup setting changes, and before encryption is turned off (while the keys are still unlocked).
+ * Snapshots that cannot be opened are left as they are.
+ * @param {boolean} encrypt
+ * @returns {Promise<number>} Number of snapshots rewritten.
+ */
+export async function rewriteBackups(encrypt) {
+    let rewritten = 0;
+    for (const { key } of await readIndex()) {
+        try {
+            const { [key]: value } = await backupStorage().get([key]);
+            const snapshot = await readSnapshot(value);
+            if (!snapshot) continue;
+            await backupStorage().set({ [key]: encrypt ? await encryptWithLibraryKey(snapshot) : snapshot });
+            rewritten++;
+        } catch (e) {
+            console.warn('Could not rewrite backup:', key, e.message);
+        }
+    }
+    return rewritten;
+}
+
 export async function listBackups() {
     const index = await readIndex();
     // return newest first for UI
@@ -52,25 +121,26 @@ export async function listBackups() {
 
 export async function backupToday(prompts) {
     const key = todayKey();
-    const snapshot = simplifyPrompts(prompts);
+    const snapshot = { prompts: simplifyPrompts(prompts), folders: await loadFolders(), order: await loadPromptOrder() };
     const timestamp = Date.now();
 
     // Write the snapshot first
-    await chrome.storage.local.set({ [key]: snapshot });
+    const stored = await shouldEncryptSnapshots() ? await encryptWithLibraryKey(snapshot) : snapshot;
+    await backupStorage().set({ [key]: stored });
 
     // Update index
     let index = await readIndex();
     const existing = index.find(e => e.key === key);
     if (existing) {
         existing.timestamp = timestamp;
-        existing.count = snapshot.length;
+        existing.count = snapshot.prompts.length;
     } else {
-        index.push({ key, timestamp, count: snapshot.length });
+        index.push({ key, timestamp, count: snapshot.prompts.length });
     }
     index = await pruneOldBackups(index);
     await writeIndex(index);
 
-    return { key, count: snapshot.length };
+    return { key, count: snapshot.prompts.length };
 }
 
 export async function backupDailyIfMissing(prompts) {
@@ -80,44 +150,157 @@ export async function backupDailyIfMissing(prompts) {
     return backupToday(prompts);
 }
 
-export async function restoreBackup(key, { onProgress } = {}) {
-    const data = await chrome.storage.local.get([key]);
-    const snapshot = Array.isArray(data[key]) ? data[key] : null;
-    if (!snapshot) throw new Error('Selected backup not found.');
+/**
+ * Reads one snapshot, decrypting it if needed.
+ * @param {string} key - From listBackups().
+ * @returns {Promise<{prompts: Array<object>, folders: Array<object>|null, order: Array<string>|null}>}
+ */
+export async function loadBackupSnapshot(key) {
+    const data = await backupStorage().get([key]);
+    const stored = await readSnapshot(data[key]);
+    if (!stored) throw new Error('Selected backup not found.');
+    return stored;
+}
 
-    // Fetch current prompts to remove
-    const current = (typeof getAllPrompts === 'function') ? await getAllPrompts() : [];
+// Fields that make a backed-up prompt differ from the library's; timestamps alone do not
+const COMPARED_FIELDS = ['title', 'text', 'description', 'tags', 'favorite', 'pinned', 'outputFormat', 'folderId'];
 
-    // Confirm destructive action
-    const proceed = confirm(`Restore ${snapshot.length} prompts from backup? This will replace your current ${current.length} prompts.`);
-    if (!proceed) return { cancelled: true };
+/**
+ * Compares a snapshot with the current library, matching prompts by id.
+ * - removed: in the backup, since removed from the library
+ * - added: in the library, added since the backup
+ * - changed: in both, with different COMPARED_FIELDS (listed in `changedFields`)
+ * - unchanged: in both and the same
+ * Folders are compared by path when both folder lists are given, since a restored folder gets a new id.
+ * @param {Array<object>} backupPrompts - From loadBackupSnapshot().
+ * @param {Array<object>} currentPrompts - From getAllPrompts().
+ * @param {object} [folders]
+ * @param {Array<object>|null} [folders.backupFolders] - The snapshot's folders; null for snapshots without them.
+ * @param {Array<object>} [folders.currentFolders] - From loadFolders().
+ * @returns {Array<{id: string, status: string, title: string, backup: object|null, current: object|null, changedFields: Array<string>}>}
+ */
+export function compareBackupToLibrary(backupPrompts, currentPrompts, { backupFolders = null, currentFolders = null } = {}) {
+    const comparePaths = !!(backupFolders && currentFolders);
+    const folderKey = (folders, folderId) => (folderId ? getFolderPath(folders, folderId).join('\u0000') : '');
+    const isSame = (field, backup, current) => (field === 'folderId' && comparePaths
+        ? folderKey(backupFolders, backup.folderId) === folderKey(currentFolders, current.folderId)
+        : JSON.stringify(backup[field]) === JSON.stringify(current[field]));
+    const backupById = new Map(backupPrompts.map(p => [p.id, toPortablePrompt(p)]));
+    const currentById = new Map(currentPrompts.map(p => [p.id, p]));
+    const entries = [];
+    backupById.forEach((backup, id) => {
+        const current = currentById.get(id) || null;
+        if (!current) {
+            entries.push({ id, status: 'removed', title: backup.title, backup, current: null, changedFields: [] });
+            return;
+        }
+        // A corrupted prompt has lost its text, so its backup counts as different even if nothing else is
+        const portable = current.corrupted ? { ...toPortablePrompt(current), text: null } : toPortablePrompt(current);
+        const changedFields = COMPARED_FIELDS.filter(field => !isSame(field, backup, portable));
+        entries.push({ id, status: changedFields.length > 0 ? 'changed' : 'unchanged', title: current.title, backup, current, changedFields });
+    });
+    currentPrompts.filter(p => !backupById.has(p.id)).forEach(current => {
+        entries.push({ id: current.id, status: 'added', title: current.title, backup: null, current, changedFields: [] });
+    });
+    return entries;
+}
 
-    // Delete existing prompts
-    for (const p of current) {
-        try {
-            if (typeof deletePrompt === 'function') {
-                await deletePrompt(p.id);
-            }
-        } catch (e) {
-            console.error('Failed to delete prompt during restore:', p.title, e);
+/**
+ * Brings back the folders the restored prompts were in, if they have been deleted since, matching by path
+ * like an import. Only those folders and their parents are added; the rest of the tree is left alone.
+ * @returns {Promise<Object<string, string>>} Maps the snapshot's folder ids to current ones.
+ */
+async function restoreFoldersFor(prompts, snapshotFolders) {
+    const currentFolders = await loadFolders();
+    const idMap = Object.fromEntries(currentFolders.map(f => [f.id, f.id]));
+    const needed = [];
+    for (const prompt of prompts) {
+        let folder = !idMap[prompt.folderId] && snapshotFolders ? snapshotFolders.find(f => f.id === prompt.folderId) : null;
+        while (folder && !needed.includes(folder)) {
+            needed.push(folder);
+            folder = snapshotFolders.find(f => f.id === folder.parentId);
         }
     }
+    if (needed.length === 0) return idMap;
+    const merged = mergeFolders(currentFolders, needed);
+    await saveFolders(merged.folders);
+    return { ...idMap, ...merged.idMap };
+}
+
+// Restored prompts go back to their place in the backup's manual order, if it had one.
+// Returns why that failed, or null.
+async function restoreOrderFor(restoredIds, currentPrompts, backupOrder) {
+    if (restoredIds.length === 0 || !backupOrder || backupOrder.length === 0) return null;
+    try {
+        const order = await loadPromptOrder();
+        const currentIds = sortPromptsManually(currentPrompts, order).map(p => p.id);
+        await savePromptOrder(insertRestoredIntoOrder(currentIds, backupOrder, restoredIds));
+        return null;
+    } catch (e) {
+        console.error('Failed to restore the list order:', e);
+        return e.message;
+    }
+}
 
-    // Save backed up prompts
-    let saved = 0; let failed = 0;
-    for (const p of snapshot) {
+function backupDate(key) {
+    return key.replace(BACKUP_PREFIX, '');
+}
+
+/**
+ * Restores the chosen prompts from a snapshot and leaves every other prompt as it is.
+ * By default a prompt still in the library is overwritten with its backed-up version; with `asCopies`
+ * the backed-up version is added next to it as a new prompt instead. Removed prompts come back with
+ * their old id either way.
+ * @param {string} key - From listBackups().
+ * @param {Array<string>} promptIds - Ids of prompts in the snapshot.
+ * @param {object} [options]
+ * @param {boolean} [options.asCopies=false]
+ * @param {function(number, number): void} [options.onProgress] - Called with (done, total).
+ * @returns {Promise<{saved: number, failed: Array<{id: string, title: string, message: string}>, total: number, orderError: string|null}>}
+ *          orderError says why restored prompts could not be put back in their place in the manual order.
+ */
+export async function restorePromptsFromBackup(key, promptIds, { asCopies = false, onProgress } = {}) {
+    const stored = await loadBackupSnapshot(key);
+    const chosen = simplifyPrompts(stored.prompts).filter(p => promptIds.includes(p.id));
+    const current = await getAllPrompts();
+    const folderIdMap = await restoreFoldersFor(chosen, stored.folders);
+
+    let saved = 0;
+    const failed = [];
+    const restoredIds = []; // removed prompts brought back under their old id
+    for (const p of chosen) {
+        const existing = current.find(c => c.id === p.id);
+        const folderId = (p.folderId && folderIdMap[p.folderId]) || null;
+        const promptToSave = existing && asCopies
+            ? { ...p, id: Date.now().toString() + '-' + Math.random().toString(36).substring(2, 9), title: `${p.title} (backup ${backupDate(key)})`, folderId }
+            : { ...p, folderId, storageTier: existing ? existing.storageTier : undefined };
         try {
-            if (typeof savePrompt === 'function') {
-                await savePrompt(p);
-                saved++;
-                if (onProgress) onProgress(saved, snapshot.length);
-            }
+            await savePrompt(promptToSave);
+            if (!existing) restoredIds.push(p.id);
+            saved++;
+            if (onProgress) onProgress(saved + failed.length, chosen.length);
         } catch (e) {
             console.error('Failed to restore prompt:', p.title, e);
-            failed++;
+            failed.push({ id: p.id, title: p.title, message: e.message });
         }
     }
-
-    return { saved, failed, total: snapshot.length };
+    const orderError = await restoreOrderFor(restoredIds, current, stored.order);
+    // A restored prompt's trash entry would otherwise purge its history later, or overwrite it if restored
+    try {
+        if (restoredIds.length > 0) await dropFromTrash(restoredIds);
+    } catch (e) {
+        console.error('Failed to remove restored prompts from the trash:', e);
+    }
+    return { saved, failed, total: chosen.length, orderError };
 }
 
+
+/**
+ * Local storage taken by the daily backups, for the storage view.
+ * @returns {Promise<{count: number, bytesInUse: number, quotaBytes: number|null}>}
+ */
+export async function getBackupStorageUsage() {
+    const index = await readIndex();
+    const bytesInUse = await backupStorage().getBytesInUse([BACKUP_INDEX_KEY, ...index.map(e => e.key)]);
+    return { count: index.length, bytesInUse, quotaBytes: backupStorage().quotaBytes };
+}
@@ -0,0 +1,197 @@
+// modules/folder-manager.js
+
+/**
+ * Folders (collections) for organising prompts.
+ * - The folder structure is a flat list of {id, name, parentId} stored in the "sync" storage backend
+ *   (chrome.storage.sync by default), so it syncs like the prompts themselves; parentId null means top level
+ * - Prompts point at their folder through the optional `folderId` field; unknown ids count as top level
+ * - Which folders are collapsed is per-device UI state in the "local" backend
+ */
+
+const FOLDERS_KEY = 'folder_tree'; // not 'prompt_…': that prefix is reserved for prompt items
+const COLLAPSED_FOLDERS_KEY = 'collapsed_folders';
+
+// A parentId cycle (from an import, or edits on two devices) would hide its folders and their prompts,
+// so the folder whose parent chain leads back to itself is moved to the top level.
+function breakFolderCycles(folders) {
+    const byId = new Map(folders.map(f => [f.id, f]));
+    for (const folder of folders) {
+        const seen = new Set([folder.id]);
+        let parent = byId.get(folder.parentId);
+        while (parent && !seen.has(parent.id)) {
+            seen.add(parent.id);
+            parent = byId.get(parent.parentId);
+        }
+        if (parent && parent.id === folder.id) folder.parentId = null;
+    }
+    return folders;
+}
+
+function normalizeFolders(folders) {
+    if (!Array.isArray(folders)) return [];
+    return breakFolderCycles(folders
+        .filter(f => f && typeof f.id === 'string' && typeof f.name === 'string' && f.name.trim())
+        .map(f => ({ id: f.id, name: f.name.trim(), parentId: typeof f.parentId === 'string' ? f.parentId : null })));
+}
+
+export async function loadFolders() {
+    const { [FOLDERS_KEY]: folders } = await StorageBackends.get('sync').get([FOLDERS_KEY]);
+    return normalizeFolders(folders);
+}
+
+export async function saveFolders(folders) {
+    await StorageBackends.get('sync').set({ [FOLDERS_KEY]: normalizeFolders(folders) });
+}
+
+/**
+ * Calls back when the folder structure changes, e.g. after an edit on another device.
+ * @param {function(): void} callback
+ * @returns {function(): void} Stops the subscription.
+ */
+export function onFoldersChanged(callback) {
+    return StorageBackends.get('sync').onChanged(changes => {
+        if (FOLDERS_KEY in changes) callback();
+    });
+}
+
+export async function loadCollapsedFolderIds() {
+    const { [COLLAPSED_FOLDERS_KEY]: ids } = await StorageBackends.get('local').get([COLLAPSED_FOLDERS_KEY]);
+    return Array.isArray(ids) ? ids : [];
+}
+
+export async function saveCollapsedFolderIds(ids) {
+    await StorageBackends.get('local').set({ [COLLAPSED_FOLDERS_KEY]: ids });
+}
+
+function newFolderId() {
+    return 'f' + Date.now().toString(36) + Math.random().toString(36).substring(2, 7);
+}
+
+export function createFolder(folders, name, parentId = null) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Folder name cannot be empty.');
+    const folder = { id: newFolderId(), name: trimmed, parentId: parentId || null };
+    return { folders: [...folders, folder], folder };
+}
+
+export function renameFolder(folders, folderId, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Folder name cannot be empty.');
+    return folders.map(f => (f.id === folderId ? { ...f, name: trimmed } : f));
+}
+
+/**
+ * Removes a folder. Its subfolders move up to its parent; callers must move its prompts
+ * to the returned `newParentId` as well.
+ * @returns {{folders: Array<object>, newParentId: string|null}}
+ */
+export function deleteFolder(folders, folderId) {
+    const folder = folders.find(f => f.id === folderId);
+    const newParentId = folder ? folder.parentId : null;
+    const remaining = folders
+        .filter(f => f.id !== folderId)
+        .map(f => (f.parentId === folderId ? { ...f, parentId: newParentId } : f));
+    return { folders: remaining, newParentId };
+}
+
+/**
+ * Returns the folder's path from the top level, e.g. ["Clients", "Acme"].
+ */
+export function getFolderPath(folders, folderId) {
+    const path = [];
+    const seen = new Set();
+    let current = folders.find(f => f.id === folderId);
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        path.unshift(current.name);
+        current = folders.find(f => f.id === current.parentId);
+    }
+    return path;
+}
+
+/**
+ * Lists folders depth-first with their full path label, for the move-to-folder dropdown.
+ * @returns {Array<{id: string, label: string}>}
+ */
+export function listFolderOptions(folders) {
+    const options = [];
+    const walk = (parentId) => {
+        folders
+            .filter(f => f.parentId === parentId)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(f => {
+                options.push({ id: f.id, label: getFolderPath(folders, f.id).join(' / ') });
+                walk(f.id);
+            });
+    };
+    walk(null);
+    // Folders whose parent no longer exists are shown at the top level.
+    folders
+        .filter(f => f.parentId && !folders.some(p => p.id === f.parentId))
+        .forEach(f => { options.push({ id: f.id, label: f.name }); walk(f.id); });
+    return options;
+}
+
+/**
+ * Builds the nested tree rendered in the prompt list.
+ * @param {Array<object>} folders
+ * @param {Array<object>} prompts - Prompts to place, in display order.
+ * @param {object} [options]
+ * @param {boolean} [options.hideEmptyFolders=false] - Drop folders with no prompts anywhere below them.
+ * @returns {{folders: Array<object>, prompts: Array<object>}} Root node; each folder node is
+ *          {folder, folders, prompts, promptCount}.
+ */
+export function buildFolderTree(folders, prompts, { hideEmptyFolders = false } = {}) {
+    const knownIds = new Set(folders.map(f => f.id));
+    const rootParentOf = (f) => (f.parentId && knownIds.has(f.parentId) ? f.parentId : null);
+
+    const build = (parentId) => {
+        const childFolders = folders
+            .filter(f => rootParentOf(f) === parentId)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(f => {
+                const node = { folder: f, ...build(f.id) };
+                node.promptCount = node.prompts.length + node.folders.reduce((sum, child) => sum + child.promptCount, 0);
+                return node;
+            })
+            .filter(node => !hideEmptyFolders || node.promptCount > 0);
+        const childPrompts = prompts.filter(p => {
+            const folderId = p.folderId && knownIds.has(p.folderId) ? p.folderId : null;
+            return folderId === parentId;
+        });
+        return { folders: childFolders, prompts: childPrompts };
+    };
+    return build(null);
+}
+
+/**
+ * Merges folders from an import file or backup into the existing tree, matching by path so
+ * re-importing does not duplicate folders.
+ * @returns {{folders: Array<object>, idMap: Object<string, string>}} idMap maps imported ids to local ids.
+ */
+export function mergeFolders(existingFolders, importedFolders) {
+    let folders = [...existingFolders];
+    const idMap = {};
+    const imported = normalizeFolders(importedFolders);
+    const pathKey = (path) => path.map(p => p.toLowerCase()).join('\u0000');
+
+    const resolve = (importedFolder, seen = new Set()) => {
+        if (idMap[importedFolder.id]) return idMap[importedFolder.id];
+        if (seen.has(importedFolder.id)) return null;
+        seen.add(importedFolder.id);
+        const importedParent = imported.find(f => f.id === importedFolder.parentId);
+        const parentId = importedParent ? resolve(importedParent, seen) : null;
+        const targetPath = pathKey([...(parentId ? getFolderPath(folders, parentId) : []), importedFolder.name]);
+        const match = folders.find(f => f.parentId === parentId && pathKey(getFolderPath(folders, f.id)) === targetPath);
+        if (match) {
+            idMap[importedFolder.id] = match.id;
+        } else {
+            const created = createFolder(folders, importedFolder.name, parentId);
+            folders = created.folders;
+            idMap[importedFolder.id] = created.folder.id;
+        }
+        return idMap[importedFolder.id];
+    };
+    imported.forEach(f => resolve(f));
+    return { folders, idMap };
+}
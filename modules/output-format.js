@@ -0,0 +1,143 @@
+// modules/output-format.js
+
+/**
+ * Output format for the composed clipboard payload.
+ * - A format is a text template with placeholders:
+ *     {{system}} system prompt, {{user}} user text, {{image}} image note,
+ *     {{title}} prompt title, {{date}} today's date (YYYY-MM-DD)
+ * - {{#user}}...{{/user}} (likewise for any placeholder) renders only when the value is non-empty
+ * - Built-in presets plus one user-editable custom template, stored in chrome.storage.sync
+ * - A prompt may override the default with its own `outputFormat` preset id
+ */
+
+const OUTPUT_FORMAT_SETTINGS_KEY = 'output_format_settings'; // { defaultFormat, customTemplate }
+
+export const OUTPUT_FORMAT_PRESETS = Object.freeze({
+    delimited: {
+        label: 'Delimiters ([[[system prompt begin]]])',
+        template: '[[[system prompt begin]]]\n\n{{system}}\n\n[[[system prompt end]]]'
+            + '{{#user}}\n\n\n[[[user input text begin]]]\n\n{{user}}\n\n[[[user input text end]]]{{/user}}'
+            + '{{#image}}\n\n\n[[[user input]]]\n\n{{image}}\n\n[[[user input end]]]{{/image}}'
+    },
+    xml: {
+        label: 'XML tags (<system>…</system>)',
+        template: '<system>\n{{system}}\n</system>'
+            + '{{#user}}\n\n<user>\n{{user}}\n</user>{{/user}}'
+            + '{{#image}}\n\n<image>{{image}}</image>{{/image}}'
+    },
+    markdown: {
+        label: 'Markdown headings',
+        template: '# System Prompt\n\n{{system}}'
+            + '{{#user}}\n\n# User Input\n\n{{user}}{{/user}}'
+            + '{{#image}}\n\n# Image\n\n{{image}}{{/image}}'
+    },
+    plain: {
+        label: 'Plain concatenation',
+        template: '{{system}}{{#user}}\n\n{{user}}{{/user}}{{#image}}\n\n{{image}}{{/image}}'
+    }
+});
+
+export const CUSTOM_FORMAT_ID = 'custom';
+export const DEFAULT_FORMAT_ID = 'delimited';
+
+const SECTION_PATTERN = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+function todayString() {
+    const d = new Date();
+    const yyyy = d.getFullYear();
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${yyyy}-${mm}-${dd}`;
+}
+
+/**
+ * Renders a format template in a single pass, so placeholder-like text inside the
+ * values themselves is never substituted.
+ * @param {string} template - The format template.
+ * @param {Object<string, string>} values - Placeholder values.
+ * @param {function(string, string): string} [transform] - Applied to each value (and its name) before insertion, e.g. HTML escaping.
+ * @param {function(string): string} [transformLiteral] - Applied to the template's own text between placeholders.
+ * @returns {string}
+ */
+export function renderOutputTemplate(template, values, transform = (v) => v, transformLiteral = (t) => t) {
+    const valueOf = (name) => (typeof values[name] === 'string' ? values[name] : '');
+    const withSections = template.replace(SECTION_PATTERN, (match, name, body) => (valueOf(name) ? body : ''));
+
+    let output = '';
+    let lastIndex = 0;
+    for (const match of withSections.matchAll(PLACEHOLDER_PATTERN)) {
+        const name = match[1];
+        const isKnown = Object.prototype.hasOwnProperty.call(values, name);
+        output += transformLiteral(withSections.slice(lastIndex, match.index));
+        output += isKnown ? transform(valueOf(name), name) : transformLiteral(match[0]);
+        lastIndex = match.index + match[0].length;
+    }
+    return output + transformLiteral(withSections.slice(lastIndex));
+}
+
+export async function loadOutputFormatSettings() {
+    const { [OUTPUT_FORMAT_SETTINGS_KEY]: settings } = await chrome.storage.sync.get([OUTPUT_FORMAT_SETTINGS_KEY]);
+    return {
+        defaultFormat: settings && settings.defaultFormat ? settings.defaultFormat : DEFAULT_FORMAT_ID,
+        customTemplate: settings && typeof settings.customTemplate === 'string'
+            ? settings.customTemplate
+            : OUTPUT_FORMAT_PRESETS[DEFAULT_FORMAT_ID].template
+    };
+}
+
+export async function saveOutputFormatSettings({ defaultFormat, customTemplate }) {
+    if (defaultFormat !== CUSTOM_FORMAT_ID && !OUTPUT_FORMAT_PRESETS[defaultFormat]) {
+        throw new Error(`Unknown output format: ${defaultFormat}`);
+    }
+    if (defaultFormat === CUSTOM_FORMAT_ID && !/\{\{system\}\}/.test(customTemplate || '')) {
+        throw new Error('The custom template must contain {{system}}.');
+    }
+    await chrome.storage.sync.set({ [OUTPUT_FORMAT_SETTINGS_KEY]: { defaultFormat, customTemplate } });
+}
+
+/**
+ * Resolves the format to use: the prompt's override if valid, else the default setting.
+ * @param {object} settings - From loadOutputFormatSettings().
+ * @param {string|null} [promptFormat] - The prompt's `outputFormat` override.
+ * @returns {{id: string, template: string}}
+ */
+export function resolveOutputFormat(settings, promptFormat) {
+    const formatId = promptFormat || settings.defaultFormat;
+    if (formatId === CUSTOM_FORMAT_ID) return { id: CUSTOM_FORMAT_ID, template: settings.customTemplate };
+    if (OUTPUT_FORMAT_PRESETS[formatId]) return { id: formatId, template: OUTPUT_FORMAT_PRESETS[formatId].template };
+    return { id: DEFAULT_FORMAT_ID, template: OUTPUT_FORMAT_PRESETS[DEFAULT_FORMAT_ID].template };
+}
+
+/**
+ * Builds the text/plain and text/html clipboard content for a composed prompt.
+ * The HTML variant renders the same template with escaped values inside a pre-wrap block,
+ * using the user's rich HTML (which may embed a pasted image) for {{user}}. The default
+ * delimited format keeps its original "System Prompt / User Input" HTML layout.
+ * @param {{id: string, template: string}} format - From resolveOutputFormat().
+ * @param {object} parts
+ * @param {string} parts.systemPrompt
+ * @param {string} parts.userText
+ * @param {string} parts.userHtml
+ * @param {string} parts.imageNote - Empty when no image is present.
+ * @param {string} parts.title
+ * @param {function(string): string} escapeHtml
+ * @returns {{plainText: string, html: string}}
+ */
+export function buildFormattedOutput(format, { systemPrompt, userText, userHtml, imageNote, title }, escapeHtml) {
+    const values = {
+        system: systemPrompt,
+        user: userText,
+        image: imageNote,
+        title: title || '',
+        date: todayString()
+    };
+    const plainText = renderOutputTemplate(format.template, values);
+    if (format.id === DEFAULT_FORMAT_ID) {
+        const html = `<div><p><strong>System Prompt:</strong></p><pre style="white-space: pre-wrap; word-wrap: break-word;">${escapeHtml(systemPrompt)}</pre><hr><p><strong>User Input:</strong></p><div>${userHtml}</div></div>`;
+        return { plainText, html };
+    }
+    const htmlBody = renderOutputTemplate(format.template, values, (value, name) => (name === 'user' ? userHtml : escapeHtml(value)), escapeHtml);
+    const html = `<div style="white-space: pre-wrap; word-wrap: break-word;">${htmlBody}</div>`;
+    return { plainText, html };
+}
@@ -0,0 +1,82 @@
+// modules/prompt-composition.js
+
+/**
+ * Composing several prompts into one system prompt.
+ * - Prompts are joined in the user's chosen order with a configurable separator
+ * - The separator is stored in chrome.storage.sync; "\n" and "\t" escapes are accepted in the UI
+ * - A composition is identified by its ordered ids joined with '+', e.g. for remembered variable values
+ */
+
+const COMPOSE_SEPARATOR_KEY = 'compose_separator';
+export const DEFAULT_COMPOSE_SEPARATOR = '\n\n';
+
+/**
+ * Converts a separator to the escaped form shown in the separator input.
+ * @param {string} separator
+ * @returns {string}
+ */
+export function encodeSeparator(separator) {
+    return separator.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+}
+
+/**
+ * Converts the escaped form typed by the user back to the actual separator.
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeSeparator(text) {
+    return text.replace(/\\(\\|n|t)/g, (match, escaped) => {
+        if (escaped === 'n') return '\n';
+        if (escaped === 't') return '\t';
+        return '\\';
+    });
+}
+
+export async function loadComposeSeparator() {
+    const { [COMPOSE_SEPARATOR_KEY]: separator } = await chrome.storage.sync.get([COMPOSE_SEPARATOR_KEY]);
+    return typeof separator === 'string' ? separator : DEFAULT_COMPOSE_SEPARATOR;
+}
+
+export async function saveComposeSeparator(separator) {
+    await chrome.storage.sync.set({ [COMPOSE_SEPARATOR_KEY]: separator });
+}
+
+/**
+ * Resolves ids to prompts, dropping ids that no longer exist.
+ * @param {Array<string>} promptIds - Ids in composition order.
+ * @param {Array<object>} prompts - All loaded prompts.
+ * @returns {Array<object>}
+ */
+export function resolveComposition(promptIds, prompts) {
+    return promptIds.map(id => prompts.find(p => p.id === id)).filter(Boolean);
+}
+
+/**
+ * Joins the prompts' texts in order with the separator.
+ * @param {Array<object>} prompts - Prompts in composition order.
+ * @param {string} separator
+ * @returns {{text: string, title: string, compositionId: string}}
+ */
+export function composePrompts(prompts, separator) {
+    return {
+        text: prompts.map(p => p.text).join(separator),
+        title: prompts.map(p => p.title).join(' + '),
+        compositionId: prompts.map(p => p.id).join('+')
+    };
+}
+
+/**
+ * Returns a copy of the array with one item moved.
+ * @param {Array} items
+ * @param {number} fromIndex
+ * @param {number} toIndex - Clamped to the array bounds.
+ * @returns {Array}
+ */
+export function moveItem(items, fromIndex, toIndex) {
+    const result = items.slice();
+    if (fromIndex < 0 || fromIndex >= result.length) return result;
+    const target = Math.max(0, Math.min(result.length - 1, toIndex));
+    const [item] = result.splice(fromIndex, 1);
+    result.splice(target, 0, item);
+    return result;
+}
@@ -0,0 +1,66 @@
+// modules/prompt-includes.js
+
+/**
+ * Prompt includes (partials).
+ * - {{> Company Style Guide}} expands to the current text of the prompt with that title
+ * - Titles match exactly first, then case-insensitively
+ * - Includes are expanded recursively; cycles and missing targets are reported and the
+ *   offending placeholder is left in place. Corrupted prompts count as missing
+ */
+
+const INCLUDE_PATTERN = /\{\{\s*>\s*([^{}]+?)\s*\}\}/g;
+
+function findPromptByTitle(title, prompts) {
+    const exact = prompts.find(p => p.title === title);
+    if (exact) return exact;
+    const lower = title.toLowerCase();
+    return prompts.find(p => typeof p.title === 'string' && p.title.trim().toLowerCase() === lower) || null;
+}
+
+/**
+ * Expands include placeholders against a set of prompts.
+ * @param {string} text - The text to expand.
+ * @param {Array<object>} prompts - All prompts {id, title, text}, e.g. from getAllPrompts().
+ * @param {string} [rootTitle] - Title of the prompt being expanded, so self-includes count as cycles.
+ * @returns {{text: string, missing: Array<string>, cycles: Array<string>}}
+ *          `cycles` holds each detected chain formatted as "A → B → A".
+ */
+export function expandPromptIncludes(text, prompts, rootTitle) {
+    const missing = new Set();
+    const cycles = new Set();
+    const list = Array.isArray(prompts) ? prompts : [];
+
+    function expand(currentText, stack) {
+        return currentText.replace(INCLUDE_PATTERN, (placeholder, title) => {
+            const target = findPromptByTitle(title, list);
+            if (!target || target.corrupted) {
+                missing.add(title);
+                return placeholder;
+            }
+            if (stack.includes(target.title)) {
+                cycles.add([...stack, target.title].join(' → '));
+                return placeholder;
+            }
+            return expand(target.text || '', [...stack, target.title]);
+        });
+    }
+
+    const expandedText = typeof text === 'string' ? expand(text, rootTitle ? [rootTitle] : []) : '';
+    return { text: expandedText, missing: [...missing], cycles: [...cycles] };
+}
+
+/**
+ * Builds a user-facing message for include problems, or null when there are none.
+ * @param {{missing: Array<string>, cycles: Array<string>}} result - From expandPromptIncludes.
+ * @returns {string|null}
+ */
+export function describeIncludeProblems(result) {
+    const lines = [];
+    if (result.missing.length > 0) {
+        lines.push(`Included prompts not found: ${result.missing.map(t => `"${t}"`).join(', ')}`);
+    }
+    if (result.cycles.length > 0) {
+        lines.push(`Include cycles detected:\n${result.cycles.map(c => `  ${c}`).join('\n')}`);
+    }
+    return lines.length > 0 ? lines.join('\n\n') : null;
+}
@@ -1,3 +1,70 @@
+import {
+    extractTemplateVariables,
+    getInitialVariableValues,
+    loadRememberedVariableValues
+} from './template-variables.js';
+import { expandPromptIncludes } from './prompt-includes.js';
+import { resolveComposition, composePrompts } from './prompt-composition.js';
+import { toPortablePrompt, normalizeImportedPrompt } from './prompt-schema.js';
+import { parseTagInput, formatTagInput } from './prompt-tags.js';
+import { recordPromptOpened } from './usage-tracker.js';
+import { moveToTrash, takeFromTrash, getTrashedPrompt, dropFromTrash, purgeFromTrash } from './trash-manager.js';
+import {
+    saveFolders,
+    createFolder,
+    renameFolder,
+    deleteFolder,
+    mergeFolders
+} from './folder-manager.js';
+import {
+    loadPromptOrder,
+    savePromptOrder,
+    sortPromptsManually,
+    movePromptInOrder,
+    appendImportedOrder
+} from './prompt-order.js';
+
+const LOCAL_STORAGE_TIER = 'local'; // STORAGE_TIERS.LOCAL in storageManager.js
+
+function confirmSaveOnThisDevice(prompt) {
+    return confirm(`Sync storage is full, so "${prompt.title}" cannot be synced.\n\nSave it on this device only? It will not appear on your other devices until you move it back to synced storage.`);
+}
+
+/**
+ * Saves a prompt; when sync storage is full, offers to keep it on this device only instead.
+ * @param {object} prompt
+ * @param {function} savePromptFn
+ * @param {function(object): boolean} [confirmLocal] - Asks whether to fall back for this prompt.
+ * @throws The original error if the save failed for another reason or the user declined.
+ */
+async function savePromptWithLocalFallback(prompt, savePromptFn, confirmLocal = confirmSaveOnThisDevice) {
+    try {
+        await savePromptFn(prompt);
+    } catch (error) {
+        if (!error.syncQuotaExceeded || prompt.storageTier === LOCAL_STORAGE_TIER || !confirmLocal(prompt)) throw error;
+        console.warn(`Sync storage full; saving prompt ID: ${prompt.id} on this device only.`);
+        await savePromptFn({ ...prompt, storageTier: LOCAL_STORAGE_TIER });
+    }
+}
+
+/**
+ * Renders the template variable form for a (possibly composed) prompt text.
+ * Values start from `currentValues`, then remembered values, then defaults.
+ */
+export async function renderVariableFormForText(text, rememberKey, currentPrompts, rootTitle, UIManager, currentValues = {}) {
+    const expanded = expandPromptIncludes(text, currentPrompts, rootTitle);
+    const variables = extractTemplateVariables(expanded.text);
+    let rememberedValues = {};
+    if (variables.length > 0) {
+        try {
+            rememberedValues = await loadRememberedVariableValues(rememberKey);
+        } catch (error) {
+            console.warn("Could not load remembered variable values:", error.message);
+        }
+    }
+    UIManager.renderTemplateVariableForm(variables, getInitialVariableValues(variables, { ...rememberedValues, ...currentValues }));
+}
+
 export async function handleSelectPrompt(promptId, currentPrompts, selectedSystemPromptTextCallback, clearUserInputCallback, clearPendingImageCallback, UIManager) {
     const selectedPrompt = currentPrompts.find(p => p.id === promptId);
     if (!selectedPrompt) { 
@@ -5,15 +72,47 @@ export async function handleSelectPrompt(promptId, currentPrompts, selectedSyste
         alert("Error: Prompt not found."); 
         return; 
     }
+    if (selectedPrompt.corrupted) {
+        alert(`The stored text of "${selectedPrompt.title}" failed its checksum, so it cannot be used. Edit the prompt to restore a revision.`);
+        return;
+    }
     console.log("Selected prompt ID:", promptId, " Title:", selectedPrompt.title);
-    selectedSystemPromptTextCallback(selectedPrompt.text);
+    recordPromptOpened([selectedPrompt.id]).catch(error => console.warn("Could not record prompt usage:", error.message));
+    selectedSystemPromptTextCallback(selectedPrompt.text, selectedPrompt.id);
     UIManager.setSelectedPromptTitle(selectedPrompt.title);
+    UIManager.hideCompositionPanel();
+    await renderVariableFormForText(selectedPrompt.text, selectedPrompt.id, currentPrompts, selectedPrompt.title, UIManager);
     await clearUserInputCallback();
     await clearPendingImageCallback(); 
     UIManager.showView(UIManager.VIEWS.INPUT);
     UIManager.focusUserInput();
 }
 
+export async function handleComposePrompts(promptIds, currentPrompts, separator, selectedSystemPromptTextCallback, renderCompositionPanelCallback, clearUserInputCallback, clearPendingImageCallback, UIManager) {
+    const promptsToCompose = resolveComposition(promptIds, currentPrompts);
+    if (promptsToCompose.length === 0) {
+        console.error("None of the prompts selected for composition were found:", promptIds);
+        alert("Error: Selected prompts not found.");
+        return;
+    }
+    const corrupted = promptsToCompose.filter(p => p.corrupted);
+    if (corrupted.length > 0) {
+        alert(`These prompts are corrupted and cannot be composed: ${corrupted.map(p => `"${p.title}"`).join(', ')}`);
+        return;
+    }
+    const composition = composePrompts(promptsToCompose, separator);
+    console.log("Composing prompts:", composition.compositionId, " Title:", composition.title);
+    recordPromptOpened(promptsToCompose.map(p => p.id)).catch(error => console.warn("Could not record prompt usage:", error.message));
+    selectedSystemPromptTextCallback(composition.text, composition.compositionId);
+    UIManager.setSelectedPromptTitle(composition.title);
+    renderCompositionPanelCallback(promptsToCompose);
+    await renderVariableFormForText(composition.text, composition.compositionId, currentPrompts, undefined, UIManager);
+    await clearUserInputCallback();
+    await clearPendingImageCallback();
+    UIManager.showView(UIManager.VIEWS.INPUT);
+    UIManager.focusUserInput();
+}
+
 export async function handleEditPrompt(promptId, currentPrompts, setCurrentEditingId, clearPendingImageCallback, resetLocallyStagedImageCallback, setCurrentPastedImageBase64Callback, UIManager) {
     const promptToEdit = currentPrompts.find(p => p.id === promptId);
     if (!promptToEdit) {
@@ -22,8 +121,18 @@ export async function handleEditPrompt(promptId, currentPrompts, setCurrentEditi
         return; 
     }
     console.log("Edit icon clicked for prompt ID:", promptId);
+    if (promptToEdit.corrupted) {
+        alert(`The stored text of "${promptToEdit.title}" failed its checksum and is not shown. Restore a revision from the history, or enter the text again.`);
+    }
     setCurrentEditingId(promptId);
-    UIManager.setAddEditFormValues('Edit Prompt', promptToEdit.title, promptToEdit.text);
+    UIManager.setAddEditFormValues('Edit Prompt', promptToEdit.title, promptToEdit.text, {
+        description: promptToEdit.description,
+        tags: formatTagInput(promptToEdit.tags),
+        favorite: promptToEdit.favorite,
+        outputFormat: promptToEdit.outputFormat,
+        folderId: promptToEdit.folderId,
+        storageTier: promptToEdit.storageTier
+    });
     await clearPendingImageCallback(); 
     resetLocallyStagedImageCallback();
     setCurrentPastedImageBase64Callback(null); 
@@ -31,42 +140,278 @@ export async function handleEditPrompt(promptId, currentPrompts, setCurrentEditi
     UIManager.focusPromptTitleInput();
 }
 
-export async function handleDeletePrompt(promptId, promptTitle, deletePromptFn, clearPendingImageCallback, refreshCallback) {
-    if (confirm(`Are you sure you want to delete the prompt "${promptTitle}"?`)) {
-        console.log(`Deleting prompt ID: ${promptId}, Title: "${promptTitle}"`);
+/**
+ * Moves a prompt to the trash (no confirmation; the caller offers an undo instead).
+ * A corrupted prompt has no readable text to put in the trash, so after a confirmation its stored data
+ * goes to the quarantine instead (quarantinePromptFn), where what is left of the text can be recovered.
+ */
+export async function handleDeletePrompt(promptId, currentPrompts, deletePromptFn, clearPendingImageCallback, refreshCallback, showUndoCallback, quarantinePromptFn) {
+    const prompt = currentPrompts.find(p => p.id === promptId);
+    if (!prompt) {
+        console.error("Prompt to delete not found with ID:", promptId);
+        alert("Error: Prompt to delete not found.");
+        return;
+    }
+    if (prompt.corrupted) {
+        if (!confirm(`The stored text of "${prompt.title}" is damaged, so it cannot go to the trash. Move it to quarantine instead? What is left of its text can be recovered from the Storage view.`)) return;
         try {
-            await deletePromptFn(promptId);
-            await clearPendingImageCallback(); 
+            await quarantinePromptFn(promptId);
+            await clearPendingImageCallback();
             await refreshCallback();
         } catch (error) {
-            console.error("Error deleting prompt:", error.message, error.stack);
+            console.error("Error quarantining prompt:", error.message, error.stack);
             alert(`Failed to delete prompt: ${error.message}`);
         }
+        return;
+    }
+    console.log(`Moving prompt ID: ${promptId}, Title: "${prompt.title}" to trash`);
+    try {
+        // Trash first: if removing the sync keys fails, the copy is taken back out below.
+        await moveToTrash(prompt);
+        try {
+            await deletePromptFn(promptId);
+        } catch (error) {
+            await takeFromTrash(promptId);
+            throw error;
+        }
+        await clearPendingImageCallback(); 
+        await refreshCallback();
+        showUndoCallback(prompt);
+    } catch (error) {
+        console.error("Error deleting prompt:", error.message, error.stack);
+        alert(`Failed to delete prompt: ${error.message}`);
+    }
+}
+
+export async function handleRestoreFromTrash(promptId, savePromptFn, refreshCallback) {
+    console.log(`Restoring prompt ID: ${promptId} from trash`);
+    try {
+        const prompt = await getTrashedPrompt(promptId);
+        if (!prompt) {
+            alert("This prompt is no longer in the trash.");
+            return false;
+        }
+        // The entry stays in the trash, with its deletion date, until the prompt has been saved.
+        await savePromptWithLocalFallback(prompt, savePromptFn);
+        await dropFromTrash([promptId]);
+        await refreshCallback();
+        return true;
+    } catch (error) {
+        console.error("Error restoring prompt:", error.message, error.stack);
+        alert(`Failed to restore prompt: ${error.message}`);
+        return false;
+    }
+}
+
+export async function handlePurgeFromTrash(promptIds, confirmMessage, refreshTrashCallback) {
+    if (promptIds.length === 0 || !confirm(confirmMessage)) return;
+    try {
+        const purged = await purgeFromTrash(promptIds);
+        console.log(`Purged ${purged} prompt(s) from trash.`);
+        await refreshTrashCallback();
+    } catch (error) {
+        console.error("Error purging trash:", error.message, error.stack);
+        alert(`Failed to delete permanently: ${error.message}`);
+    }
+}
+
+export async function handleToggleFavorite(promptId, currentPrompts, savePromptFn, refreshCallback) {
+    const prompt = currentPrompts.find(p => p.id === promptId);
+    if (!prompt) {
+        console.error("Prompt to (un)favourite not found with ID:", promptId);
+        return;
+    }
+    const favorite = !prompt.favorite;
+    console.log(`Setting favourite=${favorite} for prompt ID: ${promptId}`);
+    try {
+        await savePromptFn({ ...prompt, favorite });
+        await refreshCallback();
+    } catch (error) {
+        console.error("Error updating favourite:", error.message, error.stack);
+        alert(`Failed to update favourite: ${error.message}`);
+    }
+}
+
+export async function handleTogglePinned(promptId, currentPrompts, savePromptFn, refreshCallback) {
+    const prompt = currentPrompts.find(p => p.id === promptId);
+    if (!prompt) {
+        console.error("Prompt to (un)pin not found with ID:", promptId);
+        return;
+    }
+    const pinned = !prompt.pinned;
+    console.log(`Setting pinned=${pinned} for prompt ID: ${promptId}`);
+    try {
+        await savePromptFn({ ...prompt, pinned });
+        await refreshCallback();
+    } catch (error) {
+        console.error("Error updating pin:", error.message, error.stack);
+        alert(`Failed to update pin: ${error.message}`);
+    }
+}
+
+/**
+ * Saves the manual order after a prompt was dropped above or below another one. A prompt dropped
+ * next to one in another folder moves into that folder too.
+ * @param {Array<object>} orderedPrompts - All prompts, in the manual order currently shown.
+ */
+export async function handleReorderPrompt(promptId, targetId, placeAfter, orderedPrompts, savePromptFn, refreshCallback) {
+    const prompt = orderedPrompts.find(p => p.id === promptId);
+    const target = orderedPrompts.find(p => p.id === targetId);
+    if (!prompt || !target) return;
+    console.log(`Moving prompt ID: ${promptId} ${placeAfter ? 'after' : 'before'} prompt ID: ${targetId}`);
+    try {
+        const folderId = target.folderId || null;
+        if ((prompt.folderId || null) !== folderId) await savePromptFn({ ...prompt, folderId });
+        await savePromptOrder(movePromptInOrder(orderedPrompts, promptId, targetId, placeAfter));
+        await refreshCallback();
+    } catch (error) {
+        console.error("Error reordering prompts:", error.message, error.stack);
+        alert(`Failed to reorder prompts: ${error.message}`);
+        await refreshCallback();
+    }
+}
+
+export async function handleRevertToRevision(promptId, revision, currentPrompts, savePromptFn, refreshCallback) {
+    const prompt = currentPrompts.find(p => p.id === promptId);
+    if (!prompt || !revision) {
+        console.error("Prompt or revision to revert to not found:", promptId, revision);
+        alert("Error: Revision not found.");
+        return false;
+    }
+    if (!confirm(`Revert "${prompt.title}" to the revision from ${new Date(revision.timestamp).toLocaleString()}? Unsaved changes in the form are discarded; the current version stays in the history.`)) {
+        return false;
+    }
+    console.log(`Reverting prompt ID: ${promptId} to revision from ${revision.timestamp}`);
+    try {
+        // Reverting is how a corrupted prompt gets its text back
+        await savePromptFn({ ...prompt, title: revision.title, text: revision.text, updatedAt: Date.now(), corrupted: false });
+        await refreshCallback();
+        return true;
+    } catch (error) {
+        console.error("Error reverting prompt:", error.message, error.stack);
+        alert(`Failed to revert prompt: ${error.message}`);
+        return false;
+    }
+}
+
+export async function handleMovePromptToFolder(promptId, folderId, currentPrompts, savePromptFn, refreshCallback) {
+    const prompt = currentPrompts.find(p => p.id === promptId);
+    if (!prompt || (prompt.folderId || null) === folderId) return;
+    console.log(`Moving prompt ID: ${promptId} to folder:`, folderId);
+    try {
+        await savePromptFn({ ...prompt, folderId });
+        await refreshCallback();
+    } catch (error) {
+        console.error("Error moving prompt:", error.message, error.stack);
+        alert(`Failed to move prompt: ${error.message}`);
+    }
+}
+
+export async function handleCreateFolder(parentId, currentFolders, refreshCallback) {
+    const parent = parentId ? currentFolders.find(f => f.id === parentId) : null;
+    const name = prompt(parent ? `New folder inside "${parent.name}":` : 'New folder name:');
+    if (!name || !name.trim()) return;
+    try {
+        const { folders, folder } = createFolder(currentFolders, name, parentId);
+        await saveFolders(folders);
+        console.log("Folder created:", folder);
+        await refreshCallback();
+    } catch (error) {
+        console.error("Error creating folder:", error.message, error.stack);
+        alert(`Failed to create folder: ${error.message}`);
+    }
+}
+
+export async function handleRenameFolder(folderId, currentFolders, refreshCallback) {
+    const folder = currentFolders.find(f => f.id === folderId);
+    if (!folder) return;
+    const name = prompt('Rename folder:', folder.name);
+    if (!name || !name.trim() || name.trim() === folder.name) return;
+    try {
+        await saveFolders(renameFolder(currentFolders, folderId, name));
+        await refreshCallback();
+    } catch (error) {
+        console.error("Error renaming folder:", error.message, error.stack);
+        alert(`Failed to rename folder: ${error.message}`);
+    }
+}
+
+export async function handleDeleteFolder(folderId, currentFolders, currentPrompts, savePromptFn, refreshCallback) {
+    const folder = currentFolders.find(f => f.id === folderId);
+    if (!folder) return;
+    if (!confirm(`Delete the folder "${folder.name}"? Its prompts and subfolders move up one level; no prompts are deleted.`)) return;
+    try {
+        const { folders, newParentId } = deleteFolder(currentFolders, folderId);
+        // Move the prompts first so a failure leaves them in a folder that still exists.
+        // Corrupted prompts cannot be saved; they fall back to top level once the folder is gone.
+        for (const p of currentPrompts.filter(p => p.folderId === folderId && !p.corrupted)) {
+            await savePromptFn({ ...p, folderId: newParentId });
+        }
+        await saveFolders(folders);
+        console.log(`Folder "${folder.name}" deleted.`);
+        await refreshCallback();
+    } catch (error) {
+        console.error("Error deleting folder:", error.message, error.stack);
+        alert(`Failed to delete folder: ${error.message}`);
+        await refreshCallback();
     }
 }
 
-export async function handleSavePrompt(elements, currentEditingId, savePromptFn, refreshCallback, UIManager) {
+/**
+ * Saves the add/edit form. With `editingBaseRev` (the rev the edit started from), a save that would
+ * overwrite a newer version is handed to `onConflict(promptToSave, storedVersion)` instead.
+ * @returns {Promise<string|null>} The id still being edited, or null once saved.
+ */
+export async function handleSavePrompt(elements, currentEditingId, savePromptFn, refreshCallback, UIManager, currentPrompts = [], editingBaseRev = null, onConflict = null) {
     const title = elements.promptTitleInput.value.trim();
     const text = elements.promptTextInput.value.trim();
     if (!title || !text) { 
         alert("Title and prompt text cannot be empty."); 
         return; 
     }
-    const promptToSave = { id: currentEditingId || Date.now().toString(), title, text };
+    const outputFormat = elements.promptOutputFormatSelect ? elements.promptOutputFormatSelect.value : '';
+    const description = elements.promptDescriptionInput ? elements.promptDescriptionInput.value.trim() : '';
+    const tags = parseTagInput(elements.promptTagsInput ? elements.promptTagsInput.value : '');
+    const existingPrompt = currentEditingId ? currentPrompts.find(p => p.id === currentEditingId) : null;
+    const now = Date.now();
+    const promptToSave = {
+        id: currentEditingId || now.toString(),
+        title,
+        text,
+        description: description || null,
+        tags: tags.length > 0 ? tags : null,
+        favorite: elements.promptFavoriteInput ? elements.promptFavoriteInput.checked : !!(existingPrompt && existingPrompt.favorite),
+        pinned: !!(existingPrompt && existingPrompt.pinned),
+        createdAt: existingPrompt && existingPrompt.createdAt ? existingPrompt.createdAt : now,
+        updatedAt: now,
+        outputFormat: outputFormat || null,
+        folderId: elements.promptFolderSelect ? elements.promptFolderSelect.value || null : (existingPrompt && existingPrompt.folderId) || null,
+        storageTier: elements.promptStorageTierSelect ? elements.promptStorageTierSelect.value : (existingPrompt && existingPrompt.storageTier) || null,
+        expectedRev: currentEditingId && Number.isInteger(editingBaseRev) ? editingBaseRev : undefined
+    };
     console.log(`Saving prompt ID: ${promptToSave.id}, Title: "${title}"`);
     try {
-        await savePromptFn(promptToSave);
+        await savePromptWithLocalFallback(promptToSave, savePromptFn);
         await refreshCallback();
         UIManager.showView(UIManager.VIEWS.LIST);
         return null;
     } catch (error) {
+        if (error.editConflict && onConflict) {
+            console.warn(`Edit conflict while saving prompt ID: ${promptToSave.id}; asking to merge.`);
+            onConflict(promptToSave, error.editConflict);
+            return currentEditingId;
+        }
         console.error("Error saving prompt:", error.message, error.stack);
         alert(`Failed to save prompt: ${error.message}`);
         return currentEditingId;
     }
 }
 
-export async function handleExportPrompts(getAllPromptsFn) {
+/**
+ * Downloads all prompts (with folders and the manual list order) as JSON. With `encryptExportFn`, passed while the library is encrypted,
+ * the user can choose an encrypted file instead.
+ */
+export async function handleExportPrompts(getAllPromptsFn, loadFoldersFn, encryptExportFn = null) {
     console.log("Export prompts button clicked.");
     try {
         const promptsToExport = await getAllPromptsFn();
@@ -76,9 +421,18 @@ export async function handleExportPrompts(getAllPromptsFn) {
             return;
         }
 
-        const simplifiedPrompts = promptsToExport.map(p => ({ id: p.id, title: p.title, text: p.text }));
+        const corrupted = promptsToExport.filter(p => p.corrupted);
+        if (corrupted.length > 0) console.warn("Skipping corrupted prompts in export:", corrupted.map(p => p.title));
+        const simplifiedPrompts = promptsToExport.filter(p => !p.corrupted).map(toPortablePrompt);
+        const folders = loadFoldersFn ? await loadFoldersFn() : [];
+        const exportedIds = new Set(simplifiedPrompts.map(p => p.id));
+        const order = (await loadPromptOrder()).filter(id => exportedIds.has(id));
 
-        const jsonData = JSON.stringify(simplifiedPrompts, null, 2);
+        // Without folders or an order the file stays a plain array, readable by older versions.
+        let exportData = folders.length > 0 || order.length > 0 ? { folders, prompts: simplifiedPrompts, order } : simplifiedPrompts;
+        const encryptFile = encryptExportFn && confirm("Encrypt the exported file?\n\nOK: encrypted with your passphrase, which is needed to import it.\nCancel: plain JSON, readable by anyone who has the file.");
+        if (encryptFile) exportData = await encryptExportFn(exportData);
+        const jsonData = JSON.stringify(exportData, null, 2);
         const blob = new Blob([jsonData], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -89,8 +443,8 @@ export async function handleExportPrompts(getAllPromptsFn) {
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-        console.log(`Prompts successfully exported to ${a.download}. Count: ${simplifiedPrompts.length}`);
-        alert(`${simplifiedPrompts.length} prompts exported successfully.`);
+        console.log(`Prompts successfully exported to ${a.download}. Count: ${simplifiedPrompts.length}, encrypted: ${!!encryptFile}`);
+        alert(`${simplifiedPrompts.length} prompts exported successfully${encryptFile ? ' (encrypted)' : ''}.`);
     } catch (error) {
         console.error("Error exporting prompts:", error.message, error.stack);
         alert(`Failed to export prompts: ${error.message}`);
@@ -107,7 +461,29 @@ export function handleImportPrompts(elements) {
     }
 }
 
-export async function handleFileImport(event, getAllPromptsFn, savePromptFn, refreshCallback, elements) {
+/**
+ * Puts imported prompts after the existing ones in the manual order, in the file's order if it has one.
+ * A library that was never reordered and a file without an order are left in title order.
+ * @returns {Promise<string|null>} Why the order could not be saved, to show with the import result.
+ */
+async function appendImportToOrder(existingPrompts, importedOrder, savedIdMap) {
+    try {
+        const order = await loadPromptOrder();
+        if (order.length === 0 && !Array.isArray(importedOrder)) return null;
+        const existingIds = sortPromptsManually(existingPrompts, order).map(p => p.id);
+        await savePromptOrder(appendImportedOrder(existingIds, Array.isArray(importedOrder) ? importedOrder : null, savedIdMap));
+        return null;
+    } catch (error) {
+        console.warn("Could not update the list order after import:", error.message);
+        return error.message;
+    }
+}
+
+/**
+ * Imports prompts (and folders) from the chosen JSON file. `openImportFn` turns the parsed file into
+ * exported data, e.g. by decrypting an encrypted export, and returns anything else unchanged.
+ */
+export async function handleFileImport(event, getAllPromptsFn, savePromptFn, refreshCallback, elements, loadFoldersFn, openImportFn = null) {
     console.log("File selected for import.");
     const file = event.target.files[0];
     if (!file) {
@@ -125,20 +501,22 @@ export async function handleFileImport(event, getAllPromptsFn, savePromptFn, ref
     reader.onload = async (e) => {
         try {
             const content = e.target.result;
-            const importedData = JSON.parse(content);
+            const parsedData = JSON.parse(content);
+            const importedData = openImportFn ? await openImportFn(parsedData) : parsedData;
             console.log("File content parsed as JSON.", { dataPreview: JSON.stringify(importedData).substring(0,100) + "..." });
 
-            if (!Array.isArray(importedData)) {
-                throw new Error("Imported JSON is not an array.");
+            const importedItems = Array.isArray(importedData) ? importedData : importedData && importedData.prompts;
+            if (!Array.isArray(importedItems)) {
+                throw new Error("Imported JSON is not an array or an export with a prompts list.");
             }
 
             const promptsToImport = [];
-            for (const item of importedData) {
-                if (item && typeof item.title === 'string' && typeof item.text === 'string') {
-                    promptsToImport.push({
-                        title: item.title.trim(),
-                        text: item.text
-                    });
+            const sourceIds = []; // file ids of promptsToImport, for the file's list order
+            for (const item of importedItems) {
+                const normalized = normalizeImportedPrompt(item);
+                if (normalized) {
+                    promptsToImport.push(normalized);
+                    sourceIds.push(typeof item.id === 'string' ? item.id : null);
                 } else {
                     console.warn("Skipping invalid item in imported JSON:", item);
                 }
@@ -152,13 +530,28 @@ export async function handleFileImport(event, getAllPromptsFn, savePromptFn, ref
             }
 
             console.log(`${promptsToImport.length} valid prompts parsed from file. Proceeding with import.`);
+
+            let folderIdMap = {};
+            if (Array.isArray(importedData.folders) && importedData.folders.length > 0 && loadFoldersFn) {
+                const merged = mergeFolders(await loadFoldersFn(), importedData.folders);
+                await saveFolders(merged.folders);
+                folderIdMap = merged.idMap;
+            }
             
             const existingPrompts = await getAllPromptsFn();
             const existingTitles = existingPrompts.map(p => p.title);
+            const savedIdMap = {};
             let importedCount = 0;
             let skippedCount = 0;
+            let keepOverflowLocal = null; // Asked once, on the first prompt that does not fit in sync storage
+            const confirmImportOnThisDevice = () => {
+                if (keepOverflowLocal === null) {
+                    keepOverflowLocal = confirm("Sync storage is full.\n\nSave the remaining imported prompts on this device only? They will not appear on your other devices.");
+                }
+                return keepOverflowLocal;
+            };
 
-            for (const importedPrompt of promptsToImport) {
+            for (const [index, importedPrompt] of promptsToImport.entries()) {
                 let newTitle = importedPrompt.title;
                 let titleSuffix = 2;
                 while (existingTitles.includes(newTitle)) {
@@ -167,15 +560,18 @@ export async function handleFileImport(event, getAllPromptsFn, savePromptFn, ref
 
                 const newId = Date.now().toString() + '-' + Math.random().toString(36).substring(2, 9);
                 const promptToSave = {
+                    ...importedPrompt,
                     id: newId,
                     title: newTitle,
-                    text: importedPrompt.text
+                    createdAt: importedPrompt.createdAt || Date.now(),
+                    folderId: folderIdMap[importedPrompt.folderId] || null
                 };
 
                 try {
                     console.log(`Attempting to save imported prompt: ID ${promptToSave.id}, Title "${promptToSave.title}"`);
-                    await savePromptFn(promptToSave);
+                    await savePromptWithLocalFallback(promptToSave, savePromptFn, confirmImportOnThisDevice);
                     existingTitles.push(newTitle);
+                    savedIdMap[sourceIds[index] || newId] = newId;
                     importedCount++;
                 } catch (saveError) {
                     console.error(`Error saving imported prompt "${promptToSave.title}":`, saveError.message, saveError.stack);
@@ -183,8 +579,11 @@ export async function handleFileImport(event, getAllPromptsFn, savePromptFn, ref
                 }
             }
 
+            const orderError = await appendImportToOrder(existingPrompts, importedData.order, savedIdMap);
+
             console.log(`Import process complete. Imported: ${importedCount}, Skipped/Failed: ${skippedCount}.`);
-            alert(`Import complete!\nSuccessfully imported: ${importedCount}\nSkipped due to errors: ${skippedCount}`);
+            const orderNote = orderError ? `\n\nThe imported prompts were added at the end of the list instead of in their saved order: ${orderError}` : '';
+            alert(`Import complete!\nSuccessfully imported: ${importedCount}\nSkipped due to errors: ${skippedCount}${orderNote}`);
             
             await refreshCallback();
         } catch (error) {
@@ -0,0 +1,172 @@
+// modules/prompt-order.js
+
+/**
+ * Manual list order and pinned prompts.
+ * - The manual order is a list of prompt ids stored in the "sync" storage backend, like the folder tree,
+ *   so a drag on one device reorders the list on all of them
+ * - The list is split across `list_order_<n>` items to stay under the backend's per-item limit;
+ *   `list_order` holds {parts: n} (a bare id array in stores written before the split)
+ * - Prompts missing from the order (new, imported or synced from an older version) follow the ordered ones,
+ *   in the order they were passed in (title order from getAllPrompts())
+ * - Pinning is the optional `pinned` prompt field; pinned prompts are listed first in every sort mode
+ */
+
+const ORDER_KEY = 'list_order'; // not 'prompt_…': that prefix is reserved for prompt items
+const ORDER_PART_PREFIX = 'list_order_'; // e.g. list_order_0
+const PART_SAFETY_MARGIN_BYTES = 64;
+
+function normalizeOrder(order) {
+    if (!Array.isArray(order)) return [];
+    return [...new Set(order.filter(id => typeof id === 'string' && id))];
+}
+
+function partKey(index) {
+    return `${ORDER_PART_PREFIX}${index}`;
+}
+
+function partCountOf(header) {
+    return header && Number.isInteger(header.parts) && header.parts > 0 ? header.parts : 0;
+}
+
+function itemByteLength(key, value) {
+    const encoder = new TextEncoder();
+    return encoder.encode(key).length + encoder.encode(JSON.stringify(value)).length;
+}
+
+// Splits ids into arrays that each fit one storage item, keeping their order
+function splitIntoParts(ids, maxItemBytes) {
+    if (!maxItemBytes) return [ids];
+    const budget = maxItemBytes - PART_SAFETY_MARGIN_BYTES;
+    const parts = [[]];
+    let size = itemByteLength(partKey(0), []);
+    ids.forEach(id => {
+        const idBytes = itemByteLength('', id) + 1; // the id in quotes, plus a comma
+        const current = parts[parts.length - 1];
+        if (current.length > 0 && size + idBytes > budget) {
+            parts.push([id]);
+            size = itemByteLength(partKey(parts.length - 1), [id]);
+        } else {
+            current.push(id);
+            size += idBytes;
+        }
+    });
+    return parts;
+}
+
+export async function loadPromptOrder() {
+    const backend = StorageBackends.get('sync');
+    const { [ORDER_KEY]: header } = await backend.get([ORDER_KEY]);
+    if (Array.isArray(header)) return normalizeOrder(header);
+    const keys = Array.from({ length: partCountOf(header) }, (_, i) => partKey(i));
+    if (keys.length === 0) return [];
+    const parts = await backend.get(keys);
+    // A part still syncing is missing for a moment; its prompts fall back to the end until it arrives
+    return normalizeOrder(keys.flatMap(key => (Array.isArray(parts[key]) ? parts[key] : [])));
+}
+
+/**
+ * Saves the manual order.
+ * @param {Array<string>} order
+ * @throws {Error} With `syncQuotaExceeded` set when sync storage has no room for it.
+ */
+export async function savePromptOrder(order) {
+    const backend = StorageBackends.get('sync');
+    const parts = splitIntoParts(normalizeOrder(order), backend.quotaBytesPerItem);
+    const { [ORDER_KEY]: previousHeader } = await backend.get([ORDER_KEY]);
+    const items = { [ORDER_KEY]: { parts: parts.length } };
+    parts.forEach((ids, i) => { items[partKey(i)] = ids; });
+    try {
+        await backend.set(items);
+    } catch (error) {
+        if (error.message && (error.message.includes('QUOTA_BYTES') || error.message.includes('MAX_ITEMS'))) {
+            const quotaError = new Error(`Sync storage is full, so the list order could not be saved. Delete some prompts or keep some on this device only, then try again. (Details: ${error.message})`);
+            quotaError.syncQuotaExceeded = true;
+            throw quotaError;
+        }
+        throw error;
+    }
+    const staleKeys = [];
+    for (let i = parts.length; i < partCountOf(previousHeader); i++) staleKeys.push(partKey(i));
+    if (staleKeys.length > 0) await backend.remove(staleKeys);
+}
+
+/**
+ * Calls back when the manual order changes, e.g. after a drag on another device.
+ * @param {function(): void} callback
+ * @returns {function(): void} Stops the subscription.
+ */
+export function onPromptOrderChanged(callback) {
+    return StorageBackends.get('sync').onChanged(changes => {
+        if (Object.keys(changes).some(key => key === ORDER_KEY || key.startsWith(ORDER_PART_PREFIX))) callback();
+    });
+}
+
+/**
+ * Sorts prompts by the manual order. Prompts not in it keep their relative order after the others.
+ * @param {Array<object>} prompts
+ * @param {Array<string>} order - From loadPromptOrder().
+ * @returns {Array<object>}
+ */
+export function sortPromptsManually(prompts, order) {
+    const rank = new Map(order.map((id, index) => [id, index]));
+    const rankOf = (p) => (rank.has(p.id) ? rank.get(p.id) : order.length);
+    // Array.prototype.sort is stable, so unordered prompts stay in their incoming order.
+    return prompts.slice().sort((a, b) => rankOf(a) - rankOf(b));
+}
+
+/**
+ * Moves pinned prompts to the front, keeping the order within both groups.
+ * @param {Array<object>} prompts
+ * @returns {Array<object>}
+ */
+export function pinnedFirst(prompts) {
+    return [...prompts.filter(p => p.pinned === true), ...prompts.filter(p => p.pinned !== true)];
+}
+
+/**
+ * Returns the manual order after dragging one prompt next to another.
+ * @param {Array<object>} prompts - All prompts, in the manual order currently shown.
+ * @param {string} promptId - The dragged prompt.
+ * @param {string} targetId - The prompt it was dropped on.
+ * @param {boolean} [placeAfter=false] - Drop below the target instead of above it.
+ * @returns {Array<string>} Ids of all prompts in their new order.
+ */
+export function movePromptInOrder(prompts, promptId, targetId, placeAfter = false) {
+    const ids = prompts.map(p => p.id).filter(id => id !== promptId);
+    const targetIndex = ids.indexOf(targetId);
+    if (targetIndex === -1) return [...ids, promptId];
+    ids.splice(placeAfter ? targetIndex + 1 : targetIndex, 0, promptId);
+    return ids;
+}
+
+/**
+ * Adds imported prompts to the end of the manual order.
+ * @param {Array<string>} order - Ids of the existing prompts, in the order they are shown in manual mode.
+ * @param {Array<string>|null} importedOrder - Order from the file, in its own ids; null for files without one.
+ * @param {Object<string, string>} idMap - File id to saved prompt id, for the prompts that were saved.
+ * @returns {Array<string>}
+ */
+export function appendImportedOrder(order, importedOrder, idMap) {
+    const importedIds = normalizeOrder(importedOrder).filter(id => idMap[id]).map(id => idMap[id]);
+    // Saved prompts that the file did not order go last, in file order.
+    const unordered = Object.values(idMap).filter(id => !importedIds.includes(id));
+    return normalizeOrder([...order, ...importedIds, ...unordered]);
+}
+
+/**
+ * Puts prompts restored from a backup back where they were in the backup's order: each goes right after
+ * the nearest prompt before it there that is still in the list, or first if there is none.
+ * @param {Array<string>} order - Ids of the current prompts, in the order they are shown in manual mode.
+ * @param {Array<string>} backupOrder - The backup's order.
+ * @param {Array<string>} restoredIds - Prompts that were missing from the library and have been restored.
+ * @returns {Array<string>}
+ */
+export function insertRestoredIntoOrder(order, backupOrder, restoredIds) {
+    const result = order.filter(id => !restoredIds.includes(id));
+    const orderedBackup = normalizeOrder(backupOrder);
+    orderedBackup.filter(id => restoredIds.includes(id)).forEach(id => {
+        const before = orderedBackup.slice(0, orderedBackup.indexOf(id)).reverse().find(other => result.includes(other));
+        result.splice(before ? result.indexOf(before) + 1 : 0, 0, id);
+    });
+    return normalizeOrder([...result, ...restoredIds]);
+}
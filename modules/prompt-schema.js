@@ -0,0 +1,86 @@
+// modules/prompt-schema.js
+
+/**
+ * Prompt schema shared by export, import and local backups.
+ * - Required: id, title, text
+ * - Optional: description, tags, favorite, pinned, createdAt, updatedAt, outputFormat, folderId
+ * - OPTIONAL_SCHEMA_FIELDS is the list export, import and backups use; each field needs a normalizer below.
+ *   storageManager.js is a classic script and cannot import it, so keep OPTIONAL_PROMPT_FIELDS there in step
+ */
+
+export const OPTIONAL_SCHEMA_FIELDS = ['description', 'tags', 'favorite', 'pinned', 'createdAt', 'updatedAt', 'outputFormat', 'folderId'];
+
+/**
+ * Normalizes a list of tags: trimmed, non-empty, de-duplicated case-insensitively (first spelling wins).
+ * @param {*} tags - Anything; non-arrays yield an empty list.
+ * @returns {Array<string>}
+ */
+export function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    const seen = new Set();
+    const result = [];
+    for (const tag of tags) {
+        if (typeof tag !== 'string') continue;
+        const trimmed = tag.trim();
+        const key = trimmed.toLowerCase();
+        if (!trimmed || seen.has(key)) continue;
+        seen.add(key);
+        result.push(trimmed);
+    }
+    return result;
+}
+
+const nonEmptyString = (value) => (typeof value === 'string' && value ? value : undefined);
+const finiteNumber = (value) => (Number.isFinite(value) ? value : undefined);
+const trueOnly = (value) => (value === true ? true : undefined);
+
+// Each returns the normalized value, or undefined to drop the field.
+const OPTIONAL_FIELD_NORMALIZERS = {
+    description: (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined),
+    tags: (value) => {
+        const tags = normalizeTags(value);
+        return tags.length > 0 ? tags : undefined;
+    },
+    favorite: trueOnly,
+    pinned: trueOnly,
+    createdAt: finiteNumber,
+    updatedAt: finiteNumber,
+    outputFormat: nonEmptyString,
+    folderId: nonEmptyString
+};
+
+/**
+ * Picks and type-checks the optional fields of a prompt-like object. Invalid values are dropped.
+ * @param {object} source
+ * @returns {object}
+ */
+export function normalizeOptionalFields(source) {
+    const fields = {};
+    for (const field of OPTIONAL_SCHEMA_FIELDS) {
+        const value = OPTIONAL_FIELD_NORMALIZERS[field](source[field]);
+        if (value !== undefined) fields[field] = value;
+    }
+    return fields;
+}
+
+/**
+ * Converts a loaded prompt to the portable form written to exports and backups.
+ * @param {object} prompt
+ * @returns {object}
+ */
+export function toPortablePrompt(prompt) {
+    return { id: prompt.id, title: prompt.title, text: prompt.text, ...normalizeOptionalFields(prompt) };
+}
+
+/**
+ * Validates an item from an import file. Returns null when title or text is missing.
+ * The id is not carried over; callers assign a fresh one and remap folderId.
+ * @param {*} item
+ * @returns {object|null}
+ */
+export function normalizeImportedPrompt(item) {
+    if (!item || typeof item.title !== 'string' || typeof item.text !== 'string') return null;
+    const title = item.title.trim();
+    if (!title) return null;
+    return { title, text: item.text, ...normalizeOptionalFields(item) };
+}
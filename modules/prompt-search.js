@@ -0,0 +1,94 @@
+// modules/prompt-search.js
+
+/**
+ * Fuzzy search over the prompt list.
+ * - Titles match fuzzily: the query's characters must appear in order, not necessarily adjacent
+ * - Body text (optional) matches when every query word appears in it; a subsequence match
+ *   over a long prompt would accept almost any query
+ * - Results are ranked: title matches before body-only matches, tighter matches first
+ */
+
+const CONSECUTIVE_BONUS = 5;
+const WORD_START_BONUS = 8;
+const PREFIX_BONUS = 10;
+const MAX_GAP_PENALTY = 3;
+const TITLE_MATCH_BASE = 100;
+
+function isWordStart(text, index) {
+    if (index === 0) return true;
+    const previous = text[index - 1];
+    const current = text[index];
+    if (!/[A-Za-z0-9]/.test(previous)) return true;
+    return previous === previous.toLowerCase() && current !== current.toLowerCase(); // camelCase boundary
+}
+
+function scoreFrom(query, text, lowerText, start) {
+    const indices = [];
+    let score = 0;
+    let position = start;
+    for (const char of query) {
+        const index = lowerText.indexOf(char, position);
+        if (index === -1) return null;
+        const previousIndex = indices.length > 0 ? indices[indices.length - 1] : null;
+        score += 1;
+        if (previousIndex !== null && index === previousIndex + 1) score += CONSECUTIVE_BONUS;
+        if (isWordStart(text, index)) score += WORD_START_BONUS;
+        if (previousIndex !== null) score -= Math.min(MAX_GAP_PENALTY, index - previousIndex - 1);
+        indices.push(index);
+        position = index + 1;
+    }
+    if (indices[0] === 0) score += PREFIX_BONUS;
+    return { score, indices };
+}
+
+/**
+ * Fuzzy-matches a query against a short text such as a title.
+ * Tries every occurrence of the first query character and keeps the best-scoring match.
+ * @param {string} query
+ * @param {string} text
+ * @returns {{score: number, indices: Array<number>}|null} Matched character positions, or null.
+ */
+export function fuzzyMatch(query, text) {
+    const lowerQuery = query.trim().toLowerCase();
+    if (!lowerQuery || typeof text !== 'string') return null;
+    const lowerText = text.toLowerCase();
+    let best = null;
+    let start = lowerText.indexOf(lowerQuery[0]);
+    while (start !== -1) {
+        const match = scoreFrom(lowerQuery, text, lowerText, start);
+        if (!match) break; // later starts cannot match either
+        if (!best || match.score > best.score) best = match;
+        start = lowerText.indexOf(lowerQuery[0], start + 1);
+    }
+    return best;
+}
+
+function matchesBody(query, text) {
+    const lowerText = (text || '').toLowerCase();
+    const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    return words.length > 0 && words.every(word => lowerText.includes(word));
+}
+
+/**
+ * Filters and ranks prompts for a search query.
+ * @param {Array<object>} prompts
+ * @param {string} query
+ * @param {object} [options]
+ * @param {boolean} [options.includeBody=false] - Also match the prompt text.
+ * @returns {Array<{prompt: object, score: number, titleIndices: Array<number>}>} Best match first.
+ */
+export function searchPrompts(prompts, query, { includeBody = false } = {}) {
+    if (!query || !query.trim()) return prompts.map(prompt => ({ prompt, score: 0, titleIndices: [] }));
+    const results = [];
+    prompts.forEach(prompt => {
+        const titleMatch = fuzzyMatch(query, prompt.title);
+        const bodyMatch = includeBody && matchesBody(query, prompt.text);
+        if (!titleMatch && !bodyMatch) return;
+        results.push({
+            prompt,
+            score: (titleMatch ? TITLE_MATCH_BASE + titleMatch.score : 0) + (bodyMatch ? 1 : 0),
+            titleIndices: titleMatch ? titleMatch.indices : []
+        });
+    });
+    return results.sort((a, b) => b.score - a.score || a.prompt.title.localeCompare(b.prompt.title));
+}
@@ -0,0 +1,54 @@
+// modules/prompt-tags.js
+
+/**
+ * Tag and favourite helpers for the prompt list.
+ * - Tags are typed as a comma-separated list in the add/edit view
+ * - Tag filtering is case-insensitive and requires every active tag (AND)
+ */
+
+import { normalizeTags } from './prompt-schema.js';
+
+export function parseTagInput(text) {
+    return normalizeTags(typeof text === 'string' ? text.split(',') : []);
+}
+
+export function formatTagInput(tags) {
+    return normalizeTags(tags).join(', ');
+}
+
+/**
+ * Lists every tag used across prompts, sorted alphabetically.
+ * @param {Array<object>} prompts
+ * @returns {Array<string>}
+ */
+export function collectTags(prompts) {
+    const all = prompts.flatMap(p => (Array.isArray(p.tags) ? p.tags : []));
+    return normalizeTags(all).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Keeps prompts that carry every active tag.
+ * @param {Array<object>} prompts
+ * @param {Array<string>} activeTags
+ * @returns {Array<object>}
+ */
+export function filterPromptsByTags(prompts, activeTags) {
+    if (!activeTags || activeTags.length === 0) return prompts;
+    const wanted = activeTags.map(t => t.toLowerCase());
+    return prompts.filter(p => {
+        const tags = (Array.isArray(p.tags) ? p.tags : []).map(t => t.toLowerCase());
+        return wanted.every(t => tags.includes(t));
+    });
+}
+
+/**
+ * Splits prompts into favourites and the rest, keeping their relative order.
+ * @param {Array<object>} prompts
+ * @returns {{favorites: Array<object>, others: Array<object>}}
+ */
+export function partitionFavorites(prompts) {
+    return {
+        favorites: prompts.filter(p => p.favorite === true),
+        others: prompts.filter(p => p.favorite !== true)
+    };
+}
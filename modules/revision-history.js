@@ -0,0 +1,64 @@
+// modules/revision-history.js
+
+/**
+ * Helpers for the revision history panel in the edit view.
+ * - Revisions are recorded by savePrompt() in storageManager.js and read with getPromptRevisions()
+ * - Line diff between two revisions, based on the longest common subsequence of lines
+ */
+
+// Above this many line pairs the LCS table gets too large for the popup; fall back to a whole-text diff.
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Computes a line diff turning `oldText` into `newText`.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+export function diffLines(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        return [
+            ...a.map(text => ({ type: 'removed', text })),
+            ...b.map(text => ({ type: 'added', text }))
+        ];
+    }
+
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'same', text: a[i] });
+            i++; j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: 'removed', text: a[i++] });
+        } else {
+            result.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) result.push({ type: 'added', text: b[j++] });
+    return result;
+}
+
+/**
+ * Label for a revision in the history dropdowns, e.g. "14/10/2026, 09:12 · Win32 (k3f9)".
+ * @param {object} revision
+ * @param {boolean} isCurrent - Marks the newest revision.
+ * @returns {string}
+ */
+export function describeRevision(revision, isCurrent) {
+    const when = new Date(revision.timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+    const label = `${when} · ${revision.deviceName || 'Unknown device'}`;
+    return isCurrent ? `${label} (current)` : label;
+}
@@ -0,0 +1,46 @@
+// modules/storage-usage.js
+
+/**
+ * Data for the storage view.
+ * - Sync totals and the per-prompt breakdown come from getStorageUsage() in storageManager.js
+ * - Local backup usage comes from backup-manager.js
+ */
+
+import { getBackupStorageUsage } from './backup-manager.js';
+
+export const STORAGE_USAGE_SORTS = Object.freeze({
+    bytes: 'Largest first',
+    chunks: 'Most chunks',
+    title: 'Title'
+});
+export const DEFAULT_STORAGE_USAGE_SORT = 'bytes';
+
+/**
+ * Loads sync and backup usage. A failing backup lookup leaves `backups` null rather than hiding sync usage.
+ * @returns {Promise<{sync: object, backups: object|null}>}
+ */
+export async function loadStorageUsage() {
+    const sync = await getStorageUsage();
+    let backups = null;
+    try {
+        backups = await getBackupStorageUsage();
+    } catch (error) {
+        console.warn('Could not measure backup storage:', error.message);
+    }
+    return { sync, backups };
+}
+
+/**
+ * Sorts the per-prompt breakdown. Ties fall back to title order.
+ * @param {Array<object>} prompts - From getStorageUsage().prompts.
+ * @param {string} sortKey - Key of STORAGE_USAGE_SORTS.
+ * @returns {Array<object>}
+ */
+export function sortPromptUsage(prompts, sortKey) {
+    const byTitle = (a, b) => (a.title || '').localeCompare(b.title || '');
+    const compare = {
+        bytes: (a, b) => b.bytes - a.bytes,
+        chunks: (a, b) => b.chunkCount - a.chunkCount
+    }[sortKey];
+    return prompts.slice().sort((a, b) => (compare ? compare(a, b) : 0) || byTitle(a, b));
+}
@@ -0,0 +1,126 @@
+// modules/template-variables.js
+
+/**
+ * Template variables in prompt text.
+ * - {{language}}                 free-text variable
+ * - {{lang=Python}}              free-text variable with a default value
+ * - {{tone|formal,casual,blunt}} choice list, rendered as a dropdown
+ * - {{tone|formal,casual=casual}} choice list with a default choice
+ * - A name used more than once is a single variable, substituted everywhere it appears
+ * - Last-used values are remembered per prompt in the "local" storage backend
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w -]*?)\s*(?:\|([^{}=]*?))?\s*(?:=([^{}]*?))?\s*\}\}/g;
+const REMEMBERED_VALUES_KEY = 'prompt_variable_values'; // { [promptId]: { [name]: value } }
+
+function parseChoices(rawChoices) {
+    if (typeof rawChoices !== 'string') return null;
+    const choices = rawChoices.split(',').map(c => c.trim()).filter(Boolean);
+    return choices.length > 0 ? choices : null;
+}
+
+function parseDefault(rawDefault) {
+    return typeof rawDefault === 'string' ? rawDefault.trim() : null;
+}
+
+/**
+ * Lists the distinct variables used in a prompt text, in order of first appearance.
+ * When a name appears several times, the first choice list and first default found win.
+ * @param {string} text - The prompt text.
+ * @returns {Array<{name: string, choices: Array<string>|null, defaultValue: string|null}>}
+ */
+export function extractTemplateVariables(text) {
+    const variables = [];
+    const byName = new Map();
+    if (typeof text !== 'string') return variables;
+
+    for (const match of text.matchAll(VARIABLE_PATTERN)) {
+        const [, name, rawChoices, rawDefault] = match;
+        const choices = parseChoices(rawChoices);
+        const defaultValue = parseDefault(rawDefault);
+
+        const existing = byName.get(name);
+        if (existing) {
+            if (!existing.choices && choices) existing.choices = choices;
+            if (existing.defaultValue === null && defaultValue !== null) existing.defaultValue = defaultValue;
+            continue;
+        }
+        const variable = { name, choices, defaultValue };
+        byName.set(name, variable);
+        variables.push(variable);
+    }
+    return variables;
+}
+
+/**
+ * Replaces every placeholder with its value, falling back to the placeholder's default
+ * when the value is blank. Placeholders with neither are left untouched.
+ * @param {string} text - The prompt text.
+ * @param {Object<string, string>} values - Map of variable name to value.
+ * @returns {string}
+ */
+export function applyTemplateVariables(text, values) {
+    if (typeof text !== 'string') return '';
+    const variables = extractTemplateVariables(text);
+    return text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+        const value = values ? values[name] : undefined;
+        if (typeof value === 'string' && value.trim() !== '') return value;
+        const variable = variables.find(v => v.name === name);
+        return variable && variable.defaultValue !== null ? variable.defaultValue : placeholder;
+    });
+}
+
+/**
+ * Returns the names of variables that have neither a (non-blank) value nor a default.
+ * @param {Array<object>} variables - As returned by extractTemplateVariables.
+ * @param {Object<string, string>} values - Map of variable name to value.
+ * @returns {Array<string>}
+ */
+export function findUnfilledVariables(variables, values) {
+    return variables
+        .filter(v => v.defaultValue === null)
+        .filter(v => !values || typeof values[v.name] !== 'string' || values[v.name].trim() === '')
+        .map(v => v.name);
+}
+
+/**
+ * Works out the value each field should start with: last-used value, then default,
+ * then the first choice for dropdowns. Remembered values that are no longer a valid
+ * choice are ignored.
+ * @param {Array<object>} variables - As returned by extractTemplateVariables.
+ * @param {Object<string, string>} rememberedValues - Last-used values for the prompt.
+ * @returns {Object<string, string>}
+ */
+export function getInitialVariableValues(variables, rememberedValues) {
+    const initial = {};
+    for (const v of variables) {
+        const remembered = rememberedValues ? rememberedValues[v.name] : undefined;
+        const rememberedIsValid = typeof remembered === 'string' && (!v.choices || v.choices.includes(remembered));
+        if (rememberedIsValid) initial[v.name] = remembered;
+        else if (v.defaultValue !== null) initial[v.name] = v.defaultValue;
+        else if (v.choices) initial[v.name] = v.choices[0];
+        else initial[v.name] = '';
+    }
+    return initial;
+}
+
+export async function loadRememberedVariableValues(promptId) {
+    const { [REMEMBERED_VALUES_KEY]: all } = await StorageBackends.get('local').get([REMEMBERED_VALUES_KEY]);
+    return (all && all[promptId]) || {};
+}
+
+export async function rememberVariableValues(promptId, values) {
+    if (!promptId || !values || Object.keys(values).length === 0) return;
+    const { [REMEMBERED_VALUES_KEY]: all } = await StorageBackends.get('local').get([REMEMBERED_VALUES_KEY]);
+    const next = { ...(all || {}) };
+    next[promptId] = { ...(next[promptId] || {}), ...values };
+    await StorageBackends.get('local').set({ [REMEMBERED_VALUES_KEY]: next });
+}
+
+export async function forgetVariableValues(promptId) {
+    const { [REMEMBERED_VALUES_KEY]: all } = await StorageBackends.get('local').get([REMEMBERED_VALUES_KEY]);
+    if (!all || !all[promptId]) return;
+    const next = { ...all };
+    delete next[promptId];
+    await StorageBackends.get('local').set({ [REMEMBERED_VALUES_KEY]: next });
+}
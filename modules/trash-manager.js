@@ -0,0 +1,152 @@
+// modules/trash-manager.js
+
+/**
+ * Trash for deleted prompts, kept in the "local" storage backend (chrome.storage.local by default).
+ * - Deleting a prompt stores a portable copy here before its sync keys are removed
+ * - Entries expire after a configurable number of days (per device)
+ * - Revision history, remembered variable values and usage stats are kept until the entry is purged,
+ *   so restoring brings them back too
+ * - The trash is per device: a prompt deleted on one device is only restorable there
+ * - Entries remember the prompt's storage tier, so a local-only prompt is restored as local-only
+ */
+
+import { toPortablePrompt } from './prompt-schema.js';
+import { forgetVariableValues } from './template-variables.js';
+import { forgetPromptUsage } from './usage-tracker.js';
+
+const TRASH_KEY = 'trash_items';
+const TRASH_RETENTION_KEY = 'trash_retention_days';
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export async function loadTrash() {
+    const { [TRASH_KEY]: items } = await StorageBackends.get('local').get([TRASH_KEY]);
+    return Array.isArray(items) ? items : [];
+}
+
+async function writeTrash(items) {
+    await StorageBackends.get('local').set({ [TRASH_KEY]: items });
+}
+
+export async function loadTrashRetentionDays() {
+    const { [TRASH_RETENTION_KEY]: days } = await StorageBackends.get('local').get([TRASH_RETENTION_KEY]);
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+export async function saveTrashRetentionDays(days) {
+    if (!Number.isInteger(days) || days < 1) throw new Error('Retention must be a whole number of days (1 or more).');
+    await StorageBackends.get('local').set({ [TRASH_RETENTION_KEY]: days });
+}
+
+/**
+ * Adds a prompt to the trash. A previous trash entry for the same id is replaced.
+ * @param {object} prompt - Loaded prompt.
+ * @returns {Promise<object>} The trash entry {prompt, deletedAt, storageTier}.
+ */
+export async function moveToTrash(prompt) {
+    const items = (await loadTrash()).filter(item => item.prompt.id !== prompt.id);
+    const entry = { prompt: toPortablePrompt(prompt), deletedAt: Date.now(), storageTier: prompt.storageTier || null };
+    items.push(entry);
+    await writeTrash(items);
+    return entry;
+}
+
+function promptOfEntry(entry) {
+    return entry.storageTier ? { ...entry.prompt, storageTier: entry.storageTier } : entry.prompt;
+}
+
+/**
+ * Returns the prompt of a trash entry for saving back, leaving the entry in place.
+ * Drop it with dropFromTrash() once the prompt has been saved.
+ * @param {string} promptId
+ * @returns {Promise<object|null>} The prompt, with `storageTier` set if the entry recorded one.
+ */
+export async function getTrashedPrompt(promptId) {
+    const entry = (await loadTrash()).find(item => item.prompt.id === promptId);
+    return entry ? promptOfEntry(entry) : null;
+}
+
+/**
+ * Removes an entry from the trash and returns its prompt.
+ * @param {string} promptId
+ * @returns {Promise<object|null>} The prompt, with `storageTier` set if the entry recorded one.
+ */
+export async function takeFromTrash(promptId) {
+    const items = await loadTrash();
+    const entry = items.find(item => item.prompt.id === promptId);
+    if (!entry) return null;
+    await writeTrash(items.filter(item => item !== entry));
+    return promptOfEntry(entry);
+}
+
+async function forgetPromptData(promptId) {
+    try {
+        if (typeof deletePromptRevisions === 'function') await deletePromptRevisions(promptId);
+        await forgetVariableValues(promptId);
+        await forgetPromptUsage(promptId);
+    } catch (e) {
+        console.warn('Could not clear local data for purged prompt:', promptId, e);
+    }
+}
+
+// Ids of the prompts in the library, or null while it is locked or cannot be read
+async function loadLibraryPromptIds() {
+    try {
+        const status = await getEncryptionStatus();
+        if (status.enabled && !status.unlocked) return null;
+        return new Set(await getStoredPromptIds());
+    } catch (e) {
+        console.warn('Could not read the library before purging the trash:', e);
+        return null;
+    }
+}
+
+/**
+ * Permanently removes entries from the trash. The local data of a prompt that is in the library again
+ * (e.g. restored from a backup) is kept, since it now belongs to that prompt. While the library is locked
+ * or cannot be read, no local data is removed: a live prompt's data must not be taken for a purged one's.
+ * @param {Array<string>} promptIds
+ */
+export async function purgeFromTrash(promptIds) {
+    const items = await loadTrash();
+    const purged = items.filter(item => promptIds.includes(item.prompt.id));
+    await writeTrash(items.filter(item => !promptIds.includes(item.prompt.id)));
+    const libraryIds = purged.length > 0 ? await loadLibraryPromptIds() : null;
+    if (!libraryIds) return purged.length;
+    for (const item of purged) {
+        if (!libraryIds.has(item.prompt.id)) await forgetPromptData(item.prompt.id);
+    }
+    return purged.length;
+}
+
+/**
+ * Removes the entries of prompts that are back in the library, keeping their revision history,
+ * remembered variable values and usage stats.
+ * @param {Array<string>} promptIds
+ * @returns {Promise<number>} Number of entries removed.
+ */
+export async function dropFromTrash(promptIds) {
+    const items = await loadTrash();
+    const remaining = items.filter(item => !promptIds.includes(item.prompt.id));
+    if (remaining.length === items.length) return 0;
+    await writeTrash(remaining);
+    return items.length - remaining.length;
+}
+
+export function getTrashExpiry(entry, retentionDays) {
+    return entry.deletedAt + retentionDays * DAY_MS;
+}
+
+/**
+ * Purges entries older than the retention period.
+ * @param {number} retentionDays
+ * @returns {Promise<number>} Number of entries purged.
+ */
+export async function purgeExpiredTrash(retentionDays) {
+    const now = Date.now();
+    const expiredIds = (await loadTrash())
+        .filter(item => getTrashExpiry(item, retentionDays) <= now)
+        .map(item => item.prompt.id);
+    if (expiredIds.length === 0) return 0;
+    return purgeFromTrash(expiredIds);
+}
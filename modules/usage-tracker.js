@@ -0,0 +1,128 @@
+// modules/usage-tracker.js
+
+/**
+ * Per-prompt usage statistics and the list sort modes built on them.
+ * - The "manual" mode is not usage based: it shows the drag-and-drop order from prompt-order.js
+ * - Stored in the "local" storage backend as {[promptId]: {count, copies, lastUsed, frecency, frecencyAt}},
+ *   so frequent updates never touch the sync quota
+ * - `count` is incremented when a prompt is opened, `copies` when its output is copied
+ * - Frecency is a score that decays by half every FRECENCY_HALF_LIFE_MS; each open adds 1 and each copy 2
+ */
+
+const USAGE_KEY = 'prompt_usage';
+const SORT_MODE_KEY = 'prompt_list_sort_mode';
+const FRECENCY_HALF_LIFE_MS = 7 * 24 * 60 * 60 * 1000;
+const OPEN_WEIGHT = 1;
+const COPY_WEIGHT = 2;
+
+// Updates are read-modify-write of one item, so they run one after another; otherwise an open and
+// a copy recorded together could each overwrite the other's count. The queue is per page: updates
+// recorded at the same moment in two pages (e.g. the popup and the background worker) can still
+// overwrite each other, at the cost of one usage count.
+let usageWrites = Promise.resolve();
+
+function queueUsageWrite(update) {
+    const write = usageWrites.then(update);
+    usageWrites = write.catch(() => {});
+    return write;
+}
+
+export const SORT_MODES = Object.freeze({
+    title: 'Title',
+    frecency: 'Frecency',
+    mostUsed: 'Most used',
+    recent: 'Recently used',
+    manual: 'Manual (drag to reorder)'
+});
+export const DEFAULT_SORT_MODE = 'title';
+
+export async function loadPromptUsage() {
+    const { [USAGE_KEY]: usage } = await StorageBackends.get('local').get([USAGE_KEY]);
+    return usage && typeof usage === 'object' ? usage : {};
+}
+
+export async function loadSortMode() {
+    const { [SORT_MODE_KEY]: mode } = await StorageBackends.get('local').get([SORT_MODE_KEY]);
+    return SORT_MODES[mode] ? mode : DEFAULT_SORT_MODE;
+}
+
+export async function saveSortMode(mode) {
+    await StorageBackends.get('local').set({ [SORT_MODE_KEY]: mode });
+}
+
+/**
+ * Decays a stored frecency score to the given time.
+ * @param {object|undefined} entry - Usage entry.
+ * @param {number} now
+ * @returns {number}
+ */
+export function currentFrecency(entry, now = Date.now()) {
+    if (!entry || !entry.frecency) return 0;
+    const age = Math.max(0, now - (entry.frecencyAt || 0));
+    return entry.frecency * Math.pow(0.5, age / FRECENCY_HALF_LIFE_MS);
+}
+
+async function recordUsage(promptIds, kind) {
+    const ids = [...new Set(promptIds.filter(Boolean))];
+    if (ids.length === 0) return;
+    await queueUsageWrite(() => writeUsage(ids, kind));
+}
+
+async function writeUsage(ids, kind) {
+    const usage = await loadPromptUsage();
+    const now = Date.now();
+    ids.forEach(id => {
+        const entry = usage[id] || { count: 0, copies: 0, lastUsed: 0 };
+        if (kind === 'copy') entry.copies = (entry.copies || 0) + 1;
+        else entry.count = (entry.count || 0) + 1;
+        entry.frecency = currentFrecency(entry, now) + (kind === 'copy' ? COPY_WEIGHT : OPEN_WEIGHT);
+        entry.frecencyAt = now;
+        entry.lastUsed = now;
+        usage[id] = entry;
+    });
+    await StorageBackends.get('local').set({ [USAGE_KEY]: usage });
+}
+
+/**
+ * Records that prompts were opened (selected or composed).
+ * @param {Array<string>} promptIds
+ */
+export function recordPromptOpened(promptIds) {
+    return recordUsage(promptIds, 'open');
+}
+
+/**
+ * Records that output built from prompts was copied.
+ * @param {Array<string>} promptIds
+ */
+export function recordPromptCopied(promptIds) {
+    return recordUsage(promptIds, 'copy');
+}
+
+export function forgetPromptUsage(promptId) {
+    return queueUsageWrite(async () => {
+        const usage = await loadPromptUsage();
+        if (!(promptId in usage)) return;
+        delete usage[promptId];
+        await StorageBackends.get('local').set({ [USAGE_KEY]: usage });
+    });
+}
+
+/**
+ * Sorts prompts for display. Ties (including never-used prompts) keep title order.
+ * @param {Array<object>} prompts - Prompts in title order, as returned by getAllPrompts().
+ * @param {string} mode - Key of SORT_MODES.
+ * @param {object} usage - From loadPromptUsage().
+ * @param {number} [now=Date.now()]
+ * @returns {Array<object>}
+ */
+export function sortPromptsByUsage(prompts, mode, usage, now = Date.now()) {
+    const keyOf = {
+        frecency: (p) => currentFrecency(usage[p.id], now),
+        mostUsed: (p) => (usage[p.id] ? (usage[p.id].count || 0) + (usage[p.id].copies || 0) : 0),
+        recent: (p) => (usage[p.id] ? usage[p.id].lastUsed || 0 : 0)
+    }[mode];
+    if (!keyOf) return prompts;
+    // Array.prototype.sort is stable, so equal keys stay in title order.
+    return prompts.slice().sort((a, b) => keyOf(b) - keyOf(a));
+}
@@ -13,15 +13,106 @@ import { initializeVersionStatus, updateVersionStatusDisplay } from './modules/v
 
 import { 
     handleSelectPrompt, 
+    handleComposePrompts, 
+    renderVariableFormForText, 
     handleEditPrompt, 
     handleDeletePrompt, 
+    handleToggleFavorite, 
+    handleTogglePinned, 
+    handleReorderPrompt, 
+    handleRevertToRevision, 
+    handleRestoreFromTrash, 
+    handlePurgeFromTrash, 
+    handleMovePromptToFolder, 
+    handleCreateFolder, 
+    handleRenameFolder, 
+    handleDeleteFolder, 
     handleSavePrompt, 
     handleExportPrompts, 
     handleImportPrompts, 
     handleFileImport 
 } from './modules/prompt-operations.js';
 
-import { listBackups, backupToday, backupDailyIfMissing, restoreBackup } from './modules/backup-manager.js';
+import { 
+    extractTemplateVariables, 
+    applyTemplateVariables, 
+    findUnfilledVariables, 
+    rememberVariableValues 
+} from './modules/template-variables.js';
+
+import { expandPromptIncludes, describeIncludeProblems } from './modules/prompt-includes.js';
+
+import { 
+    OUTPUT_FORMAT_PRESETS, 
+    CUSTOM_FORMAT_ID, 
+    loadOutputFormatSettings, 
+    saveOutputFormatSettings, 
+    resolveOutputFormat, 
+    buildFormattedOutput 
+} from './modules/output-format.js';
+
+import { API_PROVIDERS, API_EXPORT_FORMATS, buildApiRequestExport } from './modules/api-request-export.js';
+
+import { 
+    DEFAULT_COMPOSE_SEPARATOR, 
+    encodeSeparator, 
+    decodeSeparator, 
+    loadComposeSeparator, 
+    saveComposeSeparator, 
+    resolveComposition, 
+    composePrompts, 
+    moveItem 
+} from './modules/prompt-composition.js';
+
+import { collectTags, filterPromptsByTags, partitionFavorites } from './modules/prompt-tags.js';
+
+import { searchPrompts } from './modules/prompt-search.js';
+
+import { diffLines, describeRevision } from './modules/revision-history.js';
+
+import { 
+    DEFAULT_TRASH_RETENTION_DAYS, 
+    loadTrash, 
+    loadTrashRetentionDays, 
+    saveTrashRetentionDays, 
+    getTrashExpiry, 
+    purgeExpiredTrash 
+} from './modules/trash-manager.js';
+
+import { 
+    SORT_MODES, 
+    DEFAULT_SORT_MODE, 
+    loadPromptUsage, 
+    loadSortMode, 
+    saveSortMode, 
+    recordPromptCopied, 
+    sortPromptsByUsage 
+} from './modules/usage-tracker.js';
+
+import { 
+    loadFolders, 
+    loadCollapsedFolderIds, 
+    saveCollapsedFolderIds, 
+    listFolderOptions, 
+    buildFolderTree, 
+    onFoldersChanged 
+} from './modules/folder-manager.js';
+
+import { loadPromptOrder, onPromptOrderChanged, sortPromptsManually, pinnedFirst } from './modules/prompt-order.js';
+
+import {
+    listBackups,
+    backupToday,
+    backupDailyIfMissing,
+    loadBackupSnapshot,
+    compareBackupToLibrary,
+    restorePromptsFromBackup,
+    loadBackupEncryption,
+    saveBackupEncryption,
+    rewriteBackups
+} from './modules/backup-manager.js';
+
+import { STORAGE_USAGE_SORTS, DEFAULT_STORAGE_USAGE_SORT, loadStorageUsage, sortPromptUsage } from './modules/storage-usage.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
     if (typeof UIManager === 'undefined' || typeof UIManager.init !== 'function') {
@@ -35,7 +126,37 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     let currentPrompts = [];
     let selectedSystemPromptText = '';
+    let selectedPromptId = null;
     let currentEditingId = null;
+    let currentEditingRev = null; // rev of the prompt when editing started, for conflict detection
+    let conflictStoredRev = null; // rev of the saved version shown in the merge panel
+    let notifiedRemoteEditRev = null; // last remote rev of the edited prompt we showed a toast for
+    let isSavingPrompt = false;
+    let liveRefreshTimer = null;
+    let outputFormatSettings = { defaultFormat: 'delimited', customTemplate: OUTPUT_FORMAT_PRESETS.delimited.template };
+    let customTemplateDraft = '';
+    let composeSelectionIds = []; // ticked in the list, in tick order
+    let activeCompositionIds = []; // composed in the input view, in composition order
+    let composeSeparator = DEFAULT_COMPOSE_SEPARATOR;
+    let activeTagFilters = [];
+    let currentFolders = [];
+    let collapsedFolderIds = [];
+    let searchQuery = '';
+    let sortMode = DEFAULT_SORT_MODE;
+    let promptOrder = []; // manual list order (prompt ids), synced
+    let promptUsage = {};
+    let currentRevisions = []; // revisions of the prompt being edited, oldest first
+    let trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS;
+    let storageUsage = null; // shown in the storage view; reloaded each time it opens
+    let storageUsageSort = DEFAULT_STORAGE_USAGE_SORT;
+    let quarantineEntries = [];
+    let recoveringQuarantineId = null; // quarantined item whose text is open in the add form
+    let encryptionStatus = { enabled: false, unlocked: false, expiresAt: 0, timeoutMinutes: 15 };
+    let encryptBackups = true; // this device's "Encrypt local backups" setting
+    let isLibraryLoaded = false; // the list, live updates and daily backup are set up once, after any unlock
+    let selectedBackupKey = null; // backup shown in the backups view
+    let backupComparison = []; // from compareBackupToLibrary()
+    let backupSelectionIds = []; // prompts ticked for restoring
     let currentPastedImageBase64 = null; 
     let locallyStagedImage = {
         dataURI: null,
@@ -63,11 +184,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.log("Refreshing prompt list and dynamic buttons.");
         try {
             currentPrompts = await getAllPrompts();
-            UIManager.renderPromptList(currentPrompts, 
-                (id) => handleSelectPrompt(id, currentPrompts, (text) => selectedSystemPromptText = text, clearUserInputFullState, clearPendingImageFromBackground, UIManager),
-                (id) => handleEditPrompt(id, currentPrompts, (id) => currentEditingId = id, clearPendingImageFromBackground, () => resetLocallyStagedImage(locallyStagedImage), (val) => currentPastedImageBase64 = val, UIManager),
-                (id, title) => handleDeletePrompt(id, title, deletePrompt, clearPendingImageFromBackground, refreshPromptListAndDynamicButtons)
-            );
+            currentFolders = await loadFolders();
+            promptOrder = await loadPromptOrder();
+            await refreshPromptUsage();
+            UIManager.renderFolderOptions(listFolderOptions(currentFolders));
+            composeSelectionIds = composeSelectionIds.filter(id => currentPrompts.some(p => p.id === id));
+            const tagsInUse = collectTags(currentPrompts).map(t => t.toLowerCase());
+            activeTagFilters = activeTagFilters.filter(t => tagsInUse.includes(t.toLowerCase()));
+            renderCurrentPromptList();
             await updatePendingImageCopyButtonVisibility();
         } catch (error) {
             console.error("Failed to load prompts for refresh.", error.message, error.stack);
@@ -75,6 +199,697 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
     
+    function renderCurrentPromptList() {
+        UIManager.renderTagFilterBar(collectTags(currentPrompts), activeTagFilters, handleTagFilterToggle, handleTagFilterClear);
+
+        const filteredPrompts = filterPromptsByTags(currentPrompts, activeTagFilters);
+        const visiblePrompts = pinnedFirst(sortMode === 'manual'
+            ? sortPromptsManually(filteredPrompts, promptOrder)
+            : sortPromptsByUsage(filteredPrompts, sortMode, promptUsage));
+        const isSearching = searchQuery.trim().length > 0;
+        // Drag-to-reorder works on the whole library, so hidden prompts keep their place.
+        const orderedPrompts = pinnedFirst(sortPromptsManually(currentPrompts, promptOrder));
+        let sections;
+        let titleHighlights = null;
+        if (isSearching) {
+            // While searching, show one flat list ranked by match quality.
+            const results = searchPrompts(visiblePrompts, searchQuery, { includeBody: !!(elements.searchBodyInput && elements.searchBodyInput.checked) });
+            sections = [{ label: null, prompts: results.map(r => r.prompt) }];
+            titleHighlights = Object.fromEntries(results.map(r => [r.prompt.id, r.titleIndices]));
+        } else {
+            const { favorites } = partitionFavorites(visiblePrompts);
+            // Favourites are listed on their own as well as in their folder.
+            const folderTree = buildFolderTree(currentFolders, visiblePrompts, { hideEmptyFolders: activeTagFilters.length > 0 });
+            sections = [
+                { label: 'Favourites', prompts: favorites },
+                { label: favorites.length > 0 || currentFolders.length > 0 ? 'All Prompts' : null, tree: folderTree }
+            ];
+        }
+        UIManager.renderPromptList(isSearching ? sections[0].prompts : visiblePrompts, 
+            selectPromptById,
+            openEditView,
+            (id) => handleDeletePrompt(id, currentPrompts, deletePrompt, clearPendingImageFromBackground, refreshPromptListAndDynamicButtons, showDeleteUndoToast, quarantineDeletedPrompt),
+            {
+                sections,
+                emptyMessage: currentPrompts.length === 0 ? null
+                    : isSearching ? 'No prompts match your search.' : 'No prompts match the selected tags.',
+                titleHighlights,
+                activateFirst: isSearching,
+                composeSelection: { selectedIds: composeSelectionIds, onToggle: handleComposeSelectionToggle },
+                onToggleFavorite: (id) => handleToggleFavorite(id, currentPrompts, savePrompt, refreshPromptListAndDynamicButtons),
+                onTogglePinned: (id) => handleTogglePinned(id, currentPrompts, savePrompt, refreshPromptListAndDynamicButtons),
+                manualOrder: sortMode === 'manual' && !isSearching ? {
+                    onReorderPrompt: (promptId, targetId, placeAfter) => handleReorderPrompt(promptId, targetId, placeAfter, orderedPrompts, savePrompt, refreshPromptListAndDynamicButtons)
+                } : null,
+                folderTree: {
+                    collapsedIds: collapsedFolderIds,
+                    onToggleCollapse: handleToggleFolderCollapse,
+                    onMovePrompt: (promptId, folderId) => handleMovePromptToFolder(promptId, folderId, currentPrompts, savePrompt, refreshPromptListAndDynamicButtons),
+                    onAddSubfolder: (folderId) => handleCreateFolder(folderId, currentFolders, refreshPromptListAndDynamicButtons),
+                    onRenameFolder: (folderId) => handleRenameFolder(folderId, currentFolders, refreshPromptListAndDynamicButtons),
+                    onDeleteFolder: (folderId) => handleDeleteFolder(folderId, currentFolders, currentPrompts, savePrompt, refreshPromptListAndDynamicButtons)
+                }
+            }
+        );
+        UIManager.updateComposeBar(composeSelectionIds.length);
+    }
+
+    async function openEditView(id) {
+        recoveringQuarantineId = null;
+        await handleEditPrompt(id, currentPrompts, (id) => currentEditingId = id, clearPendingImageFromBackground, () => resetLocallyStagedImage(locallyStagedImage), (val) => currentPastedImageBase64 = val, UIManager);
+        const prompt = currentPrompts.find(p => p.id === id);
+        currentEditingRev = prompt ? prompt.rev : null;
+        notifiedRemoteEditRev = null;
+        UIManager.hideEditConflict();
+        await showRevisionHistory(id);
+    }
+
+    async function handleSavePromptClick() {
+        isSavingPrompt = true;
+        try {
+            currentEditingId = await handleSavePrompt(elements, currentEditingId, savePrompt, refreshPromptListAndDynamicButtons, UIManager, currentPrompts, currentEditingRev, showEditConflict);
+        } finally {
+            isSavingPrompt = false;
+        }
+        if (currentEditingId === null && recoveringQuarantineId) {
+            // The recovered text is saved as a prompt; the quarantined copy is no longer needed
+            try {
+                await removeQuarantinedItems([recoveringQuarantineId]);
+                await refreshQuarantine();
+            } catch (err) {
+                console.warn('Failed to remove recovered item from quarantine:', err);
+            }
+            recoveringQuarantineId = null;
+        }
+        try {
+            await backupToday(currentPrompts);
+            console.log('Local backup updated for today after save.');
+        } catch (err) {
+            console.warn('Failed to create local backup after save:', err);
+        }
+    }
+
+    function showEditConflict(promptToSave, storedVersion) {
+        conflictStoredRev = storedVersion.rev;
+        UIManager.showEditConflict(promptToSave, storedVersion);
+    }
+
+    async function handleSaveMergedClick() {
+        const merged = UIManager.getMergedConflictValues();
+        if (!merged.title || !merged.text) {
+            alert("Title and prompt text cannot be empty.");
+            return;
+        }
+        elements.promptTitleInput.value = merged.title;
+        elements.promptTextInput.value = merged.text;
+        currentEditingRev = conflictStoredRev; // The merge is based on the saved version now
+        UIManager.hideEditConflict();
+        await handleSavePromptClick();
+    }
+
+    async function handleUseTheirsClick() {
+        console.log("Discarding edits in favour of the saved version of prompt ID:", currentEditingId);
+        await handleCancelAddEditClick();
+        await refreshPromptListAndDynamicButtons();
+    }
+
+    // One save can change several keys (chunks, then metadata); refresh once they have settled.
+    const LIVE_REFRESH_DELAY_MS = 300;
+
+    function scheduleLiveRefresh() {
+        clearTimeout(liveRefreshTimer);
+        liveRefreshTimer = setTimeout(async () => {
+            await refreshPromptListAndDynamicButtons();
+            warnIfEditedPromptChanged();
+        }, LIVE_REFRESH_DELAY_MS);
+    }
+
+    /**
+     * Tells the user when the prompt open in the edit view was saved or deleted elsewhere.
+     * The save itself still goes through the conflict check.
+     */
+    function warnIfEditedPromptChanged() {
+        if (!currentEditingId || isSavingPrompt) return;
+        const prompt = currentPrompts.find(p => p.id === currentEditingId);
+        const storedRev = prompt ? prompt.rev : null;
+        if (storedRev === currentEditingRev || storedRev === notifiedRemoteEditRev) return;
+        notifiedRemoteEditRev = storedRev;
+        UIManager.showToast(prompt
+            ? `"${prompt.title}" was just changed on another device. Saving will let you merge the changes.`
+            : 'The prompt you are editing was deleted on another device. Saving will recreate it.', null, null);
+    }
+
+    async function showRevisionHistory(promptId) {
+        try {
+            currentRevisions = await getPromptRevisions(promptId);
+        } catch (error) {
+            console.warn("Failed to load revision history:", error.message);
+            currentRevisions = [];
+        }
+        const lastIndex = currentRevisions.length - 1;
+        UIManager.renderRevisionHistory(currentRevisions.map((r, i) => describeRevision(r, i === lastIndex)), Math.max(0, lastIndex - 1), lastIndex);
+        if (currentRevisions.length >= 2) handleRevisionSelectionChange();
+    }
+
+    function handleRevisionSelectionChange() {
+        const { fromIndex, toIndex } = UIManager.getRevisionSelection();
+        const from = currentRevisions[fromIndex];
+        const to = currentRevisions[toIndex];
+        if (!from || !to) return;
+        const titleChange = from.title !== to.title ? `Title: "${from.title}" → "${to.title}"` : null;
+        UIManager.renderRevisionDiff(diffLines(from.text, to.text), titleChange);
+    }
+
+    async function handleRevertRevisionClick() {
+        const promptId = currentEditingId;
+        const { fromIndex } = UIManager.getRevisionSelection();
+        const reverted = await handleRevertToRevision(promptId, currentRevisions[fromIndex], currentPrompts, savePrompt, refreshPromptListAndDynamicButtons);
+        if (reverted) await openEditView(promptId);
+    }
+
+    function showDeleteUndoToast(prompt) {
+        UIManager.showToast(`"${prompt.title}" moved to Trash.`, 'Undo', () => handleRestoreFromTrash(prompt.id, savePrompt, refreshPromptListAndDynamicButtons));
+    }
+
+    async function refreshTrashView() {
+        let items = [];
+        try {
+            items = await loadTrash();
+        } catch (error) {
+            console.error("Failed to load trash:", error.message, error.stack);
+        }
+        const entries = items.map(item => ({
+            id: item.prompt.id,
+            title: item.prompt.title,
+            deletedAt: item.deletedAt,
+            expiresAt: getTrashExpiry(item, trashRetentionDays)
+        }));
+        UIManager.renderTrashList(entries, trashRetentionDays, {
+            onRestore: async (id) => {
+                if (await handleRestoreFromTrash(id, savePrompt, refreshPromptListAndDynamicButtons)) await refreshTrashView();
+            },
+            onPurge: (id) => {
+                const entry = entries.find(e => e.id === id);
+                handlePurgeFromTrash([id], `Permanently delete "${entry ? entry.title : id}"? This cannot be undone.`, refreshTrashView);
+            }
+        });
+        return entries;
+    }
+
+    async function handleTrashClick() {
+        console.log("Trash button clicked.");
+        UIManager.hideToast();
+        await refreshTrashView();
+        UIManager.showView(UIManager.VIEWS.TRASH);
+    }
+
+    async function handleEmptyTrashClick() {
+        const entries = await refreshTrashView();
+        await handlePurgeFromTrash(entries.map(e => e.id), `Permanently delete all ${entries.length} prompts in the trash? This cannot be undone.`, refreshTrashView);
+    }
+
+    async function handleTrashRetentionChange() {
+        const days = parseInt(elements.trashRetentionInput.value, 10);
+        try {
+            await saveTrashRetentionDays(days);
+            trashRetentionDays = days;
+            const purged = await purgeExpiredTrash(trashRetentionDays);
+            if (purged > 0) console.log(`Purged ${purged} expired prompt(s) from trash.`);
+        } catch (error) {
+            console.warn("Failed to update trash retention:", error.message);
+            alert(error.message);
+        }
+        await refreshTrashView();
+    }
+
+    function renderStorageView() {
+        UIManager.renderStorageUsage(storageUsage, sortPromptUsage(storageUsage.sync.prompts, storageUsageSort), STORAGE_USAGE_SORTS, storageUsageSort);
+    }
+
+    async function handleStorageClick() {
+        console.log("Storage button clicked.");
+        UIManager.hideToast();
+        try {
+            storageUsage = await loadStorageUsage();
+        } catch (error) {
+            console.error("Failed to measure storage usage:", error.message, error.stack);
+            alert(`Failed to measure storage usage: ${error.message}`);
+            return;
+        }
+        renderStorageView();
+        await refreshQuarantine();
+        UIManager.showView(UIManager.VIEWS.STORAGE);
+    }
+
+    async function refreshQuarantine() {
+        try {
+            quarantineEntries = await getQuarantinedItems();
+        } catch (error) {
+            console.warn("Failed to load quarantine:", error.message);
+        }
+        UIManager.showQuarantineNotice(quarantineEntries.length);
+        UIManager.renderQuarantineList(quarantineEntries, {
+            onRecover: handleRecoverQuarantinedClick,
+            onDiscard: handleDiscardQuarantinedClick
+        });
+    }
+
+    // Deleting a corrupted prompt moves it to the quarantine instead of the trash
+    async function quarantineDeletedPrompt(promptId) {
+        await quarantineCorruptedPrompt(promptId);
+        await refreshQuarantine();
+    }
+
+    async function handleCheckIntegrityClick() {
+        let report = null;
+        try {
+            report = await scanStorageIntegrity();
+        } catch (error) {
+            console.error("Integrity check failed:", error.message, error.stack);
+        }
+        UIManager.renderIntegrityReport(report, true);
+    }
+
+    async function handleQuarantineNowClick() {
+        const report = await autoCleanupInconsistentStorage({ includeCorrupted: true });
+        UIManager.renderIntegrityReport(report, false);
+        await handleStorageClick();
+    }
+
+    async function handleRecoverQuarantinedClick(quarantineId) {
+        const entry = quarantineEntries.find(e => e.quarantineId === quarantineId);
+        if (!entry) return;
+        await handleAddPromptClick();
+        recoveringQuarantineId = quarantineId;
+        UIManager.setAddEditFormValues('Recover Prompt', `${entry.title || 'Untitled'} (recovered)`, entry.partialText);
+    }
+
+    async function handleDiscardQuarantinedClick(quarantineId) {
+        const entry = quarantineEntries.find(e => e.quarantineId === quarantineId);
+        if (!entry || !confirm(`Discard the quarantined copy of "${entry.title || entry.id}"? Its text cannot be recovered afterwards.`)) return;
+        try {
+            await removeQuarantinedItems([quarantineId]);
+        } catch (error) {
+            console.error("Failed to discard quarantined item:", error.message, error.stack);
+            alert(`Failed to discard: ${error.message}`);
+        }
+        await refreshQuarantine();
+    }
+
+    async function refreshEncryptionStatus() {
+        try {
+            encryptionStatus = await getEncryptionStatus();
+            encryptBackups = await loadBackupEncryption();
+        } catch (error) {
+            console.warn("Failed to load encryption status:", error.message);
+        }
+        UIManager.renderEncryptionStatus(encryptionStatus, encryptBackups);
+    }
+
+    // Locked: nothing decrypted stays on screen or in memory.
+    function showUnlockView() {
+        currentPrompts = [];
+        selectedSystemPromptText = '';
+        selectedPromptId = null;
+        currentEditingId = null;
+        currentEditingRev = null;
+        composeSelectionIds = [];
+        activeCompositionIds = [];
+        UIManager.hideCompositionPanel();
+        UIManager.hideEditConflict();
+        clearUserInputFullState();
+        if (elements.promptList) elements.promptList.innerHTML = '';
+        UIManager.setAddEditFormValues('Add New Prompt', '', '');
+        UIManager.showUnlockError(null);
+        UIManager.showView(UIManager.VIEWS.UNLOCK);
+        if (elements.unlockPassphraseInput) elements.unlockPassphraseInput.focus();
+    }
+
+    function handleEncryptionStateChanged(status) {
+        encryptionStatus = status;
+        UIManager.renderEncryptionStatus(encryptionStatus, encryptBackups);
+        if (status.enabled && !status.unlocked) {
+            console.log("Prompt library locked.");
+            showUnlockView();
+        }
+    }
+
+    async function handleUnlockClick() {
+        const passphrase = elements.unlockPassphraseInput.value;
+        if (!passphrase) return;
+        elements.unlockButton.disabled = true;
+        elements.unlockButton.textContent = 'Unlocking…';
+        let unlocked = false;
+        let unlockErrorMessage = 'Wrong passphrase.';
+        try {
+            unlocked = await unlockEncryption(passphrase);
+        } catch (error) {
+            console.error("Failed to unlock:", error.message, error.stack);
+            unlockErrorMessage = `Could not unlock: ${error.message}`;
+        }
+        UIManager.clearPassphraseInputs();
+        elements.unlockButton.disabled = false;
+        elements.unlockButton.textContent = 'Unlock';
+        if (!unlocked) {
+            UIManager.showUnlockError(unlockErrorMessage);
+            elements.unlockPassphraseInput.focus();
+            return;
+        }
+        if (!isLibraryLoaded) {
+            await loadLibrary();
+            return;
+        }
+        await refreshPromptListAndDynamicButtons();
+        UIManager.showView(UIManager.VIEWS.LIST);
+        UIManager.focusSearchInput();
+    }
+
+    async function handleBackupsClick() {
+        console.log("Backups button clicked.");
+        UIManager.hideToast();
+        let backups = [];
+        try {
+            backups = await listBackups();
+        } catch (error) {
+            console.error("Failed to list backups:", error.message, error.stack);
+        }
+        if (backups.length === 0) {
+            alert('No local backups found.');
+            return;
+        }
+        UIManager.renderBackupOptions(backups.map(b => ({ value: b.key, label: `${b.key.replace('prompt_backup_', '')} · ${b.count} prompts` })), backups[0].key);
+        UIManager.showView(UIManager.VIEWS.BACKUPS);
+        await showBackupComparison(backups[0].key);
+    }
+
+    async function showBackupComparison(key) {
+        selectedBackupKey = key;
+        backupSelectionIds = [];
+        try {
+            const snapshot = await loadBackupSnapshot(key);
+            backupComparison = compareBackupToLibrary(snapshot.prompts, currentPrompts, { backupFolders: snapshot.folders, currentFolders });
+        } catch (error) {
+            console.error("Failed to open backup:", error.message, error.stack);
+            alert(`Failed to open the backup: ${error.message}`);
+            backupComparison = [];
+        }
+        renderBackupComparison();
+    }
+
+    function renderBackupComparison() {
+        UIManager.renderBackupComparison(backupComparison, backupSelectionIds, {
+            onToggle: handleBackupPromptToggle,
+            getDiff: getBackupDiff
+        });
+    }
+
+    // Diff from the current version to the backed-up one; a deleted prompt's backed-up text is all "added".
+    function getBackupDiff(promptId) {
+        const entry = backupComparison.find(e => e.id === promptId);
+        if (!entry || !entry.backup) return [];
+        if (!entry.current) return entry.backup.text.split('\n').map(text => ({ type: 'added', text }));
+        return diffLines(entry.current.text, entry.backup.text);
+    }
+
+    function getRestorableBackupIds() {
+        return backupComparison.filter(e => e.status === 'changed' || e.status === 'removed').map(e => e.id);
+    }
+
+    function handleBackupPromptToggle(promptId, checked) {
+        backupSelectionIds = checked
+            ? [...backupSelectionIds.filter(id => id !== promptId), promptId]
+            : backupSelectionIds.filter(id => id !== promptId);
+        UIManager.updateBackupSelection(backupSelectionIds.length, getRestorableBackupIds().length);
+    }
+
+    function handleBackupSelectAllChange() {
+        backupSelectionIds = elements.backupSelectAllInput.checked ? getRestorableBackupIds() : [];
+        renderBackupComparison();
+    }
+
+    async function handleRestoreSelectedClick(asCopies) {
+        const count = backupSelectionIds.length;
+        if (count === 0) return;
+        const message = asCopies
+            ? `Add the backed-up versions of ${count} prompt(s) as new prompts? Your current prompts are kept; deleted ones come back as they were.`
+            : `Restore ${count} prompt(s) from this backup? Their current versions are replaced (the revision history keeps them) and deleted ones come back. Other prompts are not changed.`;
+        if (!confirm(message)) return;
+        try {
+            const result = await restorePromptsFromBackup(selectedBackupKey, backupSelectionIds, { asCopies });
+            await refreshPromptListAndDynamicButtons();
+            const orderNote = result.orderError ? `\n\nDeleted prompts were restored at the end of the list instead of in their old place: ${result.orderError}` : '';
+            if (result.failed.length === 0) {
+                alert(`${result.saved} prompts restored.${orderNote}`);
+            } else {
+                const failures = result.failed.map(f => `• ${f.title}: ${f.message}`).join('\n');
+                alert(`${result.saved} prompts restored, ${result.failed.length} failed.\n\n${failures}${orderNote}`);
+            }
+        } catch (error) {
+            console.error("Restore failed:", error.message, error.stack);
+            alert(`Restore failed: ${error.message}`);
+        }
+        await showBackupComparison(selectedBackupKey);
+    }
+
+    async function handleEncryptionClick() {
+        console.log("Encryption button clicked.");
+        UIManager.hideToast();
+        await refreshEncryptionStatus();
+        UIManager.clearPassphraseInputs();
+        UIManager.showView(UIManager.VIEWS.ENCRYPTION);
+    }
+
+    // Re-saving happens prompt by prompt; the ones that failed (usually a full sync storage) are listed.
+    function reportResaveResult(action, result) {
+        if (result.failed.length === 0) {
+            alert(`${action}: ${result.resaved} prompts updated.`);
+            return;
+        }
+        const failures = result.failed.map(f => `• ${f.title}: ${f.message}`).join('\n');
+        alert(`${action}: ${result.resaved} prompts updated, ${result.failed.length} failed. Try again after fixing the cause.\n\n${failures}`);
+    }
+
+    async function runEncryptionChange(button, busyLabel, change) {
+        const label = button.textContent;
+        button.disabled = true;
+        button.textContent = busyLabel;
+        try {
+            await change();
+        } catch (error) {
+            console.error("Encryption change failed:", error.message, error.stack);
+            alert(error.wrongPassphrase ? 'The current passphrase is wrong.' : `Failed: ${error.message}`);
+        } finally {
+            button.disabled = false;
+            button.textContent = label;
+            UIManager.clearPassphraseInputs();
+            await refreshEncryptionStatus();
+            await refreshPromptListAndDynamicButtons();
+        }
+    }
+
+    async function handleEnableEncryptionClick() {
+        const passphrase = elements.encryptionNewPassphraseInput.value;
+        if (passphrase.length < 8) { alert('Use a passphrase of at least 8 characters.'); return; }
+        if (passphrase !== elements.encryptionConfirmPassphraseInput.value) { alert('The passphrases do not match.'); return; }
+        if (!confirm('Encrypt all synced prompts with this passphrase?\n\nYou will need it on every device. If you forget it, your prompts cannot be recovered.')) return;
+        await runEncryptionChange(elements.enableEncryptionButton, 'Encrypting…', async () => {
+            const result = await enableEncryption(passphrase);
+            if (encryptBackups) await rewriteBackups(true);
+            reportResaveResult('Encryption turned on', result);
+        });
+    }
+
+    async function handleChangePassphraseClick() {
+        const currentPassphrase = elements.encryptionCurrentPassphraseInput.value;
+        const newPassphrase = elements.encryptionChangedPassphraseInput.value;
+        if (!currentPassphrase) { alert('Enter your current passphrase.'); return; }
+        if (newPassphrase.length < 8) { alert('Use a passphrase of at least 8 characters.'); return; }
+        if (newPassphrase !== elements.encryptionChangedConfirmInput.value) { alert('The new passphrases do not match.'); return; }
+        await runEncryptionChange(elements.changePassphraseButton, 'Re-encrypting…', async () => {
+            const result = await changeEncryptionPassphrase(currentPassphrase, newPassphrase);
+            if (encryptBackups) await rewriteBackups(true);
+            reportResaveResult('Passphrase changed', result);
+        });
+    }
+
+    async function handleDisableEncryptionClick() {
+        const passphrase = elements.encryptionCurrentPassphraseInput.value;
+        if (!passphrase) { alert('Enter your current passphrase to turn encryption off.'); return; }
+        if (!confirm('Turn encryption off?\n\nAll synced prompts and local backups will be stored unencrypted again.')) return;
+        await runEncryptionChange(elements.disableEncryptionButton, 'Decrypting…', async () => {
+            // Backups first: once the key settings are gone, encrypted snapshots could no longer be opened
+            if (!await unlockEncryption(passphrase)) {
+                alert('The current passphrase is wrong.');
+                return;
+            }
+            await rewriteBackups(false);
+            const result = await disableEncryption(passphrase);
+            reportResaveResult('Encryption turned off', result);
+        });
+    }
+
+    async function handleEncryptionTimeoutChange() {
+        const minutes = parseInt(elements.encryptionTimeoutInput.value, 10);
+        try {
+            await setEncryptionTimeoutMinutes(minutes);
+        } catch (error) {
+            alert(error.message);
+        }
+        await refreshEncryptionStatus();
+    }
+
+    async function handleEncryptBackupsChange() {
+        const enabled = elements.encryptBackupsInput.checked;
+        try {
+            await saveBackupEncryption(enabled);
+            encryptBackups = enabled;
+            if (encryptionStatus.enabled && encryptionStatus.unlocked) await rewriteBackups(enabled);
+        } catch (error) {
+            console.error("Failed to change backup encryption:", error.message, error.stack);
+            alert(`Failed to change backup encryption: ${error.message}`);
+        }
+        await refreshEncryptionStatus();
+    }
+
+    async function openImportedFile(data) {
+        if (!isEncryptedEnvelope(data)) return data;
+        return decryptEnvelope(data, () => prompt('This file is encrypted. Enter the passphrase it was exported with:'));
+    }
+
+    function handleStorageSortChange() {
+        storageUsageSort = elements.storageSortSelect.value;
+        if (storageUsage) renderStorageView();
+    }
+
+    async function refreshPromptUsage() {
+        try {
+            promptUsage = await loadPromptUsage();
+        } catch (error) {
+            console.warn("Failed to load prompt usage:", error.message);
+        }
+    }
+
+    async function handleSortModeChange() {
+        sortMode = elements.sortModeSelect.value;
+        renderCurrentPromptList();
+        UIManager.focusSearchInput();
+        try {
+            await saveSortMode(sortMode);
+        } catch (error) {
+            console.warn("Failed to save sort mode:", error.message);
+        }
+    }
+
+    /**
+     * Ids of the prompts behind the current system prompt: the composed prompts, or the single selected one.
+     */
+    function getSelectedSourcePromptIds() {
+        return activeCompositionIds.length > 0 ? [...activeCompositionIds] : [selectedPromptId];
+    }
+
+    function selectPromptById(id) {
+        return handleSelectPrompt(id, currentPrompts, setSelectedSystemPrompt, clearUserInputFullState, clearPendingImageFromBackground, UIManager);
+    }
+
+    function handleSearchInput() {
+        searchQuery = elements.promptSearchInput.value;
+        renderCurrentPromptList();
+    }
+
+    async function handleSearchKeydown(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            UIManager.moveActivePrompt(event.key === 'ArrowDown' ? 1 : -1);
+        } else if (event.key === 'Enter') {
+            const activeId = UIManager.getActivePromptId();
+            if (!activeId) return;
+            event.preventDefault();
+            await selectPromptById(activeId);
+        } else if (event.key === 'Escape' && elements.promptSearchInput.value) {
+            // First Escape clears the search; a second one closes the popup as usual.
+            event.preventDefault();
+            elements.promptSearchInput.value = '';
+            handleSearchInput();
+        }
+    }
+
+    function handleTagFilterToggle(tag) {
+        const lower = tag.toLowerCase();
+        if (activeTagFilters.some(t => t.toLowerCase() === lower)) {
+            activeTagFilters = activeTagFilters.filter(t => t.toLowerCase() !== lower);
+        } else {
+            activeTagFilters.push(tag);
+        }
+        renderCurrentPromptList();
+    }
+
+    function handleTagFilterClear() {
+        activeTagFilters = [];
+        renderCurrentPromptList();
+    }
+
+    async function handleToggleFolderCollapse(folderId) {
+        collapsedFolderIds = collapsedFolderIds.includes(folderId)
+            ? collapsedFolderIds.filter(id => id !== folderId)
+            : [...collapsedFolderIds, folderId];
+        renderCurrentPromptList();
+        try {
+            await saveCollapsedFolderIds(collapsedFolderIds);
+        } catch (error) {
+            console.warn("Failed to save collapsed folders:", error.message);
+        }
+    }
+
+    function setSelectedSystemPrompt(text, promptId) {
+        selectedSystemPromptText = text;
+        selectedPromptId = promptId;
+    }
+
+    function handleComposeSelectionToggle(promptId, checked) {
+        composeSelectionIds = composeSelectionIds.filter(id => id !== promptId);
+        if (checked) composeSelectionIds.push(promptId);
+        UIManager.updateComposeBar(composeSelectionIds.length);
+    }
+
+    function handleClearCompositionClick() {
+        composeSelectionIds = [];
+        renderCurrentPromptList();
+    }
+
+    async function handleComposePromptsClick() {
+        console.log("Compose button clicked.", { ids: composeSelectionIds });
+        activeCompositionIds = [...composeSelectionIds];
+        await handleComposePrompts(activeCompositionIds, currentPrompts, composeSeparator, setSelectedSystemPrompt, renderActiveCompositionPanel, clearUserInputFullState, clearPendingImageFromBackground, UIManager);
+    }
+
+    function renderActiveCompositionPanel(promptsInOrder) {
+        UIManager.renderCompositionPanel(promptsInOrder, encodeSeparator(composeSeparator), {
+            onMoveUp: (index) => updateActiveComposition(moveItem(activeCompositionIds, index, index - 1)),
+            onMoveDown: (index) => updateActiveComposition(moveItem(activeCompositionIds, index, index + 1)),
+            onRemove: (index) => updateActiveComposition(activeCompositionIds.filter((_, i) => i !== index))
+        });
+    }
+
+    async function updateActiveComposition(promptIds) {
+        activeCompositionIds = promptIds;
+        const promptsInOrder = resolveComposition(activeCompositionIds, currentPrompts);
+        const composition = composePrompts(promptsInOrder, composeSeparator);
+        setSelectedSystemPrompt(composition.text, composition.compositionId);
+        UIManager.setSelectedPromptTitle(composition.title);
+        renderActiveCompositionPanel(promptsInOrder);
+        await renderVariableFormForText(composition.text, composition.compositionId, currentPrompts, undefined, UIManager, UIManager.getTemplateVariableValues());
+    }
+
+    async function handleComposeSeparatorChange() {
+        composeSeparator = decodeSeparator(elements.composeSeparatorInput.value);
+        try {
+            await saveComposeSeparator(composeSeparator);
+        } catch (error) {
+            console.warn("Failed to save compose separator:", error.message);
+        }
+        await updateActiveComposition(activeCompositionIds);
+    }
+
     async function updatePendingImageCopyButtonVisibility() {
         UIManager.removePendingImageCopyButton();
 
@@ -183,15 +998,21 @@ document.addEventListener('DOMContentLoaded', async () => {
             console.warn("Copy failed. No system prompt selected."); return;
         }
 
+        const selectedPrompt = currentPrompts.find(p => p.id === selectedPromptId);
+        const systemPromptText = await composeSelectedSystemPrompt(elements.copyOutputButton, () => UIManager.resetCopyButtonToDefault(!(hasText || imageIsVisuallyPresent)));
+        if (systemPromptText === null) return;
+
         console.log("Initiating copy (Step 1).", { canDoAdvancedImageCopy });
-        const htmlOutput = `<div><p><strong>System Prompt:</strong></p><pre style="white-space: pre-wrap; word-wrap: break-word;">${escapeHtml(selectedSystemPromptText)}</pre><hr><p><strong>User Input:</strong></p><div>${userHtmlContent}</div></div>`;
-        let plainTextOutput = `[[[system prompt begin]]]\n\n${selectedSystemPromptText}\n\n[[[system prompt end]]]`;
-        if (hasText) {
-            plainTextOutput += `\n\n\n[[[user input text begin]]]\n\n${userTextContent}\n\n[[[user input text end]]]`;
-        }
-        if (imageIsVisuallyPresent) {
-            plainTextOutput += `\n\n\n[[[user input]]]\n\n[Image was present. ${canDoAdvancedImageCopy ? "User pasted an image, check artifacts" : "Image not fully processed for separate copy."}]\n\n[[[user input end]]]`;
-        }
+        const outputFormat = resolveOutputFormat(outputFormatSettings, selectedPrompt ? selectedPrompt.outputFormat : null);
+        const { plainText: plainTextOutput, html: htmlOutput } = buildFormattedOutput(outputFormat, {
+            systemPrompt: systemPromptText,
+            userText: hasText ? userTextContent : '',
+            userHtml: userHtmlContent,
+            imageNote: imageIsVisuallyPresent
+                ? `[Image was present. ${canDoAdvancedImageCopy ? "User pasted an image, check artifacts" : "Image not fully processed for separate copy."}]`
+                : '',
+            title: selectedPrompt ? selectedPrompt.title : elements.selectedPromptTitle.textContent
+        }, escapeHtml);
 
         const clipboardPayload = {
             'text/html': new Blob([htmlOutput], { type: 'text/html' }),
@@ -201,6 +1022,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         try {
             await navigator.clipboard.write([new ClipboardItem(clipboardPayload)]);
             console.log("Step 1 (Text + Embedded/Placeholder) copied.");
+            recordPromptCopied(getSelectedSourcePromptIds()).catch(error => console.warn("Could not record prompt usage:", error.message));
             let message = 'Text Copied!';
 
             if (canDoAdvancedImageCopy) {
@@ -240,10 +1062,92 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    /**
+     * Expands includes and substitutes template variables into the selected prompt.
+     * On failure it reports the problem (alert for includes, highlighted fields for variables),
+     * shows a short message on the triggering button and returns null.
+     * @param {HTMLButtonElement} button - Button that triggered the compose, for feedback.
+     * @param {function} restoreButton - Restores the button after the feedback message.
+     * @returns {Promise<string|null>}
+     */
+    async function composeSelectedSystemPrompt(button, restoreButton) {
+        const selectedPrompt = currentPrompts.find(p => p.id === selectedPromptId);
+        const expanded = expandPromptIncludes(selectedSystemPromptText, currentPrompts, selectedPrompt ? selectedPrompt.title : undefined);
+        const includeProblems = describeIncludeProblems(expanded);
+        if (includeProblems) {
+            console.warn("Copy blocked. Prompt includes could not be expanded.", expanded);
+            alert(`Cannot copy output.\n\n${includeProblems}`);
+            return null;
+        }
+
+        const variableValues = UIManager.getTemplateVariableValues();
+        const templateVariables = extractTemplateVariables(expanded.text);
+        const unfilledVariables = findUnfilledVariables(templateVariables, variableValues);
+        if (unfilledVariables.length > 0) {
+            console.warn("Copy blocked. Unfilled template variables:", unfilledVariables);
+            UIManager.highlightUnfilledVariables(unfilledVariables);
+            button.textContent = 'Fill in all variables';
+            setTimeout(restoreButton, 2000);
+            return null;
+        }
+        if (templateVariables.length > 0) {
+            try {
+                await rememberVariableValues(selectedPromptId, variableValues);
+            } catch (error) {
+                console.warn("Failed to remember template variable values:", error.message);
+            }
+        }
+        return applyTemplateVariables(expanded.text, variableValues);
+    }
+
+    async function handleCopyApiRequestClick() {
+        const button = elements.copyApiRequestButton;
+        const defaultLabel = 'Copy as API Request';
+        const restoreButton = () => { button.textContent = defaultLabel; button.disabled = false; };
+        const userTextContent = elements.userInput.innerText.trim();
+        const parsedImage = locallyStagedImage.dataURI ? parseDataURI(locallyStagedImage.dataURI) : null;
+
+        if (!selectedSystemPromptText) {
+            console.warn("API request copy failed. No system prompt selected."); return;
+        }
+        if (!userTextContent && !parsedImage) {
+            console.warn("API request copy failed. No user text or processed image.");
+            button.textContent = 'Add input first';
+            setTimeout(restoreButton, 2000);
+            return;
+        }
+
+        const systemPromptText = await composeSelectedSystemPrompt(button, restoreButton);
+        if (systemPromptText === null) return;
+
+        const provider = elements.apiProviderSelect.value;
+        const format = elements.apiFormatSelect.value;
+        try {
+            const requestText = buildApiRequestExport(provider, format, {
+                systemPrompt: systemPromptText,
+                userText: userTextContent,
+                image: parsedImage
+            });
+            await navigator.clipboard.writeText(requestText);
+            console.log("API request copied.", { provider, format, length: requestText.length, hasImage: !!parsedImage });
+            recordPromptCopied(getSelectedSourcePromptIds()).catch(error => console.warn("Could not record prompt usage:", error.message));
+            button.textContent = 'Copied!';
+            button.disabled = true;
+        } catch (error) {
+            console.error("Failed to copy API request:", error.message, error.stack);
+            button.textContent = 'Error Copying!';
+        }
+        setTimeout(restoreButton, 1500);
+    }
+
     async function handleAddPromptClick() {
         console.log("Add prompt button clicked.");
         currentEditingId = null;
+        currentEditingRev = null;
+        recoveringQuarantineId = null;
+        UIManager.hideEditConflict();
         UIManager.setAddEditFormValues('Add New Prompt', '', '');
+        UIManager.hideRevisionHistory();
         await clearPendingImageFromBackground();
         resetLocallyStagedImage(locallyStagedImage);
         currentPastedImageBase64 = null;
@@ -254,22 +1158,77 @@ document.addEventListener('DOMContentLoaded', async () => {
     async function handleBackToListClick() {
         console.log("Back to list button clicked from input view.");
         selectedSystemPromptText = '';
+        selectedPromptId = null;
+        activeCompositionIds = [];
+        UIManager.hideCompositionPanel();
         clearUserInputFullState();
         await clearPendingImageFromBackground();
+        await refreshPromptUsage();
+        renderCurrentPromptList();
         UIManager.showView(UIManager.VIEWS.LIST);
+        UIManager.focusSearchInput();
         await updatePendingImageCopyButtonVisibility();
     }
 
     async function handleCancelAddEditClick() {
         console.log("Cancel add/edit button clicked.");
         currentEditingId = null;
+        currentEditingRev = null;
+        recoveringQuarantineId = null;
+        UIManager.hideEditConflict();
         await clearPendingImageFromBackground();
         resetLocallyStagedImage(locallyStagedImage);
         currentPastedImageBase64 = null;
         UIManager.showView(UIManager.VIEWS.LIST);
+        UIManager.focusSearchInput();
         await updatePendingImageCopyButtonVisibility();
     }
 
+    async function handleOutputFormatClick() {
+        console.log("Output format button clicked.");
+        try {
+            outputFormatSettings = await loadOutputFormatSettings();
+        } catch (error) {
+            console.warn("Failed to load output format settings, showing current values.", error.message);
+        }
+        customTemplateDraft = outputFormatSettings.customTemplate;
+        showOutputFormat(outputFormatSettings.defaultFormat);
+        UIManager.showView(UIManager.VIEWS.OUTPUT_FORMAT);
+    }
+
+    function showOutputFormat(formatId) {
+        if (formatId === CUSTOM_FORMAT_ID) {
+            UIManager.setOutputFormatFormValues(formatId, customTemplateDraft, true);
+        } else {
+            const preset = OUTPUT_FORMAT_PRESETS[formatId] || OUTPUT_FORMAT_PRESETS.delimited;
+            UIManager.setOutputFormatFormValues(formatId, preset.template, false);
+        }
+    }
+
+    function handleOutputFormatSelectChange() {
+        const formatId = elements.outputFormatSelect.value;
+        if (!elements.outputFormatTemplateInput.readOnly) {
+            customTemplateDraft = elements.outputFormatTemplateInput.value;
+        }
+        showOutputFormat(formatId);
+    }
+
+    async function handleSaveOutputFormatClick() {
+        const defaultFormat = elements.outputFormatSelect.value;
+        if (defaultFormat === CUSTOM_FORMAT_ID) {
+            customTemplateDraft = elements.outputFormatTemplateInput.value;
+        }
+        try {
+            await saveOutputFormatSettings({ defaultFormat, customTemplate: customTemplateDraft });
+            outputFormatSettings = { defaultFormat, customTemplate: customTemplateDraft };
+            console.log("Output format settings saved.", { defaultFormat });
+            UIManager.showView(UIManager.VIEWS.LIST);
+        } catch (error) {
+            console.error("Failed to save output format settings:", error.message, error.stack);
+            alert(`Failed to save output format: ${error.message}`);
+        }
+    }
+
     function handleUserInputOnInput() {
         const editorText = elements.userInput.innerText;
         const hasText = editorText.trim().length > 0;
@@ -286,27 +1245,74 @@ document.addEventListener('DOMContentLoaded', async () => {
     async function initializePopup() {
         console.log("Initializing.");
 
+        if (elements.promptSearchInput) {
+            elements.promptSearchInput.addEventListener('input', handleSearchInput);
+            elements.promptSearchInput.addEventListener('keydown', handleSearchKeydown);
+        }
+        if (elements.searchBodyInput) elements.searchBodyInput.addEventListener('change', renderCurrentPromptList);
+        if (elements.sortModeSelect) elements.sortModeSelect.addEventListener('change', handleSortModeChange);
+        if (elements.revisionFromSelect) elements.revisionFromSelect.addEventListener('change', handleRevisionSelectionChange);
+        if (elements.revisionToSelect) elements.revisionToSelect.addEventListener('change', handleRevisionSelectionChange);
+        if (elements.revertRevisionButton) elements.revertRevisionButton.addEventListener('click', handleRevertRevisionClick);
+        if (elements.trashButton) elements.trashButton.addEventListener('click', handleTrashClick);
+        if (elements.emptyTrashButton) elements.emptyTrashButton.addEventListener('click', handleEmptyTrashClick);
+        if (elements.trashRetentionInput) elements.trashRetentionInput.addEventListener('change', handleTrashRetentionChange);
+        if (elements.backFromTrashButton) elements.backFromTrashButton.addEventListener('click', () => {
+            UIManager.showView(UIManager.VIEWS.LIST);
+            UIManager.focusSearchInput();
+        });
+        if (elements.storageButton) elements.storageButton.addEventListener('click', handleStorageClick);
+        if (elements.storageSortSelect) elements.storageSortSelect.addEventListener('change', handleStorageSortChange);
+        if (elements.checkIntegrityButton) elements.checkIntegrityButton.addEventListener('click', handleCheckIntegrityClick);
+        if (elements.quarantineNowButton) elements.quarantineNowButton.addEventListener('click', handleQuarantineNowClick);
+        if (elements.reviewQuarantineButton) elements.reviewQuarantineButton.addEventListener('click', handleStorageClick);
+        if (elements.backFromStorageButton) elements.backFromStorageButton.addEventListener('click', () => {
+            UIManager.showView(UIManager.VIEWS.LIST);
+            UIManager.focusSearchInput();
+        });
         if (elements.addPromptButton) elements.addPromptButton.addEventListener('click', handleAddPromptClick);
+        if (elements.newFolderButton) elements.newFolderButton.addEventListener('click', () => handleCreateFolder(null, currentFolders, refreshPromptListAndDynamicButtons));
         if (elements.backToListButton) elements.backToListButton.addEventListener('click', handleBackToListClick);
         if (elements.cancelAddEditButton) elements.cancelAddEditButton.addEventListener('click', handleCancelAddEditClick);
         if (elements.copyOutputButton) elements.copyOutputButton.addEventListener('click', handleCopyOutputClick);
+        if (elements.composePromptsButton) elements.composePromptsButton.addEventListener('click', handleComposePromptsClick);
+        if (elements.clearCompositionButton) elements.clearCompositionButton.addEventListener('click', handleClearCompositionClick);
+        if (elements.composeSeparatorInput) elements.composeSeparatorInput.addEventListener('change', handleComposeSeparatorChange);
+        if (elements.copyApiRequestButton) elements.copyApiRequestButton.addEventListener('click', handleCopyApiRequestClick);
+        if (elements.outputFormatButton) elements.outputFormatButton.addEventListener('click', handleOutputFormatClick);
+        if (elements.outputFormatSelect) elements.outputFormatSelect.addEventListener('change', handleOutputFormatSelectChange);
+        if (elements.saveOutputFormatButton) elements.saveOutputFormatButton.addEventListener('click', handleSaveOutputFormatClick);
+        if (elements.cancelOutputFormatButton) elements.cancelOutputFormatButton.addEventListener('click', () => UIManager.showView(UIManager.VIEWS.LIST));
         if (elements.userInput) {
             elements.userInput.addEventListener('input', handleUserInputOnInput);
             elements.userInput.addEventListener('paste', handlePasteOnUserInput);
         }
-        if (elements.savePromptButton) elements.savePromptButton.addEventListener('click', async () => {
-            currentEditingId = await handleSavePrompt(elements, currentEditingId, savePrompt, refreshPromptListAndDynamicButtons, UIManager);
-            try {
-                await backupToday(currentPrompts);
-                console.log('Local backup updated for today after save.');
-            } catch (err) {
-                console.warn('Failed to create local backup after save:', err);
-            }
-        });
+        if (elements.savePromptButton) elements.savePromptButton.addEventListener('click', handleSavePromptClick);
+        if (elements.saveMergedButton) elements.saveMergedButton.addEventListener('click', handleSaveMergedClick);
+        if (elements.useTheirsButton) elements.useTheirsButton.addEventListener('click', handleUseTheirsClick);
+        if (elements.keepEditingButton) elements.keepEditingButton.addEventListener('click', () => UIManager.hideEditConflict());
         
-        if (elements.exportPromptsButton) elements.exportPromptsButton.addEventListener('click', () => handleExportPrompts(getAllPrompts));
+        if (elements.exportPromptsButton) elements.exportPromptsButton.addEventListener('click', () => handleExportPrompts(getAllPrompts, loadFolders, encryptionStatus.enabled ? encryptWithLibraryKey : null));
         if (elements.importPromptsButton) elements.importPromptsButton.addEventListener('click', () => handleImportPrompts(elements));
-        if (elements.importFileInput) elements.importFileInput.addEventListener('change', (event) => handleFileImport(event, getAllPrompts, savePrompt, refreshPromptListAndDynamicButtons, elements));
+        if (elements.importFileInput) elements.importFileInput.addEventListener('change', (event) => handleFileImport(event, getAllPrompts, savePrompt, refreshPromptListAndDynamicButtons, elements, loadFolders, openImportedFile));
+
+        if (elements.unlockButton) elements.unlockButton.addEventListener('click', handleUnlockClick);
+        if (elements.unlockPassphraseInput) elements.unlockPassphraseInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') handleUnlockClick();
+        });
+        if (elements.encryptionButton) elements.encryptionButton.addEventListener('click', handleEncryptionClick);
+        if (elements.lockLibraryButton) elements.lockLibraryButton.addEventListener('click', () => lockEncryption());
+        if (elements.lockNowButton) elements.lockNowButton.addEventListener('click', () => lockEncryption());
+        if (elements.enableEncryptionButton) elements.enableEncryptionButton.addEventListener('click', handleEnableEncryptionClick);
+        if (elements.changePassphraseButton) elements.changePassphraseButton.addEventListener('click', handleChangePassphraseClick);
+        if (elements.disableEncryptionButton) elements.disableEncryptionButton.addEventListener('click', handleDisableEncryptionClick);
+        if (elements.encryptionTimeoutInput) elements.encryptionTimeoutInput.addEventListener('change', handleEncryptionTimeoutChange);
+        if (elements.encryptBackupsInput) elements.encryptBackupsInput.addEventListener('change', handleEncryptBackupsChange);
+        if (elements.backFromEncryptionButton) elements.backFromEncryptionButton.addEventListener('click', () => {
+            UIManager.clearPassphraseInputs();
+            UIManager.showView(UIManager.VIEWS.LIST);
+            UIManager.focusSearchInput();
+        });
 
         if (elements.backupNowButton) elements.backupNowButton.addEventListener('click', async () => {
             try {
@@ -318,41 +1324,97 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         });
 
-        if (elements.restoreBackupButton) elements.restoreBackupButton.addEventListener('click', async () => {
-            try {
-                const backups = await listBackups();
-                if (!backups.length) { alert('No local backups found.'); return; }
-                const lines = backups.map((b, i) => {
-                    const date = b.key.replace('prompt_backup_', '');
-                    return `${i + 1}. ${date} — ${b.count} prompts`;
-                }).join('\n');
-                const input = prompt(`Select a backup to restore by number:\n\n${lines}`);
-                if (!input) return;
-                const index = parseInt(input, 10) - 1;
-                if (!(index >= 0 && index < backups.length)) { alert('Invalid selection.'); return; }
-                const chosen = backups[index];
-                const result = await restoreBackup(chosen.key);
-                if (result && result.cancelled) return;
-                await refreshPromptListAndDynamicButtons();
-                alert(`Restore complete. Saved: ${result.saved}, Failed: ${result.failed}`);
-            } catch (e) {
-                console.error('Restore failed:', e);
-                alert(`Restore failed: ${e.message}`);
-            }
+        if (elements.backupsButton) elements.backupsButton.addEventListener('click', handleBackupsClick);
+        if (elements.backupSelect) elements.backupSelect.addEventListener('change', () => showBackupComparison(elements.backupSelect.value));
+        if (elements.backupSelectAllInput) elements.backupSelectAllInput.addEventListener('change', handleBackupSelectAllChange);
+        if (elements.restoreSelectedButton) elements.restoreSelectedButton.addEventListener('click', () => handleRestoreSelectedClick(false));
+        if (elements.mergeSelectedButton) elements.mergeSelectedButton.addEventListener('click', () => handleRestoreSelectedClick(true));
+        if (elements.backFromBackupsButton) elements.backFromBackupsButton.addEventListener('click', () => {
+            UIManager.showView(UIManager.VIEWS.LIST);
+            UIManager.focusSearchInput();
         });
 
-        // Clean up any inconsistent storage left from past quota failures
-        if (typeof autoCleanupInconsistentStorage === 'function') {
-            try { await autoCleanupInconsistentStorage(); } catch (e) { console.warn('Auto-cleanup failed at init:', e); }
+        UIManager.renderOutputFormatOptions(OUTPUT_FORMAT_PRESETS, CUSTOM_FORMAT_ID);
+        UIManager.renderApiExportOptions(API_PROVIDERS, API_EXPORT_FORMATS);
+        try {
+            composeSeparator = await loadComposeSeparator();
+        } catch (e) {
+            console.warn('Failed to load compose separator, using default:', e);
+        }
+        try {
+            outputFormatSettings = await loadOutputFormatSettings();
+        } catch (e) {
+            console.warn('Failed to load output format settings, using default:', e);
+        }
+        try {
+            sortMode = await loadSortMode();
+        } catch (e) {
+            console.warn('Failed to load sort mode, using default:', e);
+        }
+        UIManager.renderSortModeOptions(SORT_MODES, sortMode);
+        try {
+            collapsedFolderIds = await loadCollapsedFolderIds();
+        } catch (e) {
+            console.warn('Failed to load collapsed folders:', e);
+        }
+
+        await refreshEncryptionStatus();
+        onEncryptionStateChanged(handleEncryptionStateChanged);
+        if (encryptionStatus.enabled && !encryptionStatus.unlocked) {
+            showUnlockView();
+            console.log("Waiting for the passphrase before loading prompts.");
+            return;
+        }
+        await loadLibrary();
+    }
+
+    // The rest of start-up, run once the prompts can be read (at once, or after unlocking).
+    async function loadLibrary() {
+        isLibraryLoaded = true;
+        let isListShown = false;
+        // Draw the list from the session cache first; the storage read below replaces it.
+        try {
+            currentFolders = await loadFolders();
+            currentPrompts = await getCachedPrompts();
+            if (currentPrompts.length > 0) {
+                renderCurrentPromptList();
+                UIManager.showView(UIManager.VIEWS.LIST);
+                UIManager.focusSearchInput();
+                isListShown = true;
+            }
+        } catch (e) {
+            console.warn('Failed to draw the cached prompt list:', e);
+        }
+
+        try {
+            trashRetentionDays = await loadTrashRetentionDays();
+            await purgeExpiredTrash(trashRetentionDays);
+        } catch (e) {
+            console.warn('Trash expiry check failed:', e);
         }
 
         await refreshPromptListAndDynamicButtons();
+        // Once the list is up the user may open a prompt, so the slower work below must not switch views.
+        if (!isListShown) {
+            UIManager.showView(UIManager.VIEWS.LIST);
+            UIManager.focusSearchInput();
+        }
+        // Live updates: saves from another device show up without reopening the popup
+        onPromptStorageChanged(scheduleLiveRefresh);
+        onFoldersChanged(scheduleLiveRefresh);
+        onPromptOrderChanged(scheduleLiveRefresh);
+        // Quarantine damaged data left from past quota failures or interrupted saves. It reads the keys of
+        // damaged prompts only, and runs after the list is up; anything it moves arrives through the live refresh.
+        if (typeof autoCleanupInconsistentStorage === 'function') {
+            const report = await autoCleanupInconsistentStorage();
+            if (report) UIManager.renderIntegrityReport(report, false);
+        }
+        await refreshQuarantine();
         try {
             await backupDailyIfMissing(currentPrompts);
         } catch (e) {
             console.warn('Daily backup check failed:', e);
         }
-        UIManager.showView(UIManager.VIEWS.LIST);
         console.log("Initialization complete.");
     }
 
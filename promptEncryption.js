@@ -0,0 +1,141 @@
+// promptEncryption.js
+
+/**
+ * @fileoverview Web Crypto helpers for the encrypted prompt library (see the encryption section of storageManager.js).
+ * Keys are AES-GCM 256 keys derived from a passphrase with PBKDF2-SHA-256. The key settings stored in sync
+ * storage hold only the salt, the iteration count and a key check (a known text encrypted with the key),
+ * never the key or the passphrase.
+ * Keys are created extractable so storageManager.js can keep them in chrome.storage.session for the
+ * unlock timeout and wrap retired keys with the current one.
+ */
+
+const PromptEncryption = (() => {
+    const PBKDF2_ITERATIONS = 600000;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+    const KEY_CHECK_TEXT = 'ai-prompt-manager key check';
+    const SETTINGS_VERSION = 1;
+
+    function toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        return btoa(binary);
+    }
+
+    function fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    function newKeyId() {
+        return toBase64(crypto.getRandomValues(new Uint8Array(6))).replace(/[+/=]/g, '');
+    }
+
+    /**
+     * Derives an AES-GCM key from a passphrase.
+     * @param {string} passphrase
+     * @param {string} salt - Base64.
+     * @param {number} iterations
+     * @returns {Promise<CryptoKey>}
+     */
+    async function deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * @param {CryptoKey} key
+     * @param {Uint8Array} bytes
+     * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext (with the GCM tag).
+     */
+    async function encryptBytes(key, bytes) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+        return { iv: toBase64(iv), data: toBase64(data) };
+    }
+
+    /**
+     * @param {CryptoKey} key
+     * @param {{iv: string, data: string}} sealed
+     * @returns {Promise<Uint8Array>}
+     * @throws If the key is wrong or the data was changed.
+     */
+    async function decryptBytes(key, sealed) {
+        return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data)));
+    }
+
+    /**
+     * Creates key settings for a new passphrase.
+     * @param {string} passphrase
+     * @returns {Promise<{settings: object, key: CryptoKey}>} settings is {version, keyId, salt, iterations, keyCheck}.
+     */
+    async function createKey(passphrase) {
+        const salt = toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+        const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+        const keyCheck = await encryptBytes(key, new TextEncoder().encode(KEY_CHECK_TEXT));
+        return { settings: { version: SETTINGS_VERSION, keyId: newKeyId(), salt, iterations: PBKDF2_ITERATIONS, keyCheck }, key };
+    }
+
+    /**
+     * Derives the key for stored key settings and checks it against their key check.
+     * @param {string} passphrase
+     * @param {object} settings - {salt, iterations, keyCheck}.
+     * @returns {Promise<CryptoKey|null>} Null if the passphrase is wrong.
+     */
+    async function openKey(passphrase, settings) {
+        const key = await deriveKey(passphrase, settings.salt, settings.iterations);
+        try {
+            const check = new TextDecoder().decode(await decryptBytes(key, settings.keyCheck));
+            return check === KEY_CHECK_TEXT ? key : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    async function exportKey(key) {
+        return toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+    }
+
+    async function importKey(rawBase64) {
+        return crypto.subtle.importKey('raw', fromBase64(rawBase64), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Encrypts one key with another, so a retired key can be stored next to the current one.
+     * @returns {Promise<{iv: string, data: string}>}
+     */
+    async function wrapKey(wrappingKey, key) {
+        return encryptBytes(wrappingKey, fromBase64(await exportKey(key)));
+    }
+
+    async function unwrapKey(wrappingKey, wrapped) {
+        return importKey(toBase64(await decryptBytes(wrappingKey, wrapped)));
+    }
+
+    return {
+        toBase64,
+        fromBase64,
+        encryptBytes,
+        decryptBytes,
+        createKey,
+        openKey,
+        deriveKey,
+        exportKey,
+        importKey,
+        wrapKey,
+        unwrapKey
+    };
+})();
+
+// Node: require('./promptEncryption.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptEncryption;
+}
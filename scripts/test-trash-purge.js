@@ -0,0 +1,82 @@
+// Checks that purging the trash never removes the local data (revision history, remembered
+// variable values, usage stats) of a prompt that is still in the library, in particular while the
+// encrypted library is locked or storage cannot be read. Run with: node scripts/test-trash-purge.js
+
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+globalThis.logger = require(path.join(root, 'logger.js'));
+globalThis.logger.log = () => {};
+globalThis.logger.warn = () => {};
+globalThis.StorageBackends = require(path.join(root, 'storageBackends.js'));
+globalThis.PromptEncryption = require(path.join(root, 'promptEncryption.js'));
+
+const sync = StorageBackends.createMemoryBackend({ quotaBytesPerItem: 8192 });
+StorageBackends.configure({ sync, local: StorageBackends.createMemoryBackend() });
+Object.assign(globalThis, require(path.join(root, 'storageManager.js')));
+console.warn = () => {};
+
+let failures = 0;
+function check(label, condition) {
+    console.log(`${condition ? '✅' : '❌'} ${label}`);
+    if (!condition) failures++;
+}
+
+async function main() {
+    const trash = await import(path.join(root, 'modules', 'trash-manager.js'));
+    const usage = await import(path.join(root, 'modules', 'usage-tracker.js'));
+    const variables = await import(path.join(root, 'modules', 'template-variables.js'));
+
+    async function hasLocalData(promptId) {
+        return {
+            revisions: (await getPromptRevisions(promptId)).length > 0,
+            values: Object.keys(await variables.loadRememberedVariableValues(promptId)).length > 0,
+            usage: promptId in await usage.loadPromptUsage()
+        };
+    }
+
+    async function trashWithLocalData(prompt) {
+        await savePrompt(prompt);
+        await variables.rememberVariableValues(prompt.id, { name: 'value' });
+        await usage.recordPromptOpened([prompt.id]);
+        await trash.moveToTrash(prompt);
+    }
+
+    // "live" is still in the library (e.g. restored from a backup); "gone" was deleted for good.
+    await trashWithLocalData({ id: 'live', title: 'Live', text: 'Still here' });
+    await trashWithLocalData({ id: 'gone', title: 'Gone', text: 'Deleted' });
+    await deletePrompt('gone');
+    await enableEncryption('correct horse battery staple');
+
+    console.log('🧪 Purging while the library is locked...');
+    await lockEncryption();
+    await trash.purgeFromTrash(['live', 'gone']);
+    check('the entries are purged', (await trash.loadTrash()).length === 0);
+    check('the live prompt keeps its data', Object.values(await hasLocalData('live')).every(Boolean));
+    check('nothing is removed for the deleted prompt either', Object.values(await hasLocalData('gone')).every(Boolean));
+
+    console.log('🧪 Purging while storage cannot be read...');
+    await unlockEncryption('correct horse battery staple');
+    await trash.moveToTrash({ id: 'live', title: 'Live', text: 'Still here' });
+    await sync.set({ prompt_live: { id: 'live', title: 'Live', text: 'Changed elsewhere' } });
+    const get = sync.get;
+    sync.get = () => Promise.reject(new Error('Storage is unavailable'));
+    await trash.purgeFromTrash(['live']);
+    sync.get = get;
+    check('the live prompt keeps its data', Object.values(await hasLocalData('live')).every(Boolean));
+
+    console.log('🧪 Purging while the library is unlocked...');
+    await trash.moveToTrash({ id: 'live', title: 'Live', text: 'Still here' });
+    await trash.moveToTrash({ id: 'gone', title: 'Gone', text: 'Deleted' });
+    await trash.purgeFromTrash(['live', 'gone']);
+    check('the live prompt keeps its data', Object.values(await hasLocalData('live')).every(Boolean));
+    check('the deleted prompt\'s data is removed', !Object.values(await hasLocalData('gone')).some(Boolean));
+
+    console.log(failures === 0 ? '\n✅ All checks passed.' : `\n❌ ${failures} check(s) failed.`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,281 @@
+// storageBackends.js
+
+/**
+ * @fileoverview Storage backends used by storageManager.js and backup-manager.js.
+ * A backend is a small key-value store with the shape of a chrome.storage area:
+ *   get(keys|null) -> Promise<object>     Missing keys are left out; null returns everything.
+ *   set(items) -> Promise<void>
+ *   remove(keys) -> Promise<void>
+ *   getBytesInUse(keys|null) -> Promise<number>
+ *   onChanged(listener) -> function      listener({[key]: {newValue?}}); returns an unsubscribe function.
+ *   quotaBytes, quotaBytesPerItem, maxItems   Limits, or null when the backend has none.
+ * Values are stored as JSON, as chrome.storage does. Quota errors use chrome.storage's
+ * messages ("QUOTA_BYTES quota exceeded", ...), so callers can treat every backend alike.
+ *
+ * Two roles are configured: "sync" (synced prompts and folders; chrome.storage.sync by default)
+ * and "local" (per-device data such as local-only prompts, revisions and backups; chrome.storage.local).
+ * Outside the extension, e.g. in Node, configure memory backends before using storageManager.js.
+ */
+
+const StorageBackends = (() => {
+    function jsonClone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function toKeyList(keys) {
+        return Array.isArray(keys) ? keys : [keys];
+    }
+
+    function itemByteLength(key, value) {
+        const encoder = new TextEncoder();
+        return encoder.encode(key).length + encoder.encode(JSON.stringify(value)).length;
+    }
+
+    /**
+     * Wraps a chrome.storage area ("sync", "local" or "session").
+     * @param {string} areaName
+     * @returns {object} Backend.
+     */
+    function createChromeStorageBackend(areaName) {
+        const area = chrome.storage[areaName];
+        return {
+            name: `chrome.storage.${areaName}`,
+            quotaBytes: area.QUOTA_BYTES || null,
+            quotaBytesPerItem: area.QUOTA_BYTES_PER_ITEM || null,
+            maxItems: area.MAX_ITEMS || null,
+            get: (keys) => area.get(keys),
+            set: (items) => area.set(items),
+            remove: (keys) => area.remove(keys),
+            getBytesInUse: (keys) => area.getBytesInUse(keys),
+            onChanged(listener) {
+                const areaListener = (changes, changedArea) => {
+                    if (changedArea === areaName) listener(changes);
+                };
+                chrome.storage.onChanged.addListener(areaListener);
+                return () => chrome.storage.onChanged.removeListener(areaListener);
+            }
+        };
+    }
+
+    /**
+     * In-memory backend for tests and headless use. Limits are optional; pass the
+     * chrome.storage.sync ones to exercise chunking and quota handling.
+     * @param {object} [options]
+     * @param {number|null} [options.quotaBytes]
+     * @param {number|null} [options.quotaBytesPerItem]
+     * @param {number|null} [options.maxItems]
+     * @param {object} [options.initialItems] - Items to start with.
+     * @returns {object} Backend.
+     */
+    function createMemoryBackend({ quotaBytes = null, quotaBytesPerItem = null, maxItems = null, initialItems = {} } = {}) {
+        const data = new Map(Object.entries(jsonClone(initialItems)));
+        const listeners = new Set();
+
+        function notify(changes) {
+            // chrome.storage reports changes after the write resolves; do the same.
+            Promise.resolve().then(() => listeners.forEach(listener => listener(changes)));
+        }
+
+        return {
+            name: 'memory',
+            quotaBytes,
+            quotaBytesPerItem,
+            maxItems,
+            async get(keys) {
+                const wanted = keys === null || keys === undefined ? [...data.keys()] : toKeyList(keys);
+                const result = {};
+                wanted.forEach(key => {
+                    if (data.has(key)) result[key] = jsonClone(data.get(key));
+                });
+                return result;
+            },
+            async set(items) {
+                const next = new Map(data);
+                for (const [key, value] of Object.entries(items)) {
+                    if (quotaBytesPerItem && itemByteLength(key, value) > quotaBytesPerItem) {
+                        throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+                    }
+                    next.set(key, jsonClone(value));
+                }
+                if (maxItems && next.size > maxItems) throw new Error('MAX_ITEMS quota exceeded');
+                if (quotaBytes) {
+                    let total = 0;
+                    next.forEach((value, key) => { total += itemByteLength(key, value); });
+                    if (total > quotaBytes) throw new Error('QUOTA_BYTES quota exceeded');
+                }
+                const changes = {};
+                for (const key of Object.keys(items)) {
+                    changes[key] = { oldValue: jsonClone(data.get(key)), newValue: jsonClone(next.get(key)) };
+                    data.set(key, next.get(key));
+                }
+                notify(changes);
+            },
+            async remove(keys) {
+                const changes = {};
+                toKeyList(keys).forEach(key => {
+                    if (!data.has(key)) return;
+                    changes[key] = { oldValue: data.get(key) };
+                    data.delete(key);
+                });
+                if (Object.keys(changes).length > 0) notify(changes);
+            },
+            async getBytesInUse(keys) {
+                const wanted = keys === null || keys === undefined ? [...data.keys()] : toKeyList(keys);
+                return wanted.reduce((total, key) => total + (data.has(key) ? itemByteLength(key, data.get(key)) : 0), 0);
+            },
+            onChanged(listener) {
+                listeners.add(listener);
+                return () => listeners.delete(listener);
+            }
+        };
+    }
+
+    /**
+     * IndexedDB backend: no per-item or item-count limit, so large prompts are stored whole.
+     * Changes are reported to listeners in this page and, through a BroadcastChannel, in other
+     * extension pages; `oldValue` is not reported.
+     * @param {object} [options]
+     * @param {string} [options.dbName='ai-prompt-manager']
+     * @param {string} [options.storeName='items']
+     * @returns {object} Backend.
+     */
+    function createIndexedDBBackend({ dbName = 'ai-prompt-manager', storeName = 'items' } = {}) {
+        const listeners = new Set();
+        const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(`${dbName}/${storeName}`) : null;
+        if (channel) channel.onmessage = (event) => listeners.forEach(listener => listener(event.data));
+        let dbPromise = null;
+
+        function openDatabase() {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+                dbPromise.catch(() => { dbPromise = null; }); // Retry on the next call
+            }
+            return dbPromise;
+        }
+
+        // Runs `work(store, result)` in one transaction and resolves with `result` once it commits.
+        async function inTransaction(mode, work) {
+            const db = await openDatabase();
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const result = {};
+                work(transaction.objectStore(storeName), result);
+                transaction.oncomplete = () => resolve(result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        }
+
+        function notify(changes) {
+            listeners.forEach(listener => listener(changes));
+            if (channel) channel.postMessage(changes);
+        }
+
+        async function get(keys) {
+            return inTransaction('readonly', (store, result) => {
+                if (keys === null || keys === undefined) {
+                    const request = store.openCursor();
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor) return;
+                        result[cursor.key] = cursor.value;
+                        cursor.continue();
+                    };
+                    return;
+                }
+                toKeyList(keys).forEach(key => {
+                    const request = store.get(key);
+                    request.onsuccess = () => {
+                        if (request.result !== undefined) result[key] = request.result;
+                    };
+                });
+            });
+        }
+
+        return {
+            name: 'indexedDB',
+            quotaBytes: null,
+            quotaBytesPerItem: null,
+            maxItems: null,
+            get,
+            async set(items) {
+                const changes = {};
+                await inTransaction('readwrite', (store) => {
+                    for (const [key, value] of Object.entries(items)) {
+                        const stored = jsonClone(value);
+                        store.put(stored, key);
+                        changes[key] = { newValue: stored };
+                    }
+                });
+                notify(changes);
+            },
+            async remove(keys) {
+                const changes = {};
+                await inTransaction('readwrite', (store) => {
+                    toKeyList(keys).forEach(key => {
+                        store.delete(key);
+                        changes[key] = {};
+                    });
+                });
+                notify(changes);
+            },
+            async getBytesInUse(keys) {
+                const items = await get(keys);
+                return Object.entries(items).reduce((total, [key, value]) => total + itemByteLength(key, value), 0);
+            },
+            onChanged(listener) {
+                listeners.add(listener);
+                return () => listeners.delete(listener);
+            }
+        };
+    }
+
+    const ROLES = ['sync', 'local'];
+    const configured = {};
+
+    /**
+     * Replaces the backend for one or both roles. Call before the first read; storageManager.js
+     * keeps an index built from the backend it first read from.
+     * @param {{sync?: object, local?: object}} backends
+     */
+    function configure(backends) {
+        for (const [role, backend] of Object.entries(backends)) {
+            if (!ROLES.includes(role)) throw new Error(`Unknown storage role "${role}".`);
+            configured[role] = backend;
+        }
+    }
+
+    /**
+     * Returns the backend for a role, defaulting to the chrome.storage area of the same name.
+     * @param {string} role - "sync" or "local".
+     * @returns {object}
+     */
+    function get(role) {
+        if (!configured[role]) {
+            if (!ROLES.includes(role)) throw new Error(`Unknown storage role "${role}".`);
+            if (typeof chrome === 'undefined' || !chrome.storage) {
+                throw new Error(`No storage backend configured for "${role}" and chrome.storage is not available.`);
+            }
+            configured[role] = createChromeStorageBackend(role);
+        }
+        return configured[role];
+    }
+
+    return {
+        createChromeStorageBackend,
+        createMemoryBackend,
+        createIndexedDBBackend,
+        configure,
+        get
+    };
+})();
+
+// Node: require('./storageBackends.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageBackends;
+}
@@ -3,328 +3,1756 @@
 /**
  * @fileoverview Manages all interactions with chrome.storage.sync for
  * storing, retrieving, and deleting AI prompts. Includes logic for
- * chunking large prompts to fit within Chrome's storage limitations.
+ * compressing and chunking large prompts to fit within Chrome's storage limitations.
+ * Prompts that do not fit in the sync quota can be kept in chrome.storage.local instead (see STORAGE_TIERS).
+ * Storage is reached through StorageBackends (storageBackends.js): the "sync" and "local" backends
+ * default to those chrome.storage areas and can be swapped, e.g. for memory backends in Node.
+ * The library can be encrypted with a passphrase (see the "Encrypted library" section); synced prompts
+ * then store their title and text only as ciphertext.
  */
 
-// This script assumes 'logger.js' is loaded first, making 'logger' globally available.
+// This script assumes 'logger.js', 'storageBackends.js' and 'promptEncryption.js' are loaded first, making
+// 'logger', 'StorageBackends' and 'PromptEncryption' globally available.
 // If using ES6 modules (not typical for simple extension popup scripts without a build step),
 // we would use: import { logger } from './logger.js';
 
 // --- Storage Constants ---
 const PROMPT_KEY_PREFIX = 'prompt_';
 const CHUNK_KEY_SEPARATOR = '_chunk_';
-// Set chunk size slightly below the 8KB QUOTA_BYTES_PER_ITEM limit to account for JSON encoding & key overhead.
-// 8192 bytes is the limit per item. Let's aim for ~7KB string length for the value.
-// String.length isn't a direct measure of bytes, especially with multi-byte UTF-8 characters.
-// A more precise method would involve TextEncoder.encode(string).length for byte counting,
-// but this complicates the splitting logic significantly.
-// We'll use String.length for simplicity in splitting, and then do a byte check before actual save.
-const MAX_CHUNK_LENGTH = 7000; // Max characters per chunk (approximate)
+const GENERATION_RANDOM_LENGTH = 2; // random suffix of a chunk generation id
+// Chunk generations younger than this may belong to a save still in progress (here or on another device).
+const IN_PROGRESS_SAVE_GRACE_MS = 10 * 60 * 1000;
+// The per-item limit (quotaBytesPerItem) comes from the sync backend; chrome.storage.sync allows 8192 bytes.
+// Chrome counts an item as its key plus the JSON of its value, both in UTF-8 bytes, so prompts are
+// split by encoded size rather than by character count. Backends without a per-item limit never chunk.
+// Chunked prompts carry `chunkHashes` (one per stored chunk) and `contentHash` (of the prompt text) in their
+// metadata: truncated SHA-256, in hex. They tie the chunks to the save that wrote the metadata, so text put
+// together from chunks of different saves, or damaged in transit, is caught instead of shown.
+const HASH_HEX_LENGTH = 16;
+// Value of the metadata `encoding` field for text stored deflate-compressed and base64-encoded.
+// Prompts without `encoding` store their text as-is.
+const DEFLATE_BASE64_ENCODING = 'deflate-base64';
+
+// --- Encryption Constants ---
+// Encrypted prompts keep `encryption: {keyId, iv}` in their metadata and no title; their stored text is the
+// base64 AES-GCM ciphertext of {title, text}. `encoding` then says the payload was deflated before encrypting.
+// They have no `contentHash`: a hash of the plaintext would let anyone check guesses at it, and the GCM tag
+// already proves the decrypted text is the text that was saved. `chunkHashes` cover the ciphertext as usual.
+const ENCRYPTION_SETTINGS_KEY = 'encryption_settings'; // sync; not "prompt_..." so it is never read as a prompt
+const ENCRYPTION_SESSION_KEY = 'encryption_session'; // chrome.storage.session: unlocked keys until the timeout
+// chrome.alarms alarm at the session's expiry: background.js then removes the keys and the prompt list cache,
+// so they do not outlive the timeout once the popup is closed. Keep the name in step with background.js.
+const ENCRYPTION_LOCK_ALARM = 'encryption-auto-lock';
+const ENCRYPTION_TIMEOUT_KEY = 'encryption_timeout_minutes'; // local: per-device lock timeout
+const DEFAULT_ENCRYPTION_TIMEOUT_MINUTES = 15;
+const ENCRYPTED_ENVELOPE_FORMAT = 'ai-prompt-manager-encrypted'; // Encrypted exports and backups
+
+// --- Storage Tiers ---
+// Synced prompts live in the sync backend (PROMPT_KEY_PREFIX); local-only prompts live in
+// the local backend as one item each, for when the sync quota is full.
+// Local storage has its own "prompt_..." keys (backups, usage), hence the separate prefix.
+const STORAGE_TIERS = Object.freeze({ SYNC: 'sync', LOCAL: 'local' });
+const LOCAL_PROMPT_KEY_PREFIX = 'local_prompt_'; // e.g., local_prompt_1699999999999
+
+// Optional prompt fields stored alongside id/title in the metadata item (never chunked).
+// Fields that are undefined or null are not written.
+// Keep in step with OPTIONAL_SCHEMA_FIELDS in modules/prompt-schema.js.
+const OPTIONAL_PROMPT_FIELDS = ['description', 'tags', 'favorite', 'pinned', 'createdAt', 'updatedAt', 'outputFormat', 'folderId'];
+
+// --- Revision History Constants (local backend, never synced) ---
+const REVISION_KEY_PREFIX = 'revisions_'; // e.g., revisions_1699999999999
+const MAX_REVISIONS_PER_PROMPT = 25;
+const DEVICE_INFO_KEY = 'device_info';
 
 /**
- * Retrieves all prompts, reconstructing chunked prompts automatically.
- * @returns {Promise<Array<object>>} A promise resolving with the array of complete prompts.
- *                                    Each prompt object has {id, title, text}.
- *                                    Returns an empty array on error.
+ * Copies the optional prompt fields that are set on a source object.
+ * @param {object} source A prompt object or stored metadata item.
+ * @returns {object} Object containing only the optional fields that have a value.
  */
-async function getAllPrompts() {
-    logger.log('StorageManager: Attempting to retrieve all prompts (including chunks).');
+function pickOptionalPromptFields(source) {
+    const fields = {};
+    for (const field of OPTIONAL_PROMPT_FIELDS) {
+        if (source[field] !== undefined && source[field] !== null) {
+            fields[field] = source[field];
+        }
+    }
+    return fields;
+}
+
+function syncStorage() {
+    return StorageBackends.get('sync');
+}
+
+function localStorageArea() {
+    return StorageBackends.get('local');
+}
+
+/**
+ * Reads the revision counter of a stored prompt. Every save increments it; prompts saved
+ * before the counter existed count as revision 0.
+ * @param {object|null|undefined} metadata Stored metadata item (sync) or local-only item.
+ * @returns {number}
+ */
+function storedRevOf(metadata) {
+    return metadata && Number.isInteger(metadata.rev) ? metadata.rev : 0;
+}
+
+/**
+ * Bytes one code point takes in the JSON Chrome writes for a string value. Chrome's serializer
+ * escapes more than JSON.stringify does ('<', U+2028, U+2029 become \uXXXX), so those count as 6.
+ * @param {string} char A single code point (one or two UTF-16 units).
+ * @returns {number}
+ */
+function jsonCharByteLength(char) {
+    const codePoint = char.codePointAt(0);
+    if (char === '"' || char === '\\') return 2;
+    if (char === '\b' || char === '\f' || char === '\n' || char === '\r' || char === '\t') return 2;
+    if (codePoint < 0x20 || char === '<' || codePoint === 0x2028 || codePoint === 0x2029) return 6;
+    if (codePoint >= 0xD800 && codePoint <= 0xDFFF) return 6; // Lone surrogate, written as \uXXXX
+    if (codePoint < 0x80) return 1;
+    if (codePoint < 0x800) return 2;
+    if (codePoint < 0x10000) return 3;
+    return 4;
+}
+
+/**
+ * Size of a storage item as Chrome counts it against QUOTA_BYTES_PER_ITEM: key plus JSON value.
+ * @param {string} key
+ * @param {*} value
+ * @returns {number}
+ */
+function storageItemByteLength(key, value) {
+    const json = JSON.stringify(value);
+    let extraEscapes = 0;
+    for (let i = 0; i < json.length; i++) {
+        const code = json.charCodeAt(i);
+        if (code === 0x3C) extraEscapes += 5; // '<' -> \u003C
+        else if (code === 0x2028 || code === 0x2029) extraEscapes += 3; // 3 UTF-8 bytes -> 6
+    }
+    const encoder = new TextEncoder();
+    return encoder.encode(key).length + encoder.encode(json).length + extraEscapes;
+}
+
+/**
+ * Splits text into chunks that each fit one storage item, filling every chunk as far as
+ * its budget allows and never cutting inside a code point (surrogate pairs stay together).
+ * @param {string} text
+ * @param {function(number): number} budgetForChunk Bytes available for the JSON of chunk i, excluding its quotes.
+ * @returns {Array<string>}
+ */
+function splitTextIntoChunks(text, budgetForChunk) {
+    const chunks = [];
+    let current = '';
+    let used = 0;
+    let budget = budgetForChunk(0);
+    for (const char of text) { // Iterates by code point
+        const cost = jsonCharByteLength(char);
+        if (used + cost > budget && current) {
+            chunks.push(current);
+            current = '';
+            used = 0;
+            budget = budgetForChunk(chunks.length);
+        }
+        current += char;
+        used += cost;
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    const step = 0x8000; // Keeps String.fromCharCode's argument list small
+    for (let i = 0; i < bytes.length; i += step) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + step));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * Short content hash used for `chunkHashes` and `contentHash`.
+ * @param {string} text
+ * @returns {Promise<string>} The first HASH_HEX_LENGTH hex digits of the SHA-256 of the UTF-8 text.
+ */
+async function hashText(text) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('').substring(0, HASH_HEX_LENGTH);
+}
+
+/**
+ * Picks the stored form of a prompt's text: compressed when that is smaller, otherwise as-is.
+ * Base64 is plain ASCII, so compressed text costs one byte per character in the item's JSON.
+ * @param {string} text
+ * @returns {Promise<{text: string, encoding?: string}>}
+ */
+async function encodeTextForStorage(text) {
+    // Text with lone surrogates would not survive the UTF-8 round trip; keep it as-is.
+    if (typeof CompressionStream !== 'function' || /\p{Surrogate}/u.test(text)) return { text };
     try {
-        const allItems = await chrome.storage.sync.get(null);
-        const promptsMap = new Map(); // Use Map to organize prompts and their chunks
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate'));
+        const compressed = bytesToBase64(new Uint8Array(await new Response(stream).arrayBuffer()));
+        if (compressed.length < storageItemByteLength('', text)) {
+            return { text: compressed, encoding: DEFLATE_BASE64_ENCODING };
+        }
+    } catch (error) {
+        logger.warn('StorageManager: Compression failed; storing text uncompressed:', error.message);
+    }
+    return { text };
+}
 
-        // First pass: Identify metadata and chunks
-        for (const key in allItems) {
-            if (!key.startsWith(PROMPT_KEY_PREFIX)) continue; // Ignore unrelated keys
-
-            if (key.includes(CHUNK_KEY_SEPARATOR)) {
-                // This is a chunk key, e.g., "prompt_123_chunk_0"
-                const [baseKeyWithPrefix, chunkIndexStr] = key.split(CHUNK_KEY_SEPARATOR);
-                const baseKey = baseKeyWithPrefix; // baseKey still includes PROMPT_KEY_PREFIX
-                const chunkIndex = parseInt(chunkIndexStr, 10);
-
-                if (!isNaN(chunkIndex)) {
-                    if (!promptsMap.has(baseKey)) {
-                        // Initialize with an empty chunks array if metadata hasn't been processed yet.
-                        // Metadata will be added when its key is encountered.
-                        promptsMap.set(baseKey, { metadata: null, chunks: [] });
-                    }
-                    const promptEntry = promptsMap.get(baseKey);
-                    promptEntry.chunks[chunkIndex] = allItems[key]; // Store chunk text
-                } else {
-                    logger.warn(`StorageManager: Invalid chunk index found in key: ${key}`);
-                }
-            } else {
-                // This is potentially a metadata key or a non-chunked prompt key, e.g., "prompt_123"
-                const promptData = allItems[key];
-                if (promptData && typeof promptData === 'object' && promptData.id) {
-                    if (!promptsMap.has(key)) {
-                         // Initialize with metadata if chunks haven't been processed yet.
-                        promptsMap.set(key, { metadata: promptData, chunks: [] });
-                    } else {
-                        // Chunks were processed first, now add metadata.
-                        promptsMap.get(key).metadata = promptData;
-                    }
-                } else {
-                     logger.warn(`StorageManager: Invalid prompt data or missing ID found for key: ${key}`, promptData);
-                }
+/**
+ * Turns stored text back into the prompt text, according to the metadata's `encoding`.
+ * @param {string} storedText The single item's text or the joined chunks.
+ * @param {object} metadata
+ * @returns {Promise<string|null>} The prompt text, or null if it cannot be decoded.
+ */
+async function decodeStoredText(storedText, metadata) {
+    if (!metadata.encoding) return storedText;
+    if (metadata.encoding !== DEFLATE_BASE64_ENCODING) {
+        logger.error(`StorageManager: Unknown text encoding "${metadata.encoding}" for prompt ID: ${metadata.id}`);
+        return null;
+    }
+    try {
+        const stream = new Blob([base64ToBytes(storedText)]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return await new Response(stream).text();
+    } catch (error) {
+        logger.error(`StorageManager: Could not decompress text for prompt ID: ${metadata.id}`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Encrypts a prompt's title and text with the library's current key. The payload is deflated first when
+ * that makes it smaller; ciphertext does not compress.
+ * @param {string} title
+ * @param {string} text
+ * @returns {Promise<{text: string, encoding?: string, encryption: {keyId: string, iv: string}}>}
+ * @throws {Error} With `encryptionLocked` set if the library is locked.
+ */
+async function encryptPromptContent(title, text) {
+    const key = currentEncryptionKey();
+    // JSON.stringify escapes lone surrogates, so any text survives the UTF-8 round trip.
+    let bytes = new TextEncoder().encode(JSON.stringify({ title, text }));
+    let encoding;
+    if (typeof CompressionStream === 'function') {
+        try {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+            const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+            if (compressed.length < bytes.length) {
+                bytes = compressed;
+                encoding = DEFLATE_BASE64_ENCODING;
             }
+        } catch (error) {
+            logger.warn('StorageManager: Compression failed; encrypting text uncompressed:', error.message);
         }
+    }
+    const sealed = await PromptEncryption.encryptBytes(key, bytes);
+    return { text: sealed.data, ...(encoding ? { encoding } : {}), encryption: { keyId: encryptionState.settings.keyId, iv: sealed.iv } };
+}
 
-        // Second pass: Reconstruct prompts
-        const finalPromptsArray = [];
-        for (const [baseKey, data] of promptsMap.entries()) {
-             if (!data.metadata) {
-                 // This could happen if only chunks were found but no corresponding metadata item.
-                 logger.warn(`StorageManager: Missing metadata for prompt with base key: ${baseKey}. Associated chunks will be ignored.`, data.chunks);
-                 continue;
-             }
-
-            const { metadata, chunks } = data; // Destructure for clarity
-
-            if (metadata.hasOwnProperty('chunkCount') && metadata.chunkCount > 0) {
-                // Reconstruct chunked prompt
-                logger.log(`StorageManager: Reconstructing chunked prompt ID: ${metadata.id}, expected chunks: ${metadata.chunkCount}`);
-                let fullText = '';
-                let missingChunk = false;
-                for (let i = 0; i < metadata.chunkCount; i++) {
-                    const chunkText = chunks[i]; // Access directly from the potentially sparse array
-                    if (typeof chunkText === 'string') {
-                        fullText += chunkText;
-                    } else {
-                        logger.error(`StorageManager: Missing or invalid chunk index ${i} for prompt ID: ${metadata.id} (key: ${baseKey})`);
-                        missingChunk = true;
-                        break;
-                    }
-                }
+/**
+ * Whether a prompt is encrypted with a key this page does not hold (the library is locked).
+ * @param {object} metadata
+ * @returns {boolean}
+ */
+function isPromptLocked(metadata) {
+    return !!metadata.encryption && !encryptionState.keys.has(metadata.encryption.keyId);
+}
+
+/**
+ * Turns stored text back into the prompt's title and text: decoded per `encoding`, and decrypted
+ * first for encrypted prompts. The caller checks isPromptLocked() beforehand.
+ * @param {string} storedText The single item's text or the joined chunks.
+ * @param {object} metadata
+ * @returns {Promise<{title: string, text: string}|null>} Null if the text cannot be decoded or decrypted.
+ */
+async function decodePromptContent(storedText, metadata) {
+    if (!metadata.encryption) {
+        const text = await decodeStoredText(storedText, metadata);
+        return text === null ? null : { title: metadata.title, text };
+    }
+    if (metadata.encoding && metadata.encoding !== DEFLATE_BASE64_ENCODING) {
+        logger.error(`StorageManager: Unknown text encoding "${metadata.encoding}" for prompt ID: ${metadata.id}`);
+        return null;
+    }
+    try {
+        const key = encryptionState.keys.get(metadata.encryption.keyId);
+        let bytes = await PromptEncryption.decryptBytes(key, { iv: metadata.encryption.iv, data: storedText });
+        if (metadata.encoding) {
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        const { title, text } = JSON.parse(new TextDecoder().decode(bytes));
+        if (typeof title !== 'string' || typeof text !== 'string') throw new Error('Unexpected payload.');
+        return { title, text };
+    } catch (error) {
+        logger.error(`StorageManager: Could not decrypt prompt ID: ${metadata.id}`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Creates the generation id for a chunked save: a base-36 timestamp plus two random
+ * characters, so saves on two devices at the same moment do not share chunk keys.
+ * @returns {string}
+ */
+function newChunkGeneration() {
+    return Date.now().toString(36) + Math.random().toString(36).substring(2, 2 + GENERATION_RANDOM_LENGTH).padEnd(GENERATION_RANDOM_LENGTH, '0');
+}
+
+/**
+ * Returns the time a generation was created, or 0 if it cannot be parsed.
+ * @param {string} generation
+ * @returns {number}
+ */
+function generationTimestamp(generation) {
+    const time = parseInt(generation.slice(0, -GENERATION_RANDOM_LENGTH), 36);
+    return Number.isFinite(time) ? time : 0;
+}
+
+/**
+ * Builds the storage key of a chunk, e.g. "prompt_123_chunk_lq2x9k1a7f_0".
+ * Metadata written before generations existed has no `generation`; its chunks are "prompt_123_chunk_0".
+ * @param {string} baseKey The prompt's metadata key.
+ * @param {string|null|undefined} generation
+ * @param {number} index
+ * @returns {string}
+ */
+function buildChunkKey(baseKey, generation, index) {
+    return generation
+        ? `${baseKey}${CHUNK_KEY_SEPARATOR}${generation}_${index}`
+        : `${baseKey}${CHUNK_KEY_SEPARATOR}${index}`;
+}
 
-                if (!missingChunk) {
-                    finalPromptsArray.push({
-                        id: metadata.id,
-                        title: metadata.title,
-                        text: fullText
-                    });
-                    logger.log(`StorageManager: Successfully reconstructed prompt ID: ${metadata.id}`);
-                } else {
-                     logger.error(`StorageManager: Failed to reconstruct prompt ID: ${metadata.id} due to missing chunks.`);
-                }
-
-            } else if (metadata.hasOwnProperty('text')) {
-                // This is a non-chunked prompt (metadata itself contains the full text)
-                finalPromptsArray.push({
-                    id: metadata.id,
-                    title: metadata.title,
-                    text: metadata.text
-                });
-                 logger.log(`StorageManager: Retrieved non-chunked prompt ID: ${metadata.id}`);
+/**
+ * Parses a chunk key built by buildChunkKey().
+ * @param {string} key
+ * @returns {{baseKey: string, generation: string|null, index: number}|null} Null for non-chunk keys.
+ */
+function parseChunkKey(key) {
+    const separatorIndex = key.indexOf(CHUNK_KEY_SEPARATOR);
+    if (separatorIndex === -1) return null;
+    const match = /^(?:([a-z0-9]+)_)?(\d+)$/.exec(key.substring(separatorIndex + CHUNK_KEY_SEPARATOR.length));
+    if (!match) return null;
+    return { baseKey: key.substring(0, separatorIndex), generation: match[1] || null, index: parseInt(match[2], 10) };
+}
+
+/**
+ * Joins the chunks a metadata item points at.
+ * @param {object} allItems Storage snapshot containing the chunks.
+ * @param {string} baseKey The prompt's metadata key.
+ * @param {object} metadata Metadata with chunkCount and, for current saves, generation.
+ * @returns {string|null} The full text, or null if a chunk is missing.
+ */
+function readChunkedText(allItems, baseKey, metadata) {
+    let fullText = '';
+    for (let i = 0; i < metadata.chunkCount; i++) {
+        const chunkText = allItems[buildChunkKey(baseKey, metadata.generation, i)];
+        if (typeof chunkText !== 'string') {
+            logger.error(`StorageManager: Missing or invalid chunk index ${i} for prompt ID: ${metadata.id} (key: ${baseKey}, generation: ${metadata.generation || 'legacy'})`);
+            return null;
+        }
+        fullText += chunkText;
+    }
+    return fullText;
+}
+
+/**
+ * Joins and decodes a chunked prompt's text, checking it against the hashes in its metadata.
+ * Prompts saved before hashes were added have none and are not checked. For encrypted prompts
+ * the title comes out of the ciphertext too; while the library is locked only the chunk hashes are checked.
+ * @param {object} allItems Storage snapshot containing the chunks.
+ * @param {string} baseKey The prompt's metadata key.
+ * @param {object} metadata Metadata with chunkCount, generation and (for current saves) the hashes.
+ * @returns {Promise<{title: string|null, text: string|null, corruption: string|null}>} `text` is null if a chunk
+ *          is missing, the text cannot be decoded, it failed a check or the library is locked; `corruption` then
+ *          says which check failed.
+ */
+async function readVerifiedChunkedText(allItems, baseKey, metadata) {
+    const storedText = readChunkedText(allItems, baseKey, metadata);
+    if (storedText === null) return { title: null, text: null, corruption: null };
+    if (metadata.chunkHashes !== undefined) {
+        if (!Array.isArray(metadata.chunkHashes) || metadata.chunkHashes.length !== metadata.chunkCount) {
+            return { title: null, text: null, corruption: 'the chunk checksums do not match the chunk count' };
+        }
+        for (let i = 0; i < metadata.chunkCount; i++) {
+            if (await hashText(allItems[buildChunkKey(baseKey, metadata.generation, i)]) !== metadata.chunkHashes[i]) {
+                return { title: null, text: null, corruption: `chunk ${i} does not match its checksum` };
+            }
+        }
+    }
+    if (isPromptLocked(metadata)) return { title: null, text: null, corruption: null };
+    const content = await decodePromptContent(storedText, metadata);
+    if (content === null) {
+        // Intact chunks that fail to decrypt were changed after they were encrypted.
+        return { title: null, text: null, corruption: metadata.encryption ? 'the text does not decrypt' : null };
+    }
+    if (metadata.contentHash && await hashText(content.text) !== metadata.contentHash) {
+        return { title: null, text: null, corruption: 'the reassembled text does not match its checksum' };
+    }
+    return { title: content.title, text: content.text, corruption: null };
+}
+
+/**
+ * Builds a loaded prompt from its metadata item and, for chunked prompts, its chunks.
+ * A chunked prompt whose text fails its checksums is returned with `corrupted: true` and empty text,
+ * so the list can show it without showing wrong text.
+ * An encrypted prompt is returned as `{id, locked: true}` while the library is locked.
+ * @param {object} items Storage items containing the metadata and the chunks it points at.
+ * @param {string} key The prompt's metadata key, e.g. "prompt_123".
+ * @returns {Promise<object|null>} {id, title, text, rev, storageTier} plus any OPTIONAL_PROMPT_FIELDS
+ *                                 (and `corrupted` if set), or null if the data is invalid, incomplete or undecodable.
+ */
+async function loadSyncedPrompt(items, key) {
+    // This is a metadata key or a non-chunked prompt key, e.g., "prompt_123"
+    const metadata = items[key];
+    if (!metadata || typeof metadata !== 'object' || !metadata.id) {
+        logger.warn(`StorageManager: Invalid prompt data or missing ID found for key: ${key}`, metadata);
+        return null;
+    }
+    if (isPromptLocked(metadata)) return { id: metadata.id, locked: true };
+
+    let fullText = null;
+    let title = metadata.title;
+    if (metadata.hasOwnProperty('chunkCount') && metadata.chunkCount > 0) {
+        // Reconstruct chunked prompt
+        logger.log(`StorageManager: Reconstructing chunked prompt ID: ${metadata.id}, generation: ${metadata.generation || 'legacy'}, expected chunks: ${metadata.chunkCount}`);
+        const content = await readVerifiedChunkedText(items, key, metadata);
+        if (content.corruption) {
+            logger.error(`StorageManager: Prompt ID ${metadata.id} is corrupted: ${content.corruption} (generation: ${metadata.generation || 'legacy'}).`);
+            return {
+                id: metadata.id,
+                title: metadata.encryption ? `Encrypted prompt ${metadata.id}` : metadata.title,
+                text: '',
+                ...pickOptionalPromptFields(metadata),
+                rev: storedRevOf(metadata),
+                storageTier: STORAGE_TIERS.SYNC,
+                corrupted: true
+            };
+        }
+        fullText = content.text;
+        title = content.title;
+        if (fullText === null) {
+            logger.error(`StorageManager: Failed to reconstruct prompt ID: ${metadata.id} due to missing or undecodable chunks.`);
+            return null;
+        }
+    } else if (metadata.hasOwnProperty('text')) {
+        // This is a non-chunked prompt (metadata itself contains the full text)
+        const content = await decodePromptContent(metadata.text, metadata);
+        if (content === null) return null;
+        fullText = content.text;
+        title = content.title;
+    } else {
+        logger.warn(`StorageManager: Metadata for key ${key} (ID: ${metadata.id}) has neither 'text' nor 'chunkCount'. Skipping.`);
+        return null;
+    }
+
+    return {
+        id: metadata.id,
+        title,
+        text: fullText,
+        ...pickOptionalPromptFields(metadata),
+        rev: storedRevOf(metadata),
+        storageTier: STORAGE_TIERS.SYNC
+    };
+}
+
+/**
+ * Builds a loaded prompt from a local-only item (STORAGE_TIERS.LOCAL).
+ * @param {object} item
+ * @param {string} key
+ * @returns {object|null}
+ */
+function loadLocalOnlyPrompt(item, key) {
+    if (!item || typeof item !== 'object' || !item.id || typeof item.text !== 'string') {
+        logger.warn(`StorageManager: Invalid local-only prompt data found for key: ${key}`, item);
+        return null;
+    }
+    return { id: item.id, title: item.title, text: item.text, ...pickOptionalPromptFields(item), rev: storedRevOf(item), storageTier: STORAGE_TIERS.LOCAL };
+}
+
+// --- In-memory prompt index ---
+// Each page (the popup, or any other page loading this script) scans storage once, then keeps
+// the index current from the backends' change events: changed prompts are marked stale and re-read
+// on the next getAllPrompts() using only their own keys. savePrompt() and deletePrompt() look up
+// a prompt's chunk keys here instead of reading every key in sync storage.
+const promptIndex = {
+    ready: null, // Promise of the first scan
+    syncKeysByBaseKey: new Map(), // "prompt_123" -> Set of its sync keys (metadata and chunks of any generation)
+    promptsByKey: new Map(), // metadata key or local-only key -> loaded prompt (null if unreadable)
+    currentKeysByBaseKey: new Map(), // "prompt_123" -> the keys its metadata points at (itself and its chunks)
+    staleKeys: new Set(), // metadata or local-only keys to re-read before the next getAllPrompts()
+    unsubscribers: [] // Stop the change listeners if the first scan fails
+};
+// Snapshot of the last prompt list in chrome.storage.session, so a newly opened popup can draw at once.
+const PROMPT_LIST_CACHE_KEY = 'prompt_list_cache';
+
+function indexSyncKey(key, isRemoved) {
+    const chunk = parseChunkKey(key);
+    const baseKey = chunk ? chunk.baseKey : key;
+    let keys = promptIndex.syncKeysByBaseKey.get(baseKey);
+    if (!keys) {
+        keys = new Set();
+        promptIndex.syncKeysByBaseKey.set(baseKey, keys);
+    }
+    if (isRemoved) keys.delete(key);
+    else keys.add(key);
+    if (keys.size === 0) promptIndex.syncKeysByBaseKey.delete(baseKey);
+    return baseKey;
+}
+
+/**
+ * Records written or removed keys in the index. savePrompt() and deletePrompt() call this for their
+ * own writes straight away, because the matching onChanged events may arrive after the caller's next read.
+ * @param {string} areaName 'sync' or 'local'.
+ * @param {Array<string>} keys
+ * @param {boolean} isRemoved
+ */
+function markIndexKeysChanged(areaName, keys, isRemoved) {
+    if (!promptIndex.ready) return; // Nothing indexed yet; the first scan will see these keys
+    for (const key of keys) {
+        if (areaName === 'sync' && key.startsWith(PROMPT_KEY_PREFIX)) {
+            promptIndex.staleKeys.add(indexSyncKey(key, isRemoved));
+        } else if (areaName === 'local' && key.startsWith(LOCAL_PROMPT_KEY_PREFIX)) {
+            promptIndex.staleKeys.add(key);
+        }
+    }
+}
+
+function applyStorageChangesToIndex(changes, areaName) {
+    for (const [key, change] of Object.entries(changes)) {
+        markIndexKeysChanged(areaName, [key], change.newValue === undefined);
+    }
+}
+
+// Loads a synced prompt into the index, noting which of its keys its metadata points at.
+async function indexSyncedPrompt(items, baseKey) {
+    promptIndex.promptsByKey.set(baseKey, await loadSyncedPrompt(items, baseKey));
+    const metadata = items[baseKey];
+    const chunkCount = metadata && typeof metadata === 'object' && metadata.chunkCount > 0 ? metadata.chunkCount : 0;
+    const chunkKeys = Array.from({ length: chunkCount }, (_, i) => buildChunkKey(baseKey, metadata.generation, i));
+    promptIndex.currentKeysByBaseKey.set(baseKey, [baseKey, ...chunkKeys]);
+}
+
+async function buildPromptIndex() {
+    await ensureEncryptionState(); // Encrypted prompts are decrypted as they are indexed
+    // Subscribe before scanning: anything changed during the scan is re-read afterwards.
+    promptIndex.unsubscribers = [
+        syncStorage().onChanged(changes => applyStorageChangesToIndex(changes, 'sync')),
+        localStorageArea().onChanged(changes => applyStorageChangesToIndex(changes, 'local'))
+    ];
+    const allItems = await syncStorage().get(null);
+    for (const key of Object.keys(allItems)) {
+        if (key.startsWith(PROMPT_KEY_PREFIX)) indexSyncKey(key, false);
+    }
+    for (const baseKey of promptIndex.syncKeysByBaseKey.keys()) {
+        if (baseKey in allItems) await indexSyncedPrompt(allItems, baseKey);
+    }
+    const localItems = await localStorageArea().get(null);
+    for (const [key, item] of Object.entries(localItems)) {
+        if (key.startsWith(LOCAL_PROMPT_KEY_PREFIX)) promptIndex.promptsByKey.set(key, loadLocalOnlyPrompt(item, key));
+    }
+    logger.log(`StorageManager: Prompt index built with ${promptIndex.promptsByKey.size} prompts.`);
+}
+
+/**
+ * Resolves once the in-memory index has been built. A failed scan is retried on the next call.
+ * @returns {Promise<void>}
+ */
+function ensurePromptIndex() {
+    if (!promptIndex.ready) {
+        promptIndex.ready = buildPromptIndex().catch(error => {
+            promptIndex.unsubscribers.forEach(unsubscribe => unsubscribe());
+            promptIndex.unsubscribers = [];
+            promptIndex.ready = null;
+            promptIndex.syncKeysByBaseKey.clear();
+            promptIndex.promptsByKey.clear();
+            promptIndex.currentKeysByBaseKey.clear();
+            promptIndex.staleKeys.clear();
+            throw error;
+        });
+    }
+    return promptIndex.ready;
+}
+
+/**
+ * Re-reads the prompts marked stale by storage changes, touching only their keys.
+ */
+async function refreshStalePrompts() {
+    await ensurePromptIndex();
+    if (promptIndex.staleKeys.size === 0) return;
+    const staleKeys = [...promptIndex.staleKeys];
+    promptIndex.staleKeys.clear();
+    try {
+        const syncBaseKeys = staleKeys.filter(key => key.startsWith(PROMPT_KEY_PREFIX));
+        const localKeys = staleKeys.filter(key => key.startsWith(LOCAL_PROMPT_KEY_PREFIX));
+        const syncKeys = syncBaseKeys.flatMap(baseKey => [...(promptIndex.syncKeysByBaseKey.get(baseKey) || [])]);
+        const syncItems = syncKeys.length > 0 ? await syncStorage().get(syncKeys) : {};
+        const localItems = localKeys.length > 0 ? await localStorageArea().get(localKeys) : {};
+        for (const baseKey of syncBaseKeys) {
+            if (baseKey in syncItems) {
+                await indexSyncedPrompt(syncItems, baseKey);
             } else {
-                 logger.warn(`StorageManager: Metadata for key ${baseKey} (ID: ${metadata.id}) has neither 'text' nor 'chunkCount'. Skipping.`);
+                promptIndex.promptsByKey.delete(baseKey); // Deleted, or only chunks left
+                promptIndex.currentKeysByBaseKey.delete(baseKey);
             }
         }
+        for (const key of localKeys) {
+            if (key in localItems) promptIndex.promptsByKey.set(key, loadLocalOnlyPrompt(localItems[key], key));
+            else promptIndex.promptsByKey.delete(key);
+        }
+        logger.log(`StorageManager: Re-read ${staleKeys.length} changed prompt(s).`);
+    } catch (error) {
+        staleKeys.forEach(key => promptIndex.staleKeys.add(key)); // Retry on the next read
+        throw error;
+    }
+}
+
+/**
+ * Retrieves all prompts, reconstructing chunked prompts and decompressing text automatically.
+ * Served from the in-memory index; only prompts changed since the last call are read from storage.
+ * Chunked prompts are read from the chunk generation their metadata points at; chunks of other
+ * generations (an interrupted or superseded save) are ignored.
+ * Local-only prompts are merged in; if an interrupted tier move left a prompt in both tiers, the synced copy wins.
+ * @returns {Promise<Array<object>>} A promise resolving with the array of complete prompts.
+ *                                    Each prompt object has {id, title, text, rev, storageTier} plus any OPTIONAL_PROMPT_FIELDS.
+ *                                    Returns an empty array on error.
+ */
+async function getAllPrompts() {
+    logger.log('StorageManager: Attempting to retrieve all prompts (including chunks).');
+    try {
+        await refreshStalePrompts();
+        const syncedPrompts = [];
+        const localPrompts = [];
+        for (const [key, prompt] of promptIndex.promptsByKey) {
+            if (!prompt || prompt.locked) continue; // Unreadable (logged when it was loaded), or encrypted and locked
+            (key.startsWith(LOCAL_PROMPT_KEY_PREFIX) ? localPrompts : syncedPrompts).push({ ...prompt });
+        }
+        const syncedIds = new Set(syncedPrompts.map(p => p.id));
+        const finalPromptsArray = syncedPrompts.concat(localPrompts.filter(p => {
+            if (!syncedIds.has(p.id)) return true;
+            logger.warn(`StorageManager: Prompt ID ${p.id} is in both tiers; using the synced copy.`);
+            return false;
+        }));
 
         logger.log(`StorageManager: Retrieved and processed ${finalPromptsArray.length} prompts.`);
         finalPromptsArray.sort((a, b) => a.title.localeCompare(b.title)); // Sort alphabetically by title
+        writePromptListCache(finalPromptsArray);
+        await touchEncryptionSession();
         return finalPromptsArray;
 
     } catch (error) {
         logger.error('StorageManager: Error retrieving/reconstructing prompts:', error.message, error.stack);
         return []; // Return empty array on error to prevent cascading failures
     }
-}
-
-
-/**
- * Performs an automatic cleanup of inconsistent prompt data in chrome.storage.sync.
- * - Removes metadata entries missing required chunks
- * - Removes stray chunk entries without metadata
- * - Removes malformed metadata (missing id or neither text nor chunkCount)
- */
-async function autoCleanupInconsistentStorage() {
-    try {
-        const all = await chrome.storage.sync.get(null);
-        const keysToRemove = new Set();
-        const metaByKey = {};
-        const prefix = PROMPT_KEY_PREFIX;
-        const sep = CHUNK_KEY_SEPARATOR;
-
-        for (const [k, v] of Object.entries(all)) {
-            if (k.startsWith(prefix) && !k.includes(sep)) {
-                metaByKey[k] = v;
-            }
-        }
-
-        // Remove stray chunks with no metadata
-        for (const k of Object.keys(all)) {
-            if (k.includes(sep)) {
-                const baseKey = k.split(sep)[0];
-                if (!metaByKey[baseKey]) keysToRemove.add(k);
-            }
-        }
-
-        // Validate metadata entries
-        for (const [baseKey, meta] of Object.entries(metaByKey)) {
-            if (!meta || typeof meta !== 'object' || !meta.id) {
-                keysToRemove.add(baseKey);
-                continue;
-            }
-            if (typeof meta.chunkCount === 'number' && meta.chunkCount > 0) {
-                let missing = false;
-                for (let i = 0; i < meta.chunkCount; i++) {
-                    const ck = `${baseKey}${sep}${i}`;
-                    if (typeof all[ck] !== 'string') { missing = true; break; }
-                }
-                if (missing) {
-                    keysToRemove.add(baseKey);
-                    for (let i = 0; i < meta.chunkCount; i++) keysToRemove.add(`${baseKey}${sep}${i}`);
-                }
-            } else if (!Object.prototype.hasOwnProperty.call(meta, 'text')) {
-                // Neither chunkCount nor text
-                keysToRemove.add(baseKey);
-            }
-        }
-
-        if (keysToRemove.size > 0) {
-            await chrome.storage.sync.remove([...keysToRemove]);
-            logger.warn('StorageManager: Auto-cleanup removed inconsistent keys:', [...keysToRemove]);
-        }
-    } catch (e) {
-        logger.error('StorageManager: Auto-cleanup failed:', e.message, e.stack);
-    }
-}
-
-/**
- * Saves a single prompt, automatically chunking if text exceeds MAX_CHUNK_LENGTH.
- * Handles cleaning up old data/chunks if the prompt existed before.
- * @param {object} promptObject The prompt object to save {id, title, text}.
- * @returns {Promise<void>} A promise resolving when saving is complete, or rejecting on error.
- * @throws {Error} If promptObject is invalid, or if saving/chunking fails.
- */
-async function savePrompt(promptObject) {
+}
+
+// The session cache is a popup nicety and stays on chrome.storage; it is skipped outside the extension.
+function hasSessionStorage() {
+    return typeof chrome !== 'undefined' && !!chrome.storage && !!chrome.storage.session;
+}
+
+function writePromptListCache(prompts) {
+    if (!hasSessionStorage()) return;
+    chrome.storage.session.set({ [PROMPT_LIST_CACHE_KEY]: prompts }).catch(error => {
+        logger.warn('StorageManager: Could not update the prompt list cache:', error.message);
+    });
+}
+
+/**
+ * Returns the prompt list as last loaded in this browser session, for drawing the popup before
+ * getAllPrompts() has finished. It may be out of date; always follow up with getAllPrompts().
+ * @returns {Promise<Array<object>>} Empty if there is no cache yet.
+ */
+async function getCachedPrompts() {
+    if (!hasSessionStorage()) return [];
+    try {
+        await ensureEncryptionState();
+        if (isLibraryLocked()) return []; // Lock clears the cache; another device may have changed the passphrase since
+        const { [PROMPT_LIST_CACHE_KEY]: prompts } = await chrome.storage.session.get([PROMPT_LIST_CACHE_KEY]);
+        return Array.isArray(prompts) ? prompts : [];
+    } catch (error) {
+        logger.warn('StorageManager: Could not read the prompt list cache:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Returns the id of every stored prompt: encrypted ones while the library is locked, damaged ones and
+ * chunks whose metadata is gone included. Unlike getAllPrompts() it throws when storage cannot be read,
+ * so a failed read is never taken for an empty library.
+ * @returns {Promise<Array<string>>}
+ */
+async function getStoredPromptIds() {
+    await refreshStalePrompts();
+    const ids = new Set();
+    for (const baseKey of promptIndex.syncKeysByBaseKey.keys()) ids.add(baseKey.substring(PROMPT_KEY_PREFIX.length));
+    for (const key of promptIndex.promptsByKey.keys()) {
+        if (key.startsWith(LOCAL_PROMPT_KEY_PREFIX)) ids.add(key.substring(LOCAL_PROMPT_KEY_PREFIX.length));
+    }
+    return [...ids];
+}
+
+/**
+ * Returns the sync keys that autoCleanupInconsistentStorage() has to read, from the index: all keys of each
+ * prompt that did not load cleanly or has keys its metadata does not point at (chunks of another generation,
+ * or chunks whose metadata is gone). Intact prompts are skipped, so a healthy library needs no read at all.
+ * @returns {Promise<Array<string>>}
+ */
+async function getCleanupCandidateKeys() {
+    await refreshStalePrompts();
+    const keys = [];
+    for (const [baseKey, storedKeys] of promptIndex.syncKeysByBaseKey) {
+        const prompt = promptIndex.promptsByKey.get(baseKey);
+        const currentKeys = promptIndex.currentKeysByBaseKey.get(baseKey) || [];
+        const isIntact = !!prompt && !prompt.corrupted && storedKeys.size === currentKeys.length
+            && currentKeys.every(key => storedKeys.has(key));
+        if (!isIntact) keys.push(...storedKeys);
+    }
+    return keys;
+}
+
+/**
+ * Returns the sync keys the index knows for a prompt, always including its metadata key.
+ * @param {string} baseKey
+ * @returns {Promise<Array<string>>}
+ */
+async function getIndexedSyncKeys(baseKey) {
+    await ensurePromptIndex();
+    return [...new Set([baseKey, ...(promptIndex.syncKeysByBaseKey.get(baseKey) || [])])];
+}
+
+// --- Encrypted library ---
+// Optional. The key settings (ENCRYPTION_SETTINGS_KEY) sync with the prompts; the passphrase and the key
+// never leave this device. Unlocking derives the key, and keeps it in chrome.storage.session until the
+// per-device timeout (extended on use), so reopening the popup does not ask again.
+// A passphrase change keeps the previous keys in `retiredKeys`, encrypted with the new key, so prompts
+// another device has not re-saved yet and older encrypted backups stay readable.
+// Only synced prompts are encrypted. Local-only prompts, revision history, the trash and the quarantine
+// stay on this device and are not.
+const encryptionState = {
+    ready: null, // Promise of the first settings read
+    settings: null, // {version, keyId, salt, iterations, keyCheck, retiredKeys, disabling?}, or null when not encrypted
+    keys: new Map(), // keyId -> CryptoKey while unlocked: the current key and the retired ones
+    timeoutMinutes: DEFAULT_ENCRYPTION_TIMEOUT_MINUTES,
+    expiresAt: 0,
+    lockTimer: null,
+    listeners: new Set(),
+    unsubscribe: null // Stops the settings listener if the first read fails
+};
+
+function encryptionLockedError() {
+    const error = new Error('The prompt library is locked. Unlock it with your passphrase first.');
+    error.encryptionLocked = true;
+    return error;
+}
+
+function wrongPassphraseError() {
+    const error = new Error('Wrong passphrase.');
+    error.wrongPassphrase = true;
+    return error;
+}
+
+function isLibraryLocked() {
+    const { settings, keys } = encryptionState;
+    return !!settings && !keys.has(settings.keyId);
+}
+
+function currentEncryptionKey() {
+    if (!encryptionState.settings || isLibraryLocked()) throw encryptionLockedError();
+    return encryptionState.keys.get(encryptionState.settings.keyId);
+}
+
+function notifyEncryptionListeners() {
+    const status = describeEncryptionStatus();
+    encryptionState.listeners.forEach(listener => listener(status));
+}
+
+function describeEncryptionStatus() {
+    return {
+        enabled: !!encryptionState.settings,
+        unlocked: !!encryptionState.settings && !isLibraryLocked(),
+        expiresAt: isLibraryLocked() ? 0 : encryptionState.expiresAt,
+        timeoutMinutes: encryptionState.timeoutMinutes
+    };
+}
+
+// Prompts read while the keys were different are re-read on the next getAllPrompts().
+function markSyncedPromptsStale() {
+    if (!promptIndex.ready) return;
+    for (const baseKey of promptIndex.syncKeysByBaseKey.keys()) promptIndex.staleKeys.add(baseKey);
+}
+
+function scheduleAutoLock() {
+    clearTimeout(encryptionState.lockTimer);
+    if (!encryptionState.expiresAt) return;
+    encryptionState.lockTimer = setTimeout(() => {
+        lockEncryption().catch(error => logger.warn('StorageManager: Auto-lock failed:', error.message));
+    }, Math.max(0, encryptionState.expiresAt - Date.now()));
+    if (encryptionState.lockTimer.unref) encryptionState.lockTimer.unref(); // Node: do not keep the process alive
+}
+
+function hasAlarms() {
+    return typeof chrome !== 'undefined' && !!chrome.alarms;
+}
+
+// The popup's timer stops when it closes; the alarm wakes background.js to clear the session at expiry.
+async function scheduleSessionExpiryAlarm() {
+    if (!hasAlarms()) return;
+    if (encryptionState.expiresAt) await chrome.alarms.create(ENCRYPTION_LOCK_ALARM, { when: encryptionState.expiresAt });
+    else await chrome.alarms.clear(ENCRYPTION_LOCK_ALARM);
+}
+
+// Stores the unlocked keys with a fresh expiry. Outside the extension the keys stay in memory only.
+async function persistEncryptionSession() {
+    encryptionState.expiresAt = Date.now() + encryptionState.timeoutMinutes * 60 * 1000;
+    scheduleAutoLock();
+    if (!hasSessionStorage()) return;
+    const keys = {};
+    for (const [keyId, key] of encryptionState.keys) keys[keyId] = await PromptEncryption.exportKey(key);
+    await chrome.storage.session.set({ [ENCRYPTION_SESSION_KEY]: { keys, expiresAt: encryptionState.expiresAt } });
+    await scheduleSessionExpiryAlarm();
+}
+
+// Extends the timeout on use; at most once a minute, to keep session writes rare.
+async function touchEncryptionSession() {
+    if (!encryptionState.settings || isLibraryLocked()) return;
+    const fullTimeout = encryptionState.timeoutMinutes * 60 * 1000;
+    if (encryptionState.expiresAt - Date.now() > fullTimeout - 60 * 1000) return;
+    try {
+        await persistEncryptionSession();
+    } catch (error) {
+        logger.warn('StorageManager: Could not extend the encryption session:', error.message);
+    }
+}
+
+async function restoreEncryptionSession() {
+    if (!hasSessionStorage()) return;
+    const { [ENCRYPTION_SESSION_KEY]: session } = await chrome.storage.session.get([ENCRYPTION_SESSION_KEY]);
+    if (!session || !session.keys) return;
+    if (!(session.expiresAt > Date.now())) {
+        await chrome.storage.session.remove([ENCRYPTION_SESSION_KEY, PROMPT_LIST_CACHE_KEY]);
+        return;
+    }
+    for (const [keyId, raw] of Object.entries(session.keys)) {
+        encryptionState.keys.set(keyId, await PromptEncryption.importKey(raw));
+    }
+    await persistEncryptionSession();
+}
+
+// Settings changed here or on another device. A new passphrase elsewhere leaves this page locked until it is entered.
+function applyEncryptionSettings(settings) {
+    const previousKeyId = encryptionState.settings && encryptionState.settings.keyId;
+    encryptionState.settings = settings || null;
+    if (!settings) {
+        encryptionState.keys.clear();
+        encryptionState.expiresAt = 0;
+        scheduleAutoLock();
+    }
+    if (!settings || settings.keyId !== previousKeyId) markSyncedPromptsStale();
+    notifyEncryptionListeners();
+}
+
+async function loadEncryptionState() {
+    encryptionState.unsubscribe = syncStorage().onChanged(changes => {
+        if (ENCRYPTION_SETTINGS_KEY in changes) applyEncryptionSettings(changes[ENCRYPTION_SETTINGS_KEY].newValue);
+    });
+    const { [ENCRYPTION_SETTINGS_KEY]: settings } = await syncStorage().get([ENCRYPTION_SETTINGS_KEY]);
+    const { [ENCRYPTION_TIMEOUT_KEY]: minutes } = await localStorageArea().get([ENCRYPTION_TIMEOUT_KEY]);
+    encryptionState.settings = settings || null;
+    if (Number.isInteger(minutes) && minutes > 0) encryptionState.timeoutMinutes = minutes;
+    if (encryptionState.settings) await restoreEncryptionSession();
+}
+
+/**
+ * Resolves once the encryption settings (and any unlocked session) have been loaded. A failed read is retried on the next call.
+ * @returns {Promise<void>}
+ */
+function ensureEncryptionState() {
+    if (!encryptionState.ready) {
+        encryptionState.ready = loadEncryptionState().catch(error => {
+            if (encryptionState.unsubscribe) encryptionState.unsubscribe();
+            encryptionState.ready = null;
+            throw error;
+        });
+    }
+    return encryptionState.ready;
+}
+
+// Adds the retired keys in `settings` to the unlocked keys; `key` is the settings' current key.
+async function openRetiredKeys(key, settings) {
+    for (const retired of settings.retiredKeys || []) {
+        try {
+            encryptionState.keys.set(retired.keyId, await PromptEncryption.unwrapKey(key, retired.wrapped));
+        } catch (error) {
+            logger.warn(`StorageManager: Could not open retired key ${retired.keyId}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Re-saves every readable synced prompt, so it is stored the way the current settings say:
+ * encrypted with the current key, or in plaintext while encryption is being turned off.
+ * @returns {Promise<{resaved: number, failed: Array<{id: string, title: string, message: string}>}>}
+ */
+async function resaveSyncedPrompts() {
+    const prompts = (await getAllPrompts()).filter(prompt => prompt.storageTier === STORAGE_TIERS.SYNC && !prompt.corrupted);
+    const failed = [];
+    for (const prompt of prompts) {
+        try {
+            await savePrompt(prompt);
+        } catch (error) {
+            logger.error(`StorageManager: Could not re-save prompt ID ${prompt.id}:`, error.message);
+            failed.push({ id: prompt.id, title: prompt.title, message: error.message });
+        }
+    }
+    logger.log(`StorageManager: Re-saved ${prompts.length - failed.length} of ${prompts.length} synced prompt(s).`);
+    return { resaved: prompts.length - failed.length, failed };
+}
+
+/**
+ * @returns {Promise<{enabled: boolean, unlocked: boolean, expiresAt: number, timeoutMinutes: number}>}
+ *          `unlocked` is false when encryption is off; `expiresAt` is when the library locks itself.
+ */
+async function getEncryptionStatus() {
+    await ensureEncryptionState();
+    return describeEncryptionStatus();
+}
+
+/**
+ * Subscribes to lock, unlock and settings changes, including ones made on another device.
+ * @param {function(object): void} callback Called with the new status (see getEncryptionStatus()).
+ * @returns {function(): void} Stops the subscription.
+ */
+function onEncryptionStateChanged(callback) {
+    encryptionState.listeners.add(callback);
+    return () => encryptionState.listeners.delete(callback);
+}
+
+/**
+ * Unlocks the library for this browser session (until the timeout).
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} False if the passphrase is wrong.
+ */
+async function unlockEncryption(passphrase) {
+    await ensureEncryptionState();
+    const settings = encryptionState.settings;
+    if (!settings) return true;
+    const key = await PromptEncryption.openKey(passphrase, settings);
+    if (!key) return false;
+    encryptionState.keys.set(settings.keyId, key);
+    await openRetiredKeys(key, settings);
+    await persistEncryptionSession();
+    markSyncedPromptsStale();
+    notifyEncryptionListeners();
+    logger.log('StorageManager: Prompt library unlocked.');
+    return true;
+}
+
+/**
+ * Forgets the keys and the decrypted prompt list cache. Encrypted prompts disappear from getAllPrompts()
+ * until the library is unlocked again.
+ */
+async function lockEncryption() {
+    encryptionState.keys.clear();
+    encryptionState.expiresAt = 0;
+    scheduleAutoLock();
+    markSyncedPromptsStale();
+    if (hasSessionStorage()) await chrome.storage.session.remove([ENCRYPTION_SESSION_KEY, PROMPT_LIST_CACHE_KEY]);
+    await scheduleSessionExpiryAlarm();
+    notifyEncryptionListeners();
+    logger.log('StorageManager: Prompt library locked.');
+}
+
+/**
+ * Sets how long this device stays unlocked without use.
+ * @param {number} minutes Whole minutes, 1 or more.
+ */
+async function setEncryptionTimeoutMinutes(minutes) {
+    if (!Number.isInteger(minutes) || minutes < 1) throw new Error('The timeout must be a whole number of minutes (1 or more).');
+    await ensureEncryptionState();
+    await localStorageArea().set({ [ENCRYPTION_TIMEOUT_KEY]: minutes });
+    encryptionState.timeoutMinutes = minutes;
+    if (!isLibraryLocked() && encryptionState.settings) await persistEncryptionSession();
+    notifyEncryptionListeners();
+}
+
+/**
+ * Turns encryption on and re-saves every synced prompt encrypted. The library stays unlocked here.
+ * @param {string} passphrase
+ * @returns {Promise<{resaved: number, failed: Array<object>}>} Prompts that failed stay in plaintext; run
+ *          changeEncryptionPassphrase() or enable again after fixing the cause (usually a full sync quota).
+ */
+async function enableEncryption(passphrase) {
+    if (!passphrase) throw new Error('Enter a passphrase.');
+    await ensureEncryptionState();
+    if (encryptionState.settings) throw new Error('The prompt library is already encrypted.');
+    const { settings, key } = await PromptEncryption.createKey(passphrase);
+    const fullSettings = { ...settings, retiredKeys: [] };
+    await syncStorage().set({ [ENCRYPTION_SETTINGS_KEY]: fullSettings });
+    encryptionState.keys.set(settings.keyId, key);
+    applyEncryptionSettings(fullSettings);
+    await persistEncryptionSession();
+    return resaveSyncedPrompts();
+}
+
+/**
+ * Replaces the passphrase. The new settings are written first, keeping the old key as a retired key,
+ * then every synced prompt is re-encrypted with the new key.
+ * @param {string} currentPassphrase
+ * @param {string} newPassphrase
+ * @returns {Promise<{resaved: number, failed: Array<object>}>}
+ * @throws {Error} With `wrongPassphrase` set if currentPassphrase is wrong.
+ */
+async function changeEncryptionPassphrase(currentPassphrase, newPassphrase) {
+    if (!newPassphrase) throw new Error('Enter a new passphrase.');
+    await ensureEncryptionState();
+    const settings = encryptionState.settings;
+    if (!settings) throw new Error('The prompt library is not encrypted.');
+    const currentKey = await PromptEncryption.openKey(currentPassphrase, settings);
+    if (!currentKey) throw wrongPassphraseError();
+    encryptionState.keys.set(settings.keyId, currentKey);
+    await openRetiredKeys(currentKey, settings);
+
+    const { settings: next, key: nextKey } = await PromptEncryption.createKey(newPassphrase);
+    const retiredKeys = [];
+    for (const [keyId, key] of encryptionState.keys) {
+        retiredKeys.push({ keyId, wrapped: await PromptEncryption.wrapKey(nextKey, key) });
+    }
+    const fullSettings = { ...next, retiredKeys };
+    await syncStorage().set({ [ENCRYPTION_SETTINGS_KEY]: fullSettings });
+    encryptionState.keys.set(next.keyId, nextKey);
+    applyEncryptionSettings(fullSettings);
+    await persistEncryptionSession();
+    logger.log(`StorageManager: Passphrase changed; re-encrypting with key ${next.keyId}.`);
+    return resaveSyncedPrompts();
+}
+
+/**
+ * Turns encryption off: re-saves every synced prompt in plaintext, then removes the key settings.
+ * If some prompts fail, the settings stay (marked `disabling`) so those prompts remain readable; run it again.
+ * @param {string} passphrase
+ * @returns {Promise<{resaved: number, failed: Array<object>}>}
+ * @throws {Error} With `wrongPassphrase` set if the passphrase is wrong.
+ */
+async function disableEncryption(passphrase) {
+    await ensureEncryptionState();
+    const settings = encryptionState.settings;
+    if (!settings) return { resaved: 0, failed: [] };
+    const key = await PromptEncryption.openKey(passphrase, settings);
+    if (!key) throw wrongPassphraseError();
+    encryptionState.keys.set(settings.keyId, key);
+    await openRetiredKeys(key, settings);
+
+    const disablingSettings = { ...settings, disabling: true };
+    await syncStorage().set({ [ENCRYPTION_SETTINGS_KEY]: disablingSettings });
+    applyEncryptionSettings(disablingSettings);
+    const result = await resaveSyncedPrompts();
+    if (result.failed.length === 0) {
+        await syncStorage().remove(ENCRYPTION_SETTINGS_KEY);
+        applyEncryptionSettings(null);
+        if (hasSessionStorage()) await chrome.storage.session.remove(ENCRYPTION_SESSION_KEY);
+        await scheduleSessionExpiryAlarm();
+        logger.log('StorageManager: Encryption turned off.');
+    }
+    return result;
+}
+
+function isEncryptedEnvelope(value) {
+    return !!value && typeof value === 'object' && value.format === ENCRYPTED_ENVELOPE_FORMAT;
+}
+
+/**
+ * Encrypts any JSON value with the library's current key, for encrypted exports and backups.
+ * The envelope carries the key's salt and iteration count, so the passphrase alone opens it later,
+ * even after the passphrase has changed or on another profile.
+ * @param {*} value
+ * @returns {Promise<object>} {format, version, keyId, salt, iterations, iv, data}
+ * @throws {Error} With `encryptionLocked` set if the library is locked or not encrypted.
+ */
+async function encryptWithLibraryKey(value) {
+    await ensureEncryptionState();
+    const key = currentEncryptionKey();
+    const { keyId, salt, iterations } = encryptionState.settings;
+    const sealed = await PromptEncryption.encryptBytes(key, new TextEncoder().encode(JSON.stringify(value)));
+    return { format: ENCRYPTED_ENVELOPE_FORMAT, version: 1, keyId, salt, iterations, iv: sealed.iv, data: sealed.data };
+}
+
+/**
+ * Opens an envelope made by encryptWithLibraryKey(). An unlocked key (current or retired) is used when it
+ * matches; otherwise `askPassphrase` is called and the key is derived from the envelope's salt.
+ * @param {object} envelope
+ * @param {function(): (string|null|Promise<string|null>)} [askPassphrase] Returns null to give up.
+ * @returns {Promise<*>} The encrypted value.
+ * @throws {Error} With `wrongPassphrase` set if the passphrase does not open it.
+ */
+async function decryptEnvelope(envelope, askPassphrase = null) {
+    if (!isEncryptedEnvelope(envelope)) throw new Error('Not an encrypted file.');
+    await ensureEncryptionState();
+    let key = encryptionState.keys.get(envelope.keyId);
+    if (!key && askPassphrase) {
+        const passphrase = await askPassphrase();
+        if (!passphrase) throw new Error('No passphrase entered.');
+        key = await PromptEncryption.deriveKey(passphrase, envelope.salt, envelope.iterations);
+    }
+    if (!key) throw encryptionLockedError();
+    let bytes;
+    try {
+        bytes = await PromptEncryption.decryptBytes(key, envelope);
+    } catch (_) {
+        throw wrongPassphraseError();
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// --- Integrity scan and quarantine ---
+// Damaged prompt data is not deleted: autoCleanupInconsistentStorage() copies it into the local
+// backend first, where its partial text can be recovered, and only then removes it from sync storage.
+const QUARANTINE_KEY = 'quarantine_items';
+const MISSING_TEXT_MARKER = '\n[… missing part …]\n';
+const INTEGRITY_PROBLEM_KINDS = Object.freeze({
+    MISSING_CHUNKS: 'missing-chunks', // Metadata pointing at chunks that are not all there
+    ORPHANED_CHUNKS: 'orphaned-chunks', // Chunks of a prompt whose metadata is gone or damaged
+    MALFORMED: 'malformed', // Metadata without an id, or with neither text nor chunkCount
+    CHECKSUM_MISMATCH: 'checksum-mismatch' // All chunks present, but they fail the metadata's hashes
+});
+
+/**
+ * Finds damaged prompt data in a snapshot of sync storage. Does not change anything.
+ * Chunks left behind by an interrupted or superseded save of a readable prompt are not a problem:
+ * the prompt's current text is intact and its earlier wording is in the revision history.
+ * Generations younger than IN_PROGRESS_SAVE_GRACE_MS are left alone: they may belong to a save
+ * still running here or on another synced device.
+ * @param {object} allItems Every item in sync storage.
+ * @returns {Promise<{problems: Array<object>, supersededChunkKeys: Array<string>}>} Each problem is
+ *          {kind, baseKey, id, title, keys, textKeys, missingChunks, encoding}: `keys` are the stored keys
+ *          involved, `textKeys` the chunk keys that make up the text in order (missing ones included).
+ */
+async function findIntegrityProblems(allItems) {
+    const now = Date.now();
+    const isRecent = (generation) => generation && now - generationTimestamp(generation) < IN_PROGRESS_SAVE_GRACE_MS;
+    const idOf = (baseKey) => baseKey.substring(PROMPT_KEY_PREFIX.length);
+    const metaByKey = {};
+    const chunks = [];
+    for (const [key, value] of Object.entries(allItems)) {
+        if (!key.startsWith(PROMPT_KEY_PREFIX)) continue;
+        const chunk = parseChunkKey(key);
+        if (chunk) chunks.push({ key, ...chunk });
+        else metaByKey[key] = value;
+    }
+
+    const problems = [];
+    const readableBaseKeys = new Set();
+    const claimedChunkKeys = new Set();
+    for (const [baseKey, meta] of Object.entries(metaByKey)) {
+        const isObject = meta && typeof meta === 'object';
+        if (!isObject || !meta.id || !(meta.chunkCount > 0 || Object.prototype.hasOwnProperty.call(meta, 'text'))) {
+            problems.push({
+                kind: INTEGRITY_PROBLEM_KINDS.MALFORMED, baseKey, id: (isObject && meta.id) || idOf(baseKey),
+                title: isObject && typeof meta.title === 'string' ? meta.title : null,
+                keys: [baseKey], textKeys: [], missingChunks: [], encoding: isObject ? meta.encoding : undefined
+            });
+            continue;
+        }
+        if (!(meta.chunkCount > 0)) {
+            readableBaseKeys.add(baseKey);
+            continue;
+        }
+        const textKeys = Array.from({ length: meta.chunkCount }, (_, i) => buildChunkKey(baseKey, meta.generation, i));
+        textKeys.forEach(key => claimedChunkKeys.add(key));
+        const missingChunks = textKeys.map((key, i) => (typeof allItems[key] === 'string' ? -1 : i)).filter(i => i >= 0);
+        const isCorrupted = missingChunks.length === 0 && (await readVerifiedChunkedText(allItems, baseKey, meta)).corruption !== null;
+        if ((missingChunks.length === 0 && !isCorrupted) || isRecent(meta.generation)) {
+            readableBaseKeys.add(baseKey);
+            continue;
+        }
+        problems.push({
+            kind: isCorrupted ? INTEGRITY_PROBLEM_KINDS.CHECKSUM_MISMATCH : INTEGRITY_PROBLEM_KINDS.MISSING_CHUNKS,
+            baseKey, id: meta.id, title: typeof meta.title === 'string' ? meta.title : null,
+            keys: [baseKey, ...textKeys.filter(key => key in allItems)], textKeys, missingChunks, encoding: meta.encoding
+        });
+    }
+
+    // Chunks no metadata points at, grouped by prompt and generation
+    const supersededChunkKeys = [];
+    const orphanGroups = new Map();
+    for (const chunk of chunks) {
+        if (claimedChunkKeys.has(chunk.key) || isRecent(chunk.generation)) continue;
+        if (readableBaseKeys.has(chunk.baseKey)) {
+            supersededChunkKeys.push(chunk.key);
+            continue;
+        }
+        const groupKey = `${chunk.baseKey}|${chunk.generation || ''}`;
+        if (!orphanGroups.has(groupKey)) orphanGroups.set(groupKey, []);
+        orphanGroups.get(groupKey).push(chunk);
+    }
+    for (const group of orphanGroups.values()) {
+        const { baseKey, generation } = group[0];
+        const chunkCount = Math.max(...group.map(chunk => chunk.index)) + 1;
+        const textKeys = Array.from({ length: chunkCount }, (_, i) => buildChunkKey(baseKey, generation, i));
+        const meta = metaByKey[baseKey];
+        problems.push({
+            kind: INTEGRITY_PROBLEM_KINDS.ORPHANED_CHUNKS, baseKey, id: idOf(baseKey),
+            title: meta && typeof meta === 'object' && typeof meta.title === 'string' ? meta.title : null,
+            keys: group.map(chunk => chunk.key), textKeys,
+            missingChunks: textKeys.map((key, i) => (typeof allItems[key] === 'string' ? -1 : i)).filter(i => i >= 0),
+            // Without metadata the encoding is unknown; compressed text is base64 of a zlib stream ("eJ…", "eN…", "eA…", "eF…")
+            encoding: group.every(chunk => /^[A-Za-z0-9+/=]*$/.test(allItems[chunk.key])) && /^e[AFJN]/.test(allItems[textKeys[0]] || '')
+                ? DEFLATE_BASE64_ENCODING : undefined
+        });
+    }
+    return { problems, supersededChunkKeys };
+}
+
+/**
+ * Decodes as much of damaged stored text as possible. Gaps are marked with MISSING_TEXT_MARKER;
+ * compressed text can only be read up to its first gap.
+ * @param {Array<string|null>} parts Stored text in chunk order; null marks a missing chunk.
+ * @param {string|undefined} encoding The metadata's `encoding`, if known.
+ * @returns {Promise<string>}
+ */
+async function recoverPartialText(parts, encoding) {
+    if (encoding !== DEFLATE_BASE64_ENCODING) {
+        return parts.map(part => (part === null ? MISSING_TEXT_MARKER : part)).join('');
+    }
+    const firstGap = parts.indexOf(null);
+    const prefix = (firstGap === -1 ? parts : parts.slice(0, firstGap)).join('');
+    let text = '';
+    try {
+        // base64 decodes in whole groups of four characters
+        const bytes = base64ToBytes(prefix.substring(0, prefix.length - (prefix.length % 4)));
+        const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+        const decoder = new TextDecoder();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            text += decoder.decode(value, { stream: true });
+        }
+    } catch (_) {
+        // A truncated stream fails at the cut; keep what was decoded before it
+    }
+    return firstGap === -1 ? text : text + MISSING_TEXT_MARKER;
+}
+
+/**
+ * Looks for the exact text a damaged prompt last had in this device's revision history.
+ * @param {string} promptId
+ * @param {string|undefined} contentHash From the damaged metadata.
+ * @returns {Promise<string|null>} The newest revision's text whose hash matches, or null.
+ */
+async function findRevisionTextByHash(promptId, contentHash) {
+    if (!contentHash) return null;
+    const revisions = await getPromptRevisions(promptId);
+    for (let i = revisions.length - 1; i >= 0; i--) {
+        if (typeof revisions[i].text === 'string' && await hashText(revisions[i].text) === contentHash) return revisions[i].text;
+    }
+    return null;
+}
+
+/**
+ * Dry run: reports damaged prompt data in sync storage without changing anything.
+ * @returns {Promise<{checkedAt: number, problems: Array<object>, supersededChunkKeys: Array<string>}>}
+ *          See findIntegrityProblems() for the problem fields.
+ */
+async function scanStorageIntegrity() {
+    const allItems = await syncStorage().get(null);
+    return { checkedAt: Date.now(), ...(await findIntegrityProblems(allItems)) };
+}
+
+/**
+ * Returns the quarantined items, oldest first.
+ * @returns {Promise<Array<object>>} Each is {quarantineId, kind, id, title, quarantinedAt, missingChunks, partialText,
+ *          textComplete, items}, where `items` holds the removed sync items exactly as they were stored and
+ *          `textComplete` means partialText is the whole text (found in the revision history by its contentHash).
+ */
+async function getQuarantinedItems() {
+    const { [QUARANTINE_KEY]: entries } = await localStorageArea().get([QUARANTINE_KEY]);
+    return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Permanently removes quarantined items, e.g. after their text was recovered.
+ * @param {Array<string>} quarantineIds
+ */
+async function removeQuarantinedItems(quarantineIds) {
+    const entries = await getQuarantinedItems();
+    await localStorageArea().set({ [QUARANTINE_KEY]: entries.filter(entry => !quarantineIds.includes(entry.quarantineId)) });
+}
+
+/**
+ * Moves damaged prompt data to the quarantine, with whatever text can be recovered, and only then
+ * removes it from sync storage.
+ * @param {object} allItems Storage items holding every key of the problems.
+ * @param {Array<object>} problems From findIntegrityProblems().
+ * @param {number} quarantinedAt
+ * @returns {Promise<number>} Entries added.
+ */
+async function quarantineProblems(allItems, problems, quarantinedAt) {
+    const newEntries = [];
+    for (const problem of problems) {
+        const items = {};
+        problem.keys.forEach(key => { items[key] = allItems[key]; });
+        const meta = allItems[problem.baseKey];
+        const parts = problem.kind === INTEGRITY_PROBLEM_KINDS.MALFORMED
+            ? [meta && typeof meta === 'object' && typeof meta.text === 'string' ? meta.text : '']
+            : problem.textKeys.map(key => (typeof allItems[key] === 'string' ? allItems[key] : null));
+        const revisionText = meta && typeof meta === 'object' ? await findRevisionTextByHash(problem.id, meta.contentHash) : null;
+        // Ciphertext cannot be read in part; the raw items are still kept
+        const isEncrypted = !!(meta && typeof meta === 'object' && meta.encryption);
+        newEntries.push({
+            quarantineId: `${problem.kind}:${problem.keys[0]}:${quarantinedAt}`,
+            kind: problem.kind,
+            id: problem.id,
+            title: problem.title,
+            quarantinedAt,
+            missingChunks: problem.missingChunks,
+            partialText: revisionText !== null ? revisionText : isEncrypted ? '' : await recoverPartialText(parts, problem.encoding),
+            textComplete: revisionText !== null,
+            items
+        });
+    }
+    const entries = await getQuarantinedItems();
+    await localStorageArea().set({ [QUARANTINE_KEY]: entries.concat(newEntries) });
+
+    const keysToRemove = problems.flatMap(problem => problem.keys);
+    await syncStorage().remove(keysToRemove);
+    markIndexKeysChanged('sync', keysToRemove, true);
+    logger.warn(`StorageManager: Moved ${newEntries.length} damaged prompt item(s) to quarantine:`, keysToRemove);
+    return newEntries.length;
+}
+
+/**
+ * Repairs sync storage after interrupted saves and past quota failures:
+ * - Chunks superseded by a newer save of a readable prompt are removed
+ * - Damaged data found by scanStorageIntegrity() (metadata missing chunks, orphaned chunks, malformed
+ *   metadata) is moved to the quarantine (see getQuarantinedItems()), with whatever text could be recovered.
+ *   It is only removed from sync storage once the quarantine has been written.
+ * - Prompts whose text fails its checksums are left in place: the list shows them as corrupted, and their
+ *   text can be restored from the revision history. They are only quarantined when `includeCorrupted` is set.
+ * @param {object} [options]
+ * @param {boolean} [options.includeCorrupted=false] Quarantine checksum failures too (the storage view's "Quarantine Now").
+ * @returns {Promise<object|null>} The integrity report plus `quarantined` (entries added), or null if the run failed.
+ *          `problems` only lists what was quarantined.
+ */
+async function autoCleanupInconsistentStorage({ includeCorrupted = false } = {}) {
+    try {
+        // Only prompts the index found damaged or untidy are read; intact prompts cannot have problems.
+        const candidateKeys = await getCleanupCandidateKeys();
+        const allItems = candidateKeys.length > 0 ? await syncStorage().get(candidateKeys) : {};
+        const report = { checkedAt: Date.now(), ...(await findIntegrityProblems(allItems)), quarantined: 0 };
+        if (!includeCorrupted) {
+            report.problems = report.problems.filter(problem => problem.kind !== INTEGRITY_PROBLEM_KINDS.CHECKSUM_MISMATCH);
+        }
+
+        if (report.supersededChunkKeys.length > 0) {
+            await syncStorage().remove(report.supersededChunkKeys);
+            markIndexKeysChanged('sync', report.supersededChunkKeys, true);
+            logger.log('StorageManager: Auto-cleanup removed superseded chunks:', report.supersededChunkKeys);
+        }
+        if (report.problems.length === 0) return report;
+        report.quarantined = await quarantineProblems(allItems, report.problems, report.checkedAt);
+        return report;
+    } catch (e) {
+        logger.error('StorageManager: Auto-cleanup failed:', e.message, e.stack);
+        return null;
+    }
+}
+
+/**
+ * Moves a prompt loaded with `corrupted` set to the quarantine, in place of deleting it: its damaged text
+ * stays recoverable there, where a trash entry would only hold an empty copy.
+ * @param {string} promptId
+ * @returns {Promise<void>}
+ * @throws {Error} If the prompt is not stored in sync storage, or the quarantine cannot be written.
+ */
+async function quarantineCorruptedPrompt(promptId) {
+    const baseKey = `${PROMPT_KEY_PREFIX}${promptId}`;
+    const allItems = await syncStorage().get(await getIndexedSyncKeys(baseKey));
+    const meta = allItems[baseKey];
+    if (!meta || typeof meta !== 'object') throw new Error(`Prompt ID "${promptId}" is not in sync storage.`);
+    const chunkCount = meta.chunkCount > 0 ? meta.chunkCount : 0;
+    const textKeys = Array.from({ length: chunkCount }, (_, i) => buildChunkKey(baseKey, meta.generation, i));
+    await quarantineProblems(allItems, [{
+        kind: INTEGRITY_PROBLEM_KINDS.CHECKSUM_MISMATCH, baseKey, id: promptId,
+        title: typeof meta.title === 'string' ? meta.title : null,
+        keys: Object.keys(allItems), textKeys,
+        missingChunks: textKeys.map((key, i) => (typeof allItems[key] === 'string' ? -1 : i)).filter(i => i >= 0),
+        encoding: meta.encoding
+    }], Date.now());
+}
+
+/**
+ * Saves a single prompt, automatically chunking if it does not fit in one item of the sync backend (quotaBytesPerItem).
+ * The text is stored deflate-compressed (metadata `encoding`) whenever that makes it smaller.
+ * Writes the new version next to the old one and switches over last, so a failed or
+ * interrupted save leaves the previous version readable:
+ * 1. Chunks (if any) are written under a new generation; the old generation is untouched.
+ * 2. The metadata item (or the single item for short prompts) is written, carrying the chunks'
+ *    hashes and generation. This single-key write is the switch-over.
+ * 3. The previous generation's chunks are removed. If that fails they are orphans that
+ *    autoCleanupInconsistentStorage() removes later.
+ * While the library is encrypted, synced prompts are stored encrypted (see encryptPromptContent()).
+ * Local-only prompts (STORAGE_TIERS.LOCAL) are written as one item to the local backend instead.
+ * Moving a prompt between tiers writes the new copy first, then removes the old one.
+ * Every save increments the prompt's `rev`. A caller that sets `expectedRev` (the rev it started editing from)
+ * gets an edit-conflict error instead of overwriting a newer save. The check runs just before writing, so two
+ * devices saving within the same sync round trip can still both succeed; the later write then wins.
+ * @param {object} promptObject The prompt object to save {id, title, text}, plus any OPTIONAL_PROMPT_FIELDS.
+ *                              Prompts loaded with `corrupted` set are refused.
+ *                              `storageTier` picks the tier; when absent the prompt stays where it is (new prompts: sync).
+ *                              `expectedRev` (optional) enables the conflict check.
+ * @returns {Promise<void>} A promise resolving when saving is complete, or rejecting on error.
+ * @throws {Error} If promptObject is invalid, or if saving/chunking fails. Errors caused by a full sync
+ *                 storage have `syncQuotaExceeded` set; edit conflicts have `editConflict` set to the stored
+ *                 version {id, title, text, rev, updatedAt}; saves while the library is locked have `encryptionLocked` set.
+ */
+async function savePrompt(promptObject) {
     if (!promptObject || !promptObject.id || !promptObject.title || typeof promptObject.text !== 'string') {
         const errorMsg = 'StorageManager: Invalid prompt object provided for saving.';
         logger.error(errorMsg, promptObject);
         throw new Error(errorMsg); // Propagate error
     }
+    if (promptObject.corrupted) {
+        // A loaded corrupted prompt has empty text; saving it back would replace the damaged chunks with nothing.
+        throw new Error(`"${promptObject.title}" is corrupted. Restore its text from the revision history before changing it.`);
+    }
+    if (promptObject.storageTier && !Object.values(STORAGE_TIERS).includes(promptObject.storageTier)) {
+        throw new Error(`StorageManager: Unknown storage tier "${promptObject.storageTier}".`);
+    }
+    await ensureEncryptionState();
+    // Locked, the stored version could not be read for the conflict check and the revision history
+    if (isLibraryLocked()) throw encryptionLockedError();
 
     const { id, title, text } = promptObject;
+    const optionalFields = pickOptionalPromptFields(promptObject);
     const baseKey = `${PROMPT_KEY_PREFIX}${id}`;
+    const localKey = `${LOCAL_PROMPT_KEY_PREFIX}${id}`;
     logger.log(`StorageManager: Attempting to save prompt ID: ${id}, Title: "${title}". Text length: ${text.length}.`);
 
-    // --- Cleanup Strategy: Always remove potentially existing data first ---
-    // This approach simplifies logic by not needing to know the *previous* chunk state.
-    // 1. Find all keys related to this prompt ID (metadata + any old chunks).
-    // 2. Remove them all.
-    // 3. Save the new data (either single item or metadata + new chunks).
+    // --- Read the current state: the stored version (in either tier) and every chunk key of this prompt ---
+    // Only this prompt's keys are read; the index knows which they are.
+    let previousVersion = null;
+    let previousChunkKeys = [];
+    let hasSyncedCopy = false;
+    let localItem = null;
+    let previousRev = 0;
     try {
-        const allItems = await chrome.storage.sync.get(null);
-        const keysToRemove = [];
-        for (const key in allItems) {
-            // Matches baseKey (for metadata/non-chunked) or baseKey + _chunk_... (for chunks)
-            if (key.startsWith(baseKey)) {
-                keysToRemove.push(key);
+        const allItems = await syncStorage().get(await getIndexedSyncKeys(baseKey));
+        const localItems = await localStorageArea().get([localKey]);
+        localItem = localItems[localKey] || null;
+        hasSyncedCopy = Object.prototype.hasOwnProperty.call(allItems, baseKey);
+        previousVersion = await readStoredPromptVersion(allItems, baseKey) ||
+            (localItem ? await readStoredPromptVersion({ [localKey]: localItem }, localKey) : null);
+        previousRev = storedRevOf(hasSyncedCopy ? allItems[baseKey] : localItem);
+        // Match on the parsed base key: a plain startsWith(baseKey) would also pick up prompt_12's keys when saving prompt_1.
+        previousChunkKeys = Object.keys(allItems).filter(key => {
+            const chunk = parseChunkKey(key);
+            return chunk !== null && chunk.baseKey === baseKey;
+        });
+    } catch (error) {
+        logger.error(`StorageManager: Error reading existing data for prompt ID ${id}:`, error.message, error.stack);
+        throw new Error(`Failed to read existing data before saving prompt "${title}". Error: ${error.message}`);
+    }
+    const tier = promptObject.storageTier || (!hasSyncedCopy && localItem ? STORAGE_TIERS.LOCAL : STORAGE_TIERS.SYNC);
+
+    // --- Conflict check: someone else (usually another device) saved since the caller's edit started ---
+    if (Number.isInteger(promptObject.expectedRev) && previousVersion && previousRev !== promptObject.expectedRev) {
+        logger.warn(`StorageManager: Edit conflict for prompt ID ${id}: editing rev ${promptObject.expectedRev}, stored rev ${previousRev}.`);
+        const conflictError = new Error(`"${title}" was changed elsewhere since you started editing it.`);
+        conflictError.editConflict = { id, title: previousVersion.title, text: previousVersion.text, rev: previousRev, updatedAt: previousVersion.timestamp };
+        throw conflictError;
+    }
+    const rev = previousRev + 1;
+
+    if (tier === STORAGE_TIERS.LOCAL) {
+        // --- Local-only: one item in the local backend, which has no per-item limit ---
+        try {
+            await localStorageArea().set({ [localKey]: { id, title, text, rev, ...optionalFields } });
+            markIndexKeysChanged('local', [localKey], false);
+            logger.log(`StorageManager: Prompt ID ${id} ("${title}") saved on this device only.`);
+        } catch (error) {
+            logger.error(`StorageManager: Error saving local-only prompt ID ${id}:`, error.message, error.stack);
+            throw new Error(`Failed to save "${title}" on this device. Error: ${error.message}`);
+        }
+        // A prompt demoted from sync storage: the synced copy would otherwise shadow this one
+        const syncKeys = hasSyncedCopy ? [baseKey, ...previousChunkKeys] : previousChunkKeys;
+        if (syncKeys.length > 0) {
+            try {
+                await syncStorage().remove(syncKeys);
+                markIndexKeysChanged('sync', syncKeys, true);
+                logger.log(`StorageManager: Moved prompt ID ${id} from sync storage to this device.`);
+            } catch (error) {
+                logger.error(`StorageManager: Error removing synced copy of prompt ID ${id}:`, error.message, error.stack);
+                throw new Error(`Saved "${title}" on this device, but could not remove its synced copy. Error: ${error.message}`);
             }
         }
-        if (keysToRemove.length > 0) {
-             logger.log(`StorageManager: Found existing data/chunks for prompt ID ${id}. Removing keys:`, keysToRemove);
-             await chrome.storage.sync.remove(keysToRemove);
-        } else {
-             logger.log(`StorageManager: No existing data found for prompt ID ${id}. Proceeding with new save.`);
+    } else {
+        // --- Save Strategy: Check size and save accordingly, metadata last ---
+        let newChunkKeys = [];
+        try {
+            const isEncrypted = !!encryptionState.settings && !encryptionState.settings.disabling;
+            const stored = isEncrypted ? await encryptPromptContent(title, text) : await encodeTextForStorage(text);
+            const encodingField = stored.encoding ? { encoding: stored.encoding } : {};
+            if (stored.encoding) {
+                logger.log(`StorageManager: Compressed text of prompt ID ${id} to ${stored.text.length} characters.`);
+            }
+            // Encrypted prompts keep their title inside the ciphertext
+            const titleField = isEncrypted ? {} : { title };
+            const encryptionField = isEncrypted ? { encryption: stored.encryption } : {};
+            const itemToSave = { id, ...titleField, text: stored.text, rev, ...encodingField, ...encryptionField, ...optionalFields };
+            const itemByteLength = storageItemByteLength(baseKey, itemToSave);
+            const quotaBytesPerItem = syncStorage().quotaBytesPerItem || Infinity;
+            if (itemByteLength <= quotaBytesPerItem) {
+                // Save as a single item
+                logger.log(`StorageManager: Prompt ID ${id} fits in one item (${itemByteLength} of ${quotaBytesPerItem} bytes). Saving as single item.`);
+                const dataToSave = { [baseKey]: itemToSave };
+                await syncStorage().set(dataToSave);
+                markIndexKeysChanged('sync', [baseKey], false);
+                logger.log(`StorageManager: Prompt ID ${id} ("${title}") saved successfully as single item.`);
+
+            } else {
+                // Save as chunked item under a new generation
+                logger.log(`StorageManager: Prompt ID ${id} needs ${itemByteLength} bytes, more than one item (${quotaBytesPerItem}). Chunking necessary.`);
+                const generation = newChunkGeneration();
+                const encoder = new TextEncoder();
+                // Each chunk gets what is left of the item after its key and the two JSON quotes.
+                const chunks = splitTextIntoChunks(stored.text, (i) => quotaBytesPerItem - encoder.encode(buildChunkKey(baseKey, generation, i)).length - 2);
+                const chunkCount = chunks.length;
+                logger.log(`StorageManager: Split prompt ID ${id} ("${title}") into ${chunkCount} chunks, generation ${generation}.`);
+
+                const chunkItems = {};
+                chunks.forEach((chunkData, i) => { chunkItems[buildChunkKey(baseKey, generation, i)] = chunkData; });
+                const chunkHashes = await Promise.all(chunks.map(hashText));
+                const contentHashField = isEncrypted ? {} : { contentHash: await hashText(text) };
+                const metadata = { id, ...titleField, chunkCount, generation, chunkHashes, ...contentHashField, rev, ...encodingField, ...encryptionField, ...optionalFields };
+                const metadataByteLength = storageItemByteLength(baseKey, metadata);
+                if (metadataByteLength > quotaBytesPerItem) {
+                    logger.error(`StorageManager: CRITICAL: Metadata for chunked prompt ID ${id} is too large (${metadataByteLength} bytes).`);
+                    throw new Error(`Failed to save: Metadata for prompt "${title}" is too large. Try shortening the title.`);
+                }
+
+                newChunkKeys = Object.keys(chunkItems);
+                try {
+                    await syncStorage().set(chunkItems);
+                    markIndexKeysChanged('sync', newChunkKeys, false);
+                } catch (chunkSaveError) {
+                    logger.error(`StorageManager: Error saving chunks for prompt ID ${id}:`, chunkSaveError.message, chunkSaveError.stack);
+                    throw new Error(`Failed to save the text chunks for prompt "${title}". Error: ${chunkSaveError.message}`);
+                }
+
+                // The switch-over: from here on getAllPrompts() reads the new generation
+                try {
+                    await syncStorage().set({ [baseKey]: metadata });
+                    markIndexKeysChanged('sync', [baseKey], false);
+                } catch (metaError) {
+                    logger.error(`StorageManager: Error saving metadata for prompt ID ${id}:`, metaError.message, metaError.stack);
+                    throw new Error(`Failed to save metadata for "${title}". Error: ${metaError.message}`);
+                }
+
+                logger.log(`StorageManager: All ${chunkCount} chunks and metadata saved successfully for prompt ID ${id} ("${title}").`);
+            }
+        } catch (error) {
+            logger.error(`StorageManager: Error during save operation for prompt ID ${id} ("${title}"):`, error.message, error.stack);
+            // The previous version is untouched; remove only what this attempt wrote
+            if (newChunkKeys.length) {
+                try {
+                    await syncStorage().remove(newChunkKeys);
+                    markIndexKeysChanged('sync', newChunkKeys, true);
+                } catch (_) {}
+            }
+            // Check for specific Chrome storage quota errors
+            if (error.message && (error.message.includes('QUOTA_BYTES') || error.message.includes('MAX_ITEMS'))) {
+                 logger.error(`StorageManager: Quota exceeded while saving prompt ID ${id}. Error: ${error.message}`);
+                 const quotaError = new Error(`Storage quota exceeded while saving "${title}". You may need to delete older or larger prompts, or keep some on this device only. (Details: ${error.message})`);
+                 quotaError.syncQuotaExceeded = true; // Lets callers offer STORAGE_TIERS.LOCAL instead
+                 throw quotaError;
+            }
+            // Re-throw specific errors from chunking logic or a generic error if not already specific
+            throw error; // This will be caught by the caller in popup.js
         }
-    } catch (error) {
-         logger.error(`StorageManager: Error during cleanup phase for prompt ID ${id}:`, error.message, error.stack);
-         throw new Error(`Failed during cleanup before saving prompt "${title}". Error: ${error.message}`);
-    }
 
-    // --- Save Strategy: Check size and save accordingly ---
-    try {
-        // Estimate size based on string length (approximation for initial check)
-        if (text.length <= MAX_CHUNK_LENGTH) {
-            // Save as a single item
-            const itemToSave = { id, title, text };
-            const itemByteLength = new TextEncoder().encode(JSON.stringify(itemToSave)).length; // More accurate size of the storable object
-            logger.log(`StorageManager: Prompt ID ${id} is small enough. Estimated object byte size: ${itemByteLength}. Saving as single item.`);
-
-            if (itemByteLength >= 8192 - baseKey.length) { // Account for key length in QUOTA_BYTES_PER_ITEM
-                logger.error(`StorageManager: CRITICAL: Calculated single item for prompt ID ${id} is too large (${itemByteLength} bytes for value, key: ${baseKey.length} bytes) even if text length is small. This might be due to very long title or ID. Aborting save.`);
-                throw new Error(`Failed to save: The prompt "${title}" (even as a single item) is too large for storage. Try shortening the title or text. (Size: ${itemByteLength} bytes)`);
+        // --- Garbage-collect the previous generation ---
+        const staleChunkKeys = previousChunkKeys.filter(key => !newChunkKeys.includes(key));
+        if (staleChunkKeys.length > 0) {
+            try {
+                await syncStorage().remove(staleChunkKeys);
+                markIndexKeysChanged('sync', staleChunkKeys, true);
+                logger.log(`StorageManager: Removed ${staleChunkKeys.length} old chunk(s) for prompt ID ${id}.`);
+            } catch (error) {
+                logger.warn(`StorageManager: Could not remove old chunks for prompt ID ${id}; auto-cleanup will retry:`, error.message);
+            }
+        }
+
+        // --- A prompt promoted from local-only storage: drop the local copy (the synced copy now wins) ---
+        if (localItem) {
+            try {
+                await localStorageArea().remove(localKey);
+                markIndexKeysChanged('local', [localKey], true);
+                logger.log(`StorageManager: Moved prompt ID ${id} from this device to sync storage.`);
+            } catch (error) {
+                logger.warn(`StorageManager: Could not remove the local-only copy of prompt ID ${id}:`, error.message);
             }
+        }
+    }
 
-            const dataToSave = { [baseKey]: itemToSave };
-            await chrome.storage.sync.set(dataToSave);
-            logger.log(`StorageManager: Prompt ID ${id} ("${title}") saved successfully as single item.`);
-
-        } else {
-            // Save as chunked item (chunks-first, metadata last to avoid stale metadata)
-            logger.log(`StorageManager: Prompt ID ${id} text length (${text.length}) exceeds MAX_CHUNK_LENGTH (${MAX_CHUNK_LENGTH}). Chunking necessary.`);
-            const chunks = [];
-            for (let i = 0; i * MAX_CHUNK_LENGTH < text.length; i++) {
-                chunks.push(text.substring(i * MAX_CHUNK_LENGTH, (i + 1) * MAX_CHUNK_LENGTH));
-            }
-            const chunkCount = chunks.length;
-            logger.log(`StorageManager: Split prompt ID ${id} ("${title}") into ${chunkCount} chunks.`);
-
-            const savedChunkKeys = [];
-            for (let i = 0; i < chunkCount; i++) {
-                const chunkKey = `${baseKey}${CHUNK_KEY_SEPARATOR}${i}`;
-                const chunkData = chunks[i];
-                const chunkValueByteLength = new TextEncoder().encode(chunkData).length;
-                logger.log(`StorageManager: Preparing to save chunk ${i + 1}/${chunkCount} for prompt ID ${id}. Key: ${chunkKey}, Approx String Byte Size: ${chunkValueByteLength}`);
-                if (chunkValueByteLength >= 8192 - chunkKey.length) {
-                    logger.error(`StorageManager: CRITICAL: Calculated chunk ${i} for prompt ID ${id} ("${title}") is too large (${chunkValueByteLength} bytes for value, key: ${chunkKey.length} bytes).`);
-                    throw new Error(`Failed to save: A text chunk for "${title}" is too large (${chunkValueByteLength} bytes). Try shortening the prompt text.`);
-                }
-                try {
-                    await chrome.storage.sync.set({ [chunkKey]: chunkData });
-                    savedChunkKeys.push(chunkKey);
-                } catch (chunkSaveError) {
-                    logger.error(`StorageManager: Error saving chunk ${i} for prompt ID ${id}:`, chunkSaveError.message, chunkSaveError.stack);
-                    // Cleanup any chunks saved so far
-                    if (savedChunkKeys.length) {
-                        try { await chrome.storage.sync.remove(savedChunkKeys); } catch (_) {}
-                    }
-                    throw new Error(`Failed to save chunk ${i + 1} for prompt "${title}". Error: ${chunkSaveError.message}`);
-                }
-            }
-
-            // Now save metadata last
-            const metadata = { id, title, chunkCount };
-            const metadataByteLength = new TextEncoder().encode(JSON.stringify(metadata)).length;
-            if (metadataByteLength >= 8192 - baseKey.length) {
-                // Cleanup chunks before aborting
-                if (savedChunkKeys.length) {
-                    try { await chrome.storage.sync.remove(savedChunkKeys); } catch (_) {}
-                }
-                logger.error(`StorageManager: CRITICAL: Metadata for chunked prompt ID ${id} is too large (${metadataByteLength} bytes).`);
-                throw new Error(`Failed to save: Metadata for prompt "${title}" is too large. Try shortening the title.`);
-            }
-            try {
-                await chrome.storage.sync.set({ [baseKey]: metadata });
-            } catch (metaError) {
-                // Cleanup chunks if metadata fails to save (likely overall quota)
-                if (savedChunkKeys.length) {
-                    try { await chrome.storage.sync.remove(savedChunkKeys); } catch (_) {}
-                }
-                logger.error(`StorageManager: Error saving metadata for prompt ID ${id}:`, metaError.message, metaError.stack);
-                throw new Error(`Failed to save metadata for "${title}". Error: ${metaError.message}`);
-            }
-
-            logger.log(`StorageManager: All ${chunkCount} chunks and metadata saved successfully for prompt ID ${id} ("${title}").`);
-        }
+    // History is best-effort: the prompt itself is already saved.
+    try {
+        await recordPromptRevision(promptObject, previousVersion);
     } catch (error) {
-        logger.error(`StorageManager: Error during save operation for prompt ID ${id} ("${title}"):`, error.message, error.stack);
-        // Check for specific Chrome storage quota errors
-        if (error.message && (error.message.includes('QUOTA_BYTES_PER_ITEM') || error.message.includes('QUOTA_BYTES'))) {
-             logger.error(`StorageManager: Quota exceeded while saving prompt ID ${id}. Error: ${error.message}`);
-             throw new Error(`Storage quota exceeded while saving "${title}". You may need to delete older or larger prompts. (Details: ${error.message})`);
+        logger.warn(`StorageManager: Could not record revision for prompt ID ${id}:`, error.message);
+    }
+}
+
+/**
+ * Reads the stored title/text of a prompt from a storage snapshot, before it is overwritten.
+ * @param {object} allItems Storage items containing the prompt's metadata and chunks.
+ * @param {string} baseKey The prompt's metadata key.
+ * @returns {Promise<object|null>} {title, text, timestamp} or null if absent, incomplete, undecodable or corrupted.
+ */
+async function readStoredPromptVersion(allItems, baseKey) {
+    const metadata = allItems[baseKey];
+    if (!metadata || typeof metadata !== 'object' || isPromptLocked(metadata)) return null;
+    let content = null;
+    if (typeof metadata.text === 'string') {
+        content = await decodePromptContent(metadata.text, metadata);
+    } else if (metadata.chunkCount > 0) {
+        content = await readVerifiedChunkedText(allItems, baseKey, metadata);
+    }
+    if (!content || content.text === null) return null;
+    return { title: content.title, text: content.text, timestamp: metadata.updatedAt || metadata.createdAt || null };
+}
+
+/**
+ * Returns this browser's device id and a readable name, creating them on first use.
+ * @returns {Promise<{id: string, name: string}>}
+ */
+async function getDeviceInfo() {
+    const { [DEVICE_INFO_KEY]: stored } = await localStorageArea().get([DEVICE_INFO_KEY]);
+    if (stored && stored.id) return stored;
+    const nav = typeof navigator !== 'undefined' ? navigator : {};
+    const platform = (nav.userAgentData && nav.userAgentData.platform) || nav.platform || 'Unknown device';
+    const id = Math.random().toString(36).substring(2, 8);
+    const info = { id, name: `${platform} (${id.substring(0, 4)})` };
+    await localStorageArea().set({ [DEVICE_INFO_KEY]: info });
+    return info;
+}
+
+/**
+ * Returns the stored revisions of a prompt, oldest first.
+ * @param {string} promptId
+ * @returns {Promise<Array<object>>} Each revision is {timestamp, deviceId, deviceName, title, text}.
+ */
+async function getPromptRevisions(promptId) {
+    const key = `${REVISION_KEY_PREFIX}${promptId}`;
+    const { [key]: revisions } = await localStorageArea().get([key]);
+    return Array.isArray(revisions) ? revisions : [];
+}
+
+/**
+ * Appends the saved title/text to the prompt's revision history, keeping the newest
+ * MAX_REVISIONS_PER_PROMPT entries. Saves that change neither title nor text add nothing.
+ * @param {object} promptObject The prompt as just saved.
+ * @param {object|null} previousVersion What was stored before, used to seed an empty history.
+ */
+async function recordPromptRevision(promptObject, previousVersion) {
+    const key = `${REVISION_KEY_PREFIX}${promptObject.id}`;
+    const revisions = await getPromptRevisions(promptObject.id);
+    const now = Date.now();
+    if (revisions.length === 0 && previousVersion) {
+        // Prompts saved before history existed: keep the wording being replaced.
+        revisions.push({ timestamp: previousVersion.timestamp || now - 1, deviceId: null, deviceName: 'Before history', title: previousVersion.title, text: previousVersion.text });
+    }
+    const latest = revisions[revisions.length - 1];
+    if (latest && latest.title === promptObject.title && latest.text === promptObject.text) return;
+
+    const device = await getDeviceInfo();
+    revisions.push({ timestamp: now, deviceId: device.id, deviceName: device.name, title: promptObject.title, text: promptObject.text });
+    await localStorageArea().set({ [key]: revisions.slice(-MAX_REVISIONS_PER_PROMPT) });
+}
+
+/**
+ * Removes a prompt's revision history. Not called by deletePrompt(): deleted prompts
+ * keep their history while they are in the trash.
+ * @param {string} promptId
+ */
+async function deletePromptRevisions(promptId) {
+    await localStorageArea().remove(`${REVISION_KEY_PREFIX}${promptId}`);
+}
+
+
+/**
+ * Reports storage usage for the storage view. Totals come from the sync backend; the per-prompt
+ * breakdown is measured with storageItemByteLength(), the same measure savePrompt() splits by.
+ * Chunks whose metadata is gone are reported as a prompt with a null title, as are encrypted prompts while locked.
+ * @returns {Promise<object>} {bytesInUse, quotaBytes, itemCount, maxItems, prompts}, where each prompt is
+ *          {id, title, bytes, chunkCount, compressed, encrypted, storageTier}. quotaBytes and maxItems are null for
+ *          backends without those limits. Local-only prompts count against local storage.
+ */
+async function getStorageUsage() {
+    const backend = syncStorage();
+    const allItems = await backend.get(null);
+    const bytesInUse = await backend.getBytesInUse(null);
+    const byBaseKey = {};
+    const entryFor = (baseKey) => byBaseKey[baseKey] || (byBaseKey[baseKey] = {
+        id: baseKey.substring(PROMPT_KEY_PREFIX.length), title: null, bytes: 0, chunkCount: 0, compressed: false, encrypted: false, storageTier: STORAGE_TIERS.SYNC
+    });
+
+    for (const [key, value] of Object.entries(allItems)) {
+        if (!key.startsWith(PROMPT_KEY_PREFIX)) continue;
+        const chunk = parseChunkKey(key);
+        const entry = entryFor(chunk ? chunk.baseKey : key);
+        entry.bytes += storageItemByteLength(key, value); // Includes chunks of stale generations until cleanup
+        if (!chunk && value && typeof value === 'object') {
+            const indexed = value.encryption ? promptIndex.promptsByKey.get(key) : null; // Decrypted title, if unlocked
+            entry.title = typeof value.title === 'string' ? value.title : (indexed && !indexed.locked ? indexed.title : null);
+            entry.chunkCount = value.chunkCount > 0 ? value.chunkCount : 0;
+            entry.compressed = !!value.encoding;
+            entry.encrypted = !!value.encryption;
         }
-        // Re-throw specific errors from chunking logic or a generic error if not already specific
-        throw error; // This will be caught by the caller in popup.js
     }
+
+    const localItems = await localStorageArea().get(null);
+    const prompts = Object.values(byBaseKey);
+    for (const [key, value] of Object.entries(localItems)) {
+        if (!key.startsWith(LOCAL_PROMPT_KEY_PREFIX) || !value || typeof value !== 'object') continue;
+        prompts.push({ id: value.id, title: value.title, bytes: storageItemByteLength(key, value), chunkCount: 0, compressed: false, encrypted: false, storageTier: STORAGE_TIERS.LOCAL });
+    }
+
+    return { bytesInUse, quotaBytes: backend.quotaBytes, itemCount: Object.keys(allItems).length, maxItems: backend.maxItems, prompts };
 }
 
+/**
+ * Subscribes to prompt changes in either tier, whether made in this popup or on another synced device.
+ * A chunked save arrives as several changes; callers should debounce.
+ * @param {function(Array<string>): void} callback Called with the ids of the prompts whose keys changed.
+ * @returns {function(): void} Stops the subscription.
+ */
+function onPromptStorageChanged(callback) {
+    const listenTo = (areaName) => (changes) => {
+        const ids = new Set();
+        for (const key of Object.keys(changes)) {
+            if (areaName === 'sync' && key.startsWith(PROMPT_KEY_PREFIX)) {
+                const chunk = parseChunkKey(key);
+                ids.add((chunk ? chunk.baseKey : key).substring(PROMPT_KEY_PREFIX.length));
+            } else if (areaName === 'local' && key.startsWith(LOCAL_PROMPT_KEY_PREFIX)) {
+                ids.add(key.substring(LOCAL_PROMPT_KEY_PREFIX.length));
+            }
+        }
+        if (ids.size > 0) callback([...ids]);
+    };
+    const unsubscribers = [syncStorage().onChanged(listenTo('sync')), localStorageArea().onChanged(listenTo('local'))];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
 
 /**
- * Deletes a prompt and all its associated chunks (if any) from storage.
+ * Deletes a prompt and all its associated chunks (if any) from storage, in both tiers.
  * @param {string} promptId The ID of the prompt to delete.
  * @returns {Promise<void>} A promise resolving when deletion is complete, or rejecting on error.
  * @throws {Error} If promptId is invalid or deletion fails.
@@ -336,10 +1764,12 @@ async function deletePrompt(promptId) {
         throw new Error(errorMsg);
     }
     const baseKey = `${PROMPT_KEY_PREFIX}${promptId}`;
+    const localKey = `${LOCAL_PROMPT_KEY_PREFIX}${promptId}`;
     logger.log(`StorageManager: Attempting to delete prompt ID: ${promptId} (base key: ${baseKey}) and any associated chunks.`);
 
     try {
-        const allItems = await chrome.storage.sync.get(null);
+        const allItems = await syncStorage().get(await getIndexedSyncKeys(baseKey));
+        const { [localKey]: localItem } = await localStorageArea().get([localKey]);
         const keysToRemove = [];
         for (const key in allItems) {
             // Check if the key is the base key (metadata/non-chunked)
@@ -349,9 +1779,16 @@ async function deletePrompt(promptId) {
             }
         }
 
-        if (keysToRemove.length > 0) {
-            logger.log(`StorageManager: Found keys to remove for prompt ID ${promptId}:`, keysToRemove);
-            await chrome.storage.sync.remove(keysToRemove);
+        if (keysToRemove.length > 0 || localItem) {
+            logger.log(`StorageManager: Found keys to remove for prompt ID ${promptId}:`, keysToRemove, localItem ? localKey : '');
+            if (keysToRemove.length > 0) {
+                await syncStorage().remove(keysToRemove);
+                markIndexKeysChanged('sync', keysToRemove, true);
+            }
+            if (localItem) {
+                await localStorageArea().remove(localKey);
+                markIndexKeysChanged('local', [localKey], true);
+            }
             logger.log(`StorageManager: Successfully removed data for prompt ID: ${promptId}.`);
         } else {
             logger.warn(`StorageManager: No data found in storage for prompt ID: ${promptId}. Deletion request effectively ignored.`);
@@ -361,4 +1798,36 @@ async function deletePrompt(promptId) {
         logger.error(`StorageManager: Error deleting prompt ID ${promptId}:`, error.message, error.stack);
         throw new Error(`Failed to delete prompt data for ID "${promptId}". Error: ${error.message}`);
     }
-}
+}
+
+// Node (headless use): set globalThis.logger, globalThis.StorageBackends and globalThis.PromptEncryption first,
+// then require('./storageManager.js').
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STORAGE_TIERS,
+        getAllPrompts,
+        getStoredPromptIds,
+        savePrompt,
+        deletePrompt,
+        autoCleanupInconsistentStorage,
+        quarantineCorruptedPrompt,
+        scanStorageIntegrity,
+        getQuarantinedItems,
+        removeQuarantinedItems,
+        getStorageUsage,
+        getPromptRevisions,
+        deletePromptRevisions,
+        onPromptStorageChanged,
+        getEncryptionStatus,
+        onEncryptionStateChanged,
+        unlockEncryption,
+        lockEncryption,
+        setEncryptionTimeoutMinutes,
+        enableEncryption,
+        changeEncryptionPassphrase,
+        disableEncryption,
+        isEncryptedEnvelope,
+        encryptWithLibraryKey,
+        decryptEnvelope
+    };
+}
@@ -21,31 +21,142 @@ const UIManager = (() => {
         promptListView: null,
         promptInputView: null,
         addEditView: null,
+        outputFormatView: null,
+        trashView: null,
+        storageView: null,
+        unlockView: null,
+        encryptionView: null,
         // Prompt List View
+        promptSearchInput: null,
+        searchBodyInput: null,
+        sortModeSelect: null,
         promptList: null,
+        tagFilterBar: null,
+        composeBar: null,
+        composeCount: null,
+        composePromptsButton: null,
+        clearCompositionButton: null,
         addPromptButton: null,
+        newFolderButton: null,
         exportPromptsButton: null,
         importPromptsButton: null,
         backupNowButton: null,
-        restoreBackupButton: null,
+        backupsButton: null,
+        outputFormatButton: null,
+        trashButton: null,
+        storageButton: null,
+        encryptionButton: null,
+        lockLibraryButton: null,
         importFileInput: null,
+        quarantineNotice: null,
+        quarantineNoticeText: null,
+        reviewQuarantineButton: null,
         // Prompt Input View
         selectedPromptTitle: null,
+        compositionPanel: null,
+        compositionList: null,
+        composeSeparatorInput: null,
+        templateVariablesForm: null,
         userInput: null,
         copyOutputButton: null,
         backToListButton: null,
+        apiProviderSelect: null,
+        apiFormatSelect: null,
+        copyApiRequestButton: null,
         // Add/Edit View
         addEditTitle: null,
         promptTitleInput: null,
         promptTextInput: null,
+        promptDescriptionInput: null,
+        promptTagsInput: null,
+        promptFavoriteInput: null,
+        promptOutputFormatSelect: null,
+        promptFolderSelect: null,
+        promptStorageTierSelect: null,
         savePromptButton: null,
+        revisionHistoryPanel: null,
+        revisionFromSelect: null,
+        revisionToSelect: null,
+        revisionTitleChange: null,
+        revisionDiff: null,
+        revertRevisionButton: null,
+        editConflictPanel: null,
+        editConflictMessage: null,
+        conflictMineTitleInput: null,
+        conflictMineTextInput: null,
+        conflictTheirsTitleInput: null,
+        conflictTheirsTextInput: null,
+        saveMergedButton: null,
+        useTheirsButton: null,
+        keepEditingButton: null,
         cancelAddEditButton: null,
+        // Output Format View
+        outputFormatSelect: null,
+        outputFormatTemplateInput: null,
+        saveOutputFormatButton: null,
+        cancelOutputFormatButton: null,
+        // Trash View
+        trashRetentionInput: null,
+        trashList: null,
+        emptyTrashButton: null,
+        backFromTrashButton: null,
+        // Storage View
+        storageSyncSummary: null,
+        storageSyncProgress: null,
+        storageItemsSummary: null,
+        storageItemsProgress: null,
+        storageBackupSummary: null,
+        storageSortSelect: null,
+        storagePromptList: null,
+        integritySummary: null,
+        checkIntegrityButton: null,
+        quarantineNowButton: null,
+        quarantineList: null,
+        backFromStorageButton: null,
+        // Unlock View
+        unlockPassphraseInput: null,
+        unlockError: null,
+        unlockButton: null,
+        // Encryption View
+        encryptionStatus: null,
+        encryptionEnableSection: null,
+        encryptionNewPassphraseInput: null,
+        encryptionConfirmPassphraseInput: null,
+        enableEncryptionButton: null,
+        encryptionManageSection: null,
+        encryptionTimeoutInput: null,
+        encryptBackupsInput: null,
+        lockNowButton: null,
+        encryptionCurrentPassphraseInput: null,
+        encryptionChangedPassphraseInput: null,
+        encryptionChangedConfirmInput: null,
+        changePassphraseButton: null,
+        disableEncryptionButton: null,
+        backFromEncryptionButton: null,
+        // Backups View
+        backupSelect: null,
+        backupCompareSummary: null,
+        backupSelectAllInput: null,
+        backupPromptList: null,
+        restoreSelectedButton: null,
+        mergeSelectedButton: null,
+        backFromBackupsButton: null,
+        // Toast
+        toast: null,
+        toastMessage: null,
+        toastActionButton: null,
     };
 
     const viewIds = {
         LIST: 'prompt-list-view',
         INPUT: 'prompt-input-view',
-        EDIT: 'add-edit-view'
+        EDIT: 'add-edit-view',
+        OUTPUT_FORMAT: 'output-format-view',
+        TRASH: 'trash-view',
+        STORAGE: 'storage-view',
+        UNLOCK: 'unlock-view',
+        ENCRYPTION: 'encryption-view',
+        BACKUPS: 'backups-view'
     };
 
     /**
@@ -57,26 +168,131 @@ const UIManager = (() => {
         elements.promptListView = document.getElementById('prompt-list-view');
         elements.promptInputView = document.getElementById('prompt-input-view');
         elements.addEditView = document.getElementById('add-edit-view');
+        elements.outputFormatView = document.getElementById('output-format-view');
+        elements.trashView = document.getElementById('trash-view');
+        elements.storageView = document.getElementById('storage-view');
+        elements.unlockView = document.getElementById('unlock-view');
+        elements.encryptionView = document.getElementById('encryption-view');
 
+        elements.promptSearchInput = document.getElementById('prompt-search-input');
+        elements.searchBodyInput = document.getElementById('search-body-input');
+        elements.sortModeSelect = document.getElementById('sort-mode-select');
         elements.promptList = document.getElementById('prompt-list');
+        elements.tagFilterBar = document.getElementById('tag-filter-bar');
+        elements.composeBar = document.getElementById('compose-bar');
+        elements.composeCount = document.getElementById('compose-count');
+        elements.composePromptsButton = document.getElementById('compose-prompts-btn');
+        elements.clearCompositionButton = document.getElementById('clear-composition-btn');
         elements.addPromptButton = document.getElementById('add-prompt-btn');
+        elements.newFolderButton = document.getElementById('new-folder-btn');
         elements.exportPromptsButton = document.getElementById('export-prompts-btn');
         elements.importPromptsButton = document.getElementById('import-prompts-btn');
         elements.backupNowButton = document.getElementById('backup-now-btn');
-        elements.restoreBackupButton = document.getElementById('restore-backup-btn');
+        elements.backupsButton = document.getElementById('backups-btn');
+        elements.outputFormatButton = document.getElementById('output-format-btn');
+        elements.trashButton = document.getElementById('trash-btn');
+        elements.storageButton = document.getElementById('storage-btn');
+        elements.encryptionButton = document.getElementById('encryption-btn');
+        elements.lockLibraryButton = document.getElementById('lock-library-btn');
         elements.importFileInput = document.getElementById('import-file-input');
+        elements.quarantineNotice = document.getElementById('quarantine-notice');
+        elements.quarantineNoticeText = document.getElementById('quarantine-notice-text');
+        elements.reviewQuarantineButton = document.getElementById('review-quarantine-btn');
 
         elements.selectedPromptTitle = document.getElementById('selected-prompt-title');
+        elements.compositionPanel = document.getElementById('composition-panel');
+        elements.compositionList = document.getElementById('composition-list');
+        elements.composeSeparatorInput = document.getElementById('compose-separator-input');
+        elements.templateVariablesForm = document.getElementById('template-variables-form');
         elements.userInput = document.getElementById('user-input');
         elements.copyOutputButton = document.getElementById('copy-output-btn');
         elements.backToListButton = document.getElementById('back-to-list-btn');
+        elements.apiProviderSelect = document.getElementById('api-provider-select');
+        elements.apiFormatSelect = document.getElementById('api-format-select');
+        elements.copyApiRequestButton = document.getElementById('copy-api-request-btn');
 
         elements.addEditTitle = document.getElementById('add-edit-title');
         elements.promptTitleInput = document.getElementById('prompt-title-input');
         elements.promptTextInput = document.getElementById('prompt-text-input');
+        elements.promptDescriptionInput = document.getElementById('prompt-description-input');
+        elements.promptTagsInput = document.getElementById('prompt-tags-input');
+        elements.promptFavoriteInput = document.getElementById('prompt-favorite-input');
+        elements.promptOutputFormatSelect = document.getElementById('prompt-output-format-select');
+        elements.promptFolderSelect = document.getElementById('prompt-folder-select');
+        elements.promptStorageTierSelect = document.getElementById('prompt-storage-tier-select');
+        elements.revisionHistoryPanel = document.getElementById('revision-history-panel');
+        elements.revisionFromSelect = document.getElementById('revision-from-select');
+        elements.revisionToSelect = document.getElementById('revision-to-select');
+        elements.revisionTitleChange = document.getElementById('revision-title-change');
+        elements.revisionDiff = document.getElementById('revision-diff');
+        elements.revertRevisionButton = document.getElementById('revert-revision-btn');
+        elements.editConflictPanel = document.getElementById('edit-conflict-panel');
+        elements.editConflictMessage = document.getElementById('edit-conflict-message');
+        elements.conflictMineTitleInput = document.getElementById('conflict-mine-title-input');
+        elements.conflictMineTextInput = document.getElementById('conflict-mine-text-input');
+        elements.conflictTheirsTitleInput = document.getElementById('conflict-theirs-title-input');
+        elements.conflictTheirsTextInput = document.getElementById('conflict-theirs-text-input');
+        elements.saveMergedButton = document.getElementById('save-merged-btn');
+        elements.useTheirsButton = document.getElementById('use-theirs-btn');
+        elements.keepEditingButton = document.getElementById('keep-editing-btn');
         elements.savePromptButton = document.getElementById('save-prompt-btn');
         elements.cancelAddEditButton = document.getElementById('cancel-add-edit-btn');
 
+        elements.outputFormatSelect = document.getElementById('output-format-select');
+        elements.outputFormatTemplateInput = document.getElementById('output-format-template-input');
+        elements.saveOutputFormatButton = document.getElementById('save-output-format-btn');
+        elements.cancelOutputFormatButton = document.getElementById('cancel-output-format-btn');
+
+        elements.trashRetentionInput = document.getElementById('trash-retention-input');
+        elements.trashList = document.getElementById('trash-list');
+        elements.emptyTrashButton = document.getElementById('empty-trash-btn');
+        elements.backFromTrashButton = document.getElementById('back-from-trash-btn');
+
+        elements.storageSyncSummary = document.getElementById('storage-sync-summary');
+        elements.storageSyncProgress = document.getElementById('storage-sync-progress');
+        elements.storageItemsSummary = document.getElementById('storage-items-summary');
+        elements.storageItemsProgress = document.getElementById('storage-items-progress');
+        elements.storageBackupSummary = document.getElementById('storage-backup-summary');
+        elements.storageSortSelect = document.getElementById('storage-sort-select');
+        elements.storagePromptList = document.getElementById('storage-prompt-list');
+        elements.integritySummary = document.getElementById('integrity-summary');
+        elements.checkIntegrityButton = document.getElementById('check-integrity-btn');
+        elements.quarantineNowButton = document.getElementById('quarantine-now-btn');
+        elements.quarantineList = document.getElementById('quarantine-list');
+        elements.backFromStorageButton = document.getElementById('back-from-storage-btn');
+
+        elements.unlockPassphraseInput = document.getElementById('unlock-passphrase-input');
+        elements.unlockError = document.getElementById('unlock-error');
+        elements.unlockButton = document.getElementById('unlock-btn');
+
+        elements.encryptionStatus = document.getElementById('encryption-status');
+        elements.encryptionEnableSection = document.getElementById('encryption-enable-section');
+        elements.encryptionNewPassphraseInput = document.getElementById('encryption-new-passphrase-input');
+        elements.encryptionConfirmPassphraseInput = document.getElementById('encryption-confirm-passphrase-input');
+        elements.enableEncryptionButton = document.getElementById('enable-encryption-btn');
+        elements.encryptionManageSection = document.getElementById('encryption-manage-section');
+        elements.encryptionTimeoutInput = document.getElementById('encryption-timeout-input');
+        elements.encryptBackupsInput = document.getElementById('encrypt-backups-input');
+        elements.lockNowButton = document.getElementById('lock-now-btn');
+        elements.encryptionCurrentPassphraseInput = document.getElementById('encryption-current-passphrase-input');
+        elements.encryptionChangedPassphraseInput = document.getElementById('encryption-changed-passphrase-input');
+        elements.encryptionChangedConfirmInput = document.getElementById('encryption-changed-confirm-input');
+        elements.changePassphraseButton = document.getElementById('change-passphrase-btn');
+        elements.disableEncryptionButton = document.getElementById('disable-encryption-btn');
+        elements.backFromEncryptionButton = document.getElementById('back-from-encryption-btn');
+
+        elements.backupSelect = document.getElementById('backup-select');
+        elements.backupCompareSummary = document.getElementById('backup-compare-summary');
+        elements.backupSelectAllInput = document.getElementById('backup-select-all-input');
+        elements.backupPromptList = document.getElementById('backup-prompt-list');
+        elements.restoreSelectedButton = document.getElementById('restore-selected-btn');
+        elements.mergeSelectedButton = document.getElementById('merge-selected-btn');
+        elements.backFromBackupsButton = document.getElementById('back-from-backups-btn');
+
+        elements.toast = document.getElementById('toast');
+        elements.toastMessage = document.getElementById('toast-message');
+        elements.toastActionButton = document.getElementById('toast-action-btn');
+
         // Basic validation
         for (const key in elements) {
             if (!elements[key]) {
@@ -107,14 +323,306 @@ const UIManager = (() => {
         }
     }
 
+    /**
+     * Creates the list item for a single prompt.
+     * @param {object} prompt - Prompt object {id, title, text, tags?, description?, favorite?, pinned?}.
+     * @param {object} callbacks - {onSelectPrompt, onEditPrompt, onDeletePrompt}.
+     * @param {object} options - See renderPromptList.
+     * @returns {HTMLLIElement}
+     */
+    function createPromptListItem(prompt, callbacks, options) {
+        const { composeSelection, onToggleFavorite, onTogglePinned } = options;
+        const listItem = document.createElement('li');
+        listItem.setAttribute('data-prompt-id', prompt.id);
+        if (prompt.description) listItem.title = prompt.description;
+
+        if (composeSelection) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.classList.add('compose-checkbox');
+            checkbox.title = `Include "${prompt.title}" in a composition`;
+            checkbox.checked = composeSelection.selectedIds.includes(prompt.id);
+            checkbox.addEventListener('click', (event) => event.stopPropagation());
+            checkbox.addEventListener('change', () => composeSelection.onToggle(prompt.id, checkbox.checked));
+            listItem.appendChild(checkbox);
+        }
+
+        const titleSpan = document.createElement('span');
+        titleSpan.classList.add('prompt-title');
+        const highlighted = options.titleHighlights && options.titleHighlights[prompt.id];
+        if (highlighted && highlighted.length > 0) {
+            appendHighlightedText(titleSpan, prompt.title, highlighted);
+        } else {
+            titleSpan.textContent = prompt.title;
+        }
+        if (Array.isArray(prompt.tags)) {
+            prompt.tags.forEach(tag => {
+                const tagSpan = document.createElement('span');
+                tagSpan.classList.add('prompt-tag');
+                tagSpan.textContent = tag;
+                titleSpan.appendChild(tagSpan);
+            });
+        }
+        if (prompt.storageTier === 'local') {
+            const tierBadge = document.createElement('span');
+            tierBadge.classList.add('storage-tier-badge');
+            tierBadge.textContent = 'Local';
+            tierBadge.title = 'Stored on this device only; not synced to your other devices';
+            titleSpan.appendChild(tierBadge);
+        }
+        if (prompt.corrupted) {
+            const corruptedBadge = document.createElement('span');
+            corruptedBadge.classList.add('corrupted-badge');
+            corruptedBadge.textContent = 'Corrupted';
+            corruptedBadge.title = 'The stored text failed its checksum, so it is not shown. Edit the prompt to restore a revision.';
+            titleSpan.appendChild(corruptedBadge);
+        }
+        listItem.appendChild(titleSpan);
+
+        const iconsSpan = document.createElement('span');
+        iconsSpan.classList.add('action-icons');
+
+        if (onToggleFavorite) {
+            const favoriteIcon = document.createElement('span');
+            favoriteIcon.classList.add('favorite-icon');
+            if (prompt.favorite) favoriteIcon.classList.add('is-favorite');
+            favoriteIcon.textContent = prompt.favorite ? '\u2605' : '\u2606'; // Filled / outline star
+            favoriteIcon.title = prompt.favorite ? `Remove "${prompt.title}" from favourites` : `Add "${prompt.title}" to favourites`;
+            favoriteIcon.addEventListener('click', (event) => {
+                event.stopPropagation();
+                onToggleFavorite(prompt.id);
+            });
+            iconsSpan.appendChild(favoriteIcon);
+        }
+
+        if (onTogglePinned) {
+            const pinIcon = document.createElement('span');
+            pinIcon.classList.add('pin-icon');
+            if (prompt.pinned) pinIcon.classList.add('is-pinned');
+            pinIcon.textContent = '\uD83D\uDCCC'; // Pushpin emoji
+            pinIcon.title = prompt.pinned ? `Unpin "${prompt.title}"` : `Pin "${prompt.title}" to the top`;
+            pinIcon.addEventListener('click', (event) => {
+                event.stopPropagation();
+                onTogglePinned(prompt.id);
+            });
+            iconsSpan.appendChild(pinIcon);
+        }
+
+        const editIcon = document.createElement('span');
+        editIcon.classList.add('edit-icon');
+        editIcon.textContent = '\u270F\uFE0F'; // Pencil emoji
+        editIcon.title = `Edit "${prompt.title}"`;
+        editIcon.addEventListener('click', (event) => {
+            event.stopPropagation();
+            callbacks.onEditPrompt(prompt.id);
+        });
+        iconsSpan.appendChild(editIcon);
+
+        const deleteIcon = document.createElement('span');
+        deleteIcon.classList.add('delete-icon');
+        deleteIcon.textContent = '\uD83D\uDDD1\uFE0F'; // Trash can emoji
+        deleteIcon.title = `Move "${prompt.title}" to Trash`;
+        deleteIcon.addEventListener('click', (event) => {
+            event.stopPropagation();
+            callbacks.onDeletePrompt(prompt.id, prompt.title);
+        });
+        iconsSpan.appendChild(deleteIcon);
+
+        listItem.appendChild(iconsSpan);
+        listItem.addEventListener('click', () => callbacks.onSelectPrompt(prompt.id));
+
+        if (options.folderTree || options.manualOrder) {
+            listItem.draggable = true;
+            listItem.addEventListener('dragstart', (event) => {
+                event.dataTransfer.setData(PROMPT_DRAG_TYPE, prompt.id);
+                event.dataTransfer.effectAllowed = 'move';
+            });
+        }
+        if (options.manualOrder) {
+            makeReorderDropTarget(listItem, prompt.id, options.manualOrder.onReorderPrompt);
+        } else if (options.folderTree) {
+            makeFolderDropTarget(listItem, prompt.folderId || null, options.folderTree.onMovePrompt);
+        }
+        return listItem;
+    }
+
+    /**
+     * Appends text to an element, wrapping the characters at the given positions in <mark>.
+     * @param {HTMLElement} element
+     * @param {string} text
+     * @param {Array<number>} indices - Ascending character positions to highlight.
+     */
+    function appendHighlightedText(element, text, indices) {
+        const marked = new Set(indices);
+        let run = '';
+        let runMarked = false;
+        const flush = () => {
+            if (!run) return;
+            if (runMarked) {
+                const mark = document.createElement('mark');
+                mark.textContent = run;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(run));
+            }
+            run = '';
+        };
+        for (let i = 0; i < text.length; i++) {
+            if (marked.has(i) !== runMarked) {
+                flush();
+                runMarked = marked.has(i);
+            }
+            run += text[i];
+        }
+        flush();
+    }
+
+    const PROMPT_DRAG_TYPE = 'text/x-prompt-id';
+
+    /**
+     * Lets prompts be dropped onto an element to move them into a folder.
+     * @param {HTMLElement} element - Drop target.
+     * @param {string|null} folderId - Destination folder, null for top level.
+     * @param {function(string, string|null): void} onMovePrompt - Called with (promptId, folderId).
+     */
+    function makeFolderDropTarget(element, folderId, onMovePrompt) {
+        element.addEventListener('dragover', (event) => {
+            if (!event.dataTransfer.types.includes(PROMPT_DRAG_TYPE)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            element.classList.add('drop-target');
+        });
+        element.addEventListener('dragleave', () => element.classList.remove('drop-target'));
+        element.addEventListener('drop', (event) => {
+            element.classList.remove('drop-target');
+            const promptId = event.dataTransfer.getData(PROMPT_DRAG_TYPE);
+            if (!promptId) return;
+            event.preventDefault();
+            event.stopPropagation();
+            onMovePrompt(promptId, folderId);
+        });
+    }
+
+    /**
+     * Lets prompts be dropped above or below a prompt to reorder the list.
+     * @param {HTMLElement} element - The target prompt's list item.
+     * @param {string} targetId - The target prompt.
+     * @param {function(string, string, boolean): void} onReorderPrompt - Called with (promptId, targetId, placeAfter).
+     */
+    function makeReorderDropTarget(element, targetId, onReorderPrompt) {
+        const isLowerHalf = (event) => {
+            const rect = element.getBoundingClientRect();
+            return event.clientY > rect.top + rect.height / 2;
+        };
+        const clearMarker = () => element.classList.remove('drop-before', 'drop-after');
+        element.addEventListener('dragover', (event) => {
+            if (!event.dataTransfer.types.includes(PROMPT_DRAG_TYPE)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            const placeAfter = isLowerHalf(event);
+            element.classList.toggle('drop-before', !placeAfter);
+            element.classList.toggle('drop-after', placeAfter);
+        });
+        element.addEventListener('dragleave', clearMarker);
+        element.addEventListener('drop', (event) => {
+            clearMarker();
+            const promptId = event.dataTransfer.getData(PROMPT_DRAG_TYPE);
+            if (!promptId) return;
+            event.preventDefault();
+            event.stopPropagation();
+            if (promptId !== targetId) onReorderPrompt(promptId, targetId, isLowerHalf(event));
+        });
+    }
+
+    /**
+     * Creates the collapsible header row for a folder.
+     * @param {object} node - Tree node {folder, promptCount}.
+     * @param {number} depth - Nesting depth, 0 for top level.
+     * @param {object} folderTree - See renderPromptList options.folderTree.
+     * @returns {HTMLLIElement}
+     */
+    function createFolderRow(node, depth, folderTree) {
+        const { folder } = node;
+        const isCollapsed = folderTree.collapsedIds.includes(folder.id);
+        const row = document.createElement('li');
+        row.classList.add('folder-row');
+        row.setAttribute('data-folder-id', folder.id);
+        row.style.marginLeft = `${depth * FOLDER_INDENT_PX}px`;
+
+        const toggle = document.createElement('span');
+        toggle.classList.add('folder-toggle');
+        toggle.textContent = isCollapsed ? '\u25B8' : '\u25BE'; // Right / down triangle
+        row.appendChild(toggle);
+
+        const name = document.createElement('span');
+        name.classList.add('folder-name');
+        name.textContent = `${folder.name} (${node.promptCount})`;
+        row.appendChild(name);
+
+        const iconsSpan = document.createElement('span');
+        iconsSpan.classList.add('action-icons');
+        const addIcon = (label, title, onClick) => {
+            const icon = document.createElement('span');
+            icon.textContent = label;
+            icon.title = title;
+            icon.addEventListener('click', (event) => {
+                event.stopPropagation();
+                onClick(folder.id);
+            });
+            iconsSpan.appendChild(icon);
+        };
+        addIcon('\u2795', `New folder inside "${folder.name}"`, folderTree.onAddSubfolder); // Plus
+        addIcon('\u270F\uFE0F', `Rename "${folder.name}"`, folderTree.onRenameFolder); // Pencil
+        addIcon('\uD83D\uDDD1\uFE0F', `Delete folder "${folder.name}" (its prompts move up a level)`, folderTree.onDeleteFolder); // Trash can
+        row.appendChild(iconsSpan);
+
+        row.addEventListener('click', () => folderTree.onToggleCollapse(folder.id));
+        makeFolderDropTarget(row, folder.id, folderTree.onMovePrompt);
+        return row;
+    }
+
+    const FOLDER_INDENT_PX = 14;
+
+    /**
+     * Appends a folder tree node (subfolders first, then its prompts) to the list.
+     */
+    function appendFolderNode(node, depth, callbacks, options) {
+        node.folders.forEach(child => {
+            elements.promptList.appendChild(createFolderRow(child, depth, options.folderTree));
+            if (!options.folderTree.collapsedIds.includes(child.folder.id)) {
+                appendFolderNode(child, depth + 1, callbacks, options);
+            }
+        });
+        node.prompts.forEach(prompt => {
+            const listItem = createPromptListItem(prompt, callbacks, options);
+            listItem.style.marginLeft = `${depth * FOLDER_INDENT_PX}px`;
+            elements.promptList.appendChild(listItem);
+        });
+    }
+
     /**
      * Renders the list of prompts in the UI.
      * @param {Array<object>} prompts - Array of prompt objects {id, title, text}.
      * @param {function} onSelectPrompt - Callback when a prompt is selected.
      * @param {function} onEditPrompt - Callback when edit icon is clicked.
      * @param {function} onDeletePrompt - Callback when delete icon is clicked.
+     * @param {object} [options={}]
+     * @param {Array<{label: string, prompts: Array<object>, tree: object}>} [options.sections] - Render these labelled
+     *        groups instead of a flat list. A section with `tree` (from buildFolderTree) renders as a folder tree.
+     * @param {string} [options.emptyMessage] - Shown when there is nothing to render.
+     * @param {object} [options.composeSelection] - Checkbox state for composing several prompts:
+     *        {selectedIds: Array<string>, onToggle: function(id, checked)}.
+     * @param {function} [options.onToggleFavorite] - Called with the prompt id when the star is clicked.
+     * @param {function} [options.onTogglePinned] - Called with the prompt id when the pin is clicked.
+     * @param {object} [options.folderTree] - Folder tree state and handlers: {collapsedIds, onToggleCollapse(folderId),
+     *        onMovePrompt(promptId, folderId|null), onAddSubfolder(folderId), onRenameFolder(folderId), onDeleteFolder(folderId)}.
+     * @param {object} [options.manualOrder] - Enables drag-to-reorder: {onReorderPrompt(promptId, targetId, placeAfter)}.
+     *        Dropping a prompt on another one then reorders the list (and moves it into that prompt's folder)
+     *        instead of only moving it into the folder.
+     * @param {Object<string, Array<number>>} [options.titleHighlights] - Title character positions to highlight, by prompt id.
+     * @param {boolean} [options.activateFirst] - Mark the first prompt as the keyboard selection.
      */
-    function renderPromptList(prompts, onSelectPrompt, onEditPrompt, onDeletePrompt) {
+    function renderPromptList(prompts, onSelectPrompt, onEditPrompt, onDeletePrompt, options = {}) {
         localLogger.log('UIManager: Rendering prompt list UI with', prompts.length, 'prompts.');
         if (!elements.promptList) {
             localLogger.error("UIManager: Prompt list element not cached. Cannot render.");
@@ -122,52 +630,158 @@ const UIManager = (() => {
         }
         elements.promptList.innerHTML = ''; // Clear existing list
 
-        if (prompts.length === 0) {
+        const sections = options.sections || [{ label: null, prompts }];
+        const hasFolders = sections.some(section => section.tree && section.tree.folders.length > 0);
+        if (prompts.length === 0 && !hasFolders) {
             const noPromptsMessage = document.createElement('li');
-            noPromptsMessage.textContent = 'No prompts yet. Click (+) to add one or import!';
+            noPromptsMessage.textContent = options.emptyMessage || 'No prompts yet. Click (+) to add one or import!';
             noPromptsMessage.style.textAlign = 'center';
             noPromptsMessage.style.padding = '10px';
             elements.promptList.appendChild(noPromptsMessage);
             return;
         }
 
-        prompts.forEach(prompt => {
-            const listItem = document.createElement('li');
-            listItem.setAttribute('data-prompt-id', prompt.id);
+        const callbacks = { onSelectPrompt, onEditPrompt, onDeletePrompt };
+        sections.forEach(section => {
+            const isEmpty = section.tree
+                ? section.tree.folders.length === 0 && section.tree.prompts.length === 0
+                : section.prompts.length === 0;
+            if (isEmpty) return;
+            if (section.label) {
+                const header = document.createElement('li');
+                header.classList.add('prompt-section-header');
+                header.textContent = section.label;
+                if (section.tree && options.folderTree) {
+                    header.title = 'Drop a prompt here to move it to the top level';
+                    makeFolderDropTarget(header, null, options.folderTree.onMovePrompt);
+                }
+                elements.promptList.appendChild(header);
+            }
+            if (section.tree) {
+                appendFolderNode(section.tree, 0, callbacks, options);
+            } else {
+                section.prompts.forEach(prompt => {
+                    elements.promptList.appendChild(createPromptListItem(prompt, callbacks, options));
+                });
+            }
+        });
+        if (options.activateFirst) moveActivePrompt(1);
+        localLogger.log('UIManager: Prompt list UI rendering complete.');
+    }
 
-            const titleSpan = document.createElement('span');
-            titleSpan.classList.add('prompt-title');
-            titleSpan.textContent = prompt.title;
-            listItem.appendChild(titleSpan);
+    const ACTIVE_PROMPT_CLASS = 'keyboard-active';
 
-            const iconsSpan = document.createElement('span');
-iconsSpan.classList.add('action-icons');
+    /**
+     * Moves the keyboard selection through the visible prompts (folder rows are skipped).
+     * Starts at the first prompt when nothing is selected yet; stops at either end.
+     * @param {number} delta - +1 for down, -1 for up.
+     */
+    function moveActivePrompt(delta) {
+        if (!elements.promptList) return;
+        const items = Array.from(elements.promptList.querySelectorAll('li[data-prompt-id]'));
+        if (items.length === 0) return;
+        const currentIndex = items.findIndex(item => item.classList.contains(ACTIVE_PROMPT_CLASS));
+        const nextIndex = currentIndex === -1 ? 0 : Math.max(0, Math.min(items.length - 1, currentIndex + delta));
+        if (currentIndex !== -1) items[currentIndex].classList.remove(ACTIVE_PROMPT_CLASS);
+        items[nextIndex].classList.add(ACTIVE_PROMPT_CLASS);
+        items[nextIndex].scrollIntoView({ block: 'nearest' });
+    }
 
-            const editIcon = document.createElement('span');
-            editIcon.classList.add('edit-icon');
-            editIcon.textContent = '\u270F\uFE0F'; // Pencil emoji
-            editIcon.title = `Edit "${prompt.title}"`;
-            editIcon.addEventListener('click', (event) => {
-                event.stopPropagation();
-                onEditPrompt(prompt.id);
-            });
-            iconsSpan.appendChild(editIcon);
+    /**
+     * @returns {string|null} Id of the prompt selected with the keyboard, if any.
+     */
+    function getActivePromptId() {
+        if (!elements.promptList) return null;
+        const active = elements.promptList.querySelector(`li.${ACTIVE_PROMPT_CLASS}`);
+        return active ? active.getAttribute('data-prompt-id') : null;
+    }
 
-            const deleteIcon = document.createElement('span');
-            deleteIcon.classList.add('delete-icon');
-            deleteIcon.textContent = '\uD83D\uDDD1\uFE0F'; // Trash can emoji
-            deleteIcon.title = `Delete "${prompt.title}"`;
-            deleteIcon.addEventListener('click', (event) => {
-                event.stopPropagation();
-                onDeletePrompt(prompt.id, prompt.title);
-            });
-            iconsSpan.appendChild(deleteIcon);
+    /**
+     * Renders the tag filter chips above the prompt list. Hidden when no prompt has tags.
+     * @param {Array<string>} tags - All tags in use.
+     * @param {Array<string>} activeTags - Tags currently filtering the list.
+     * @param {function(string): void} onToggleTag - Called with the tag when a chip is clicked.
+     * @param {function(): void} onClearTags - Called when the "All" chip is clicked.
+     */
+    function renderTagFilterBar(tags, activeTags, onToggleTag, onClearTags) {
+        const bar = elements.tagFilterBar;
+        if (!bar) return;
+        bar.innerHTML = '';
+        bar.style.display = tags.length > 0 ? 'flex' : 'none';
+        if (tags.length === 0) return;
 
-            listItem.appendChild(iconsSpan);
-            listItem.addEventListener('click', () => onSelectPrompt(prompt.id));
-            elements.promptList.appendChild(listItem);
+        const activeLower = activeTags.map(t => t.toLowerCase());
+        const addChip = (label, isActive, onClick) => {
+            const chip = document.createElement('button');
+            chip.classList.add('tag-chip');
+            if (isActive) chip.classList.add('active');
+            chip.textContent = label;
+            chip.addEventListener('click', onClick);
+            bar.appendChild(chip);
+        };
+        addChip('All', activeTags.length === 0, onClearTags);
+        tags.forEach(tag => addChip(tag, activeLower.includes(tag.toLowerCase()), () => onToggleTag(tag)));
+    }
+
+    /**
+     * Shows or hides the compose bar above the prompt list.
+     * @param {number} count - Number of prompts ticked for composition.
+     */
+    function updateComposeBar(count) {
+        if (!elements.composeBar) return;
+        elements.composeBar.style.display = count > 0 ? 'flex' : 'none';
+        if (elements.composeCount) {
+            elements.composeCount.textContent = `${count} prompt${count === 1 ? '' : 's'} selected`;
+        }
+        if (elements.composePromptsButton) elements.composePromptsButton.disabled = count < 2;
+    }
+
+    /**
+     * Renders the ordered list of composed prompts in the input view, with move and remove buttons.
+     * @param {Array<object>} prompts - Prompts in composition order.
+     * @param {string} separatorText - Escaped separator shown in the separator input.
+     * @param {object} handlers
+     * @param {function(number): void} handlers.onMoveUp
+     * @param {function(number): void} handlers.onMoveDown
+     * @param {function(number): void} handlers.onRemove
+     */
+    function renderCompositionPanel(prompts, separatorText, handlers) {
+        if (!elements.compositionPanel || !elements.compositionList) {
+            localLogger.warn("UIManager: Composition panel elements not found.");
+            return;
+        }
+        elements.compositionPanel.style.display = 'block';
+        elements.compositionList.innerHTML = '';
+        if (elements.composeSeparatorInput) elements.composeSeparatorInput.value = separatorText;
+
+        const addButton = (container, label, title, disabled, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = title;
+            button.disabled = disabled;
+            button.addEventListener('click', onClick);
+            container.appendChild(button);
+        };
+
+        prompts.forEach((prompt, index) => {
+            const item = document.createElement('li');
+            const title = document.createElement('span');
+            title.classList.add('composition-title');
+            title.textContent = prompt.title;
+            item.appendChild(title);
+            addButton(item, '\u25B2', 'Move up', index === 0, () => handlers.onMoveUp(index));
+            addButton(item, '\u25BC', 'Move down', index === prompts.length - 1, () => handlers.onMoveDown(index));
+            addButton(item, '\u2715', 'Remove from composition', prompts.length <= 1, () => handlers.onRemove(index));
+            elements.compositionList.appendChild(item);
         });
-        localLogger.log('UIManager: Prompt list UI rendering complete.');
+    }
+
+    /**
+     * Hides the composition panel (single prompt selected).
+     */
+    function hideCompositionPanel() {
+        if (elements.compositionPanel) elements.compositionPanel.style.display = 'none';
+        if (elements.compositionList) elements.compositionList.innerHTML = '';
     }
 
     /**
@@ -208,13 +822,97 @@ iconsSpan.classList.add('action-icons');
         }
     }
 
+    /**
+     * Renders one field per template variable in the input view: a dropdown for
+     * choice lists, a text input otherwise. Hides the form when there are no variables.
+     * @param {Array<object>} variables - Variables found in the selected prompt {name, choices, defaultValue}.
+     * @param {Object<string, string>} [initialValues={}] - Starting value per variable name.
+     */
+    function renderTemplateVariableForm(variables, initialValues = {}) {
+        const form = elements.templateVariablesForm;
+        if (!form) {
+            localLogger.warn("UIManager: Template variables form element not found.");
+            return;
+        }
+        form.innerHTML = '';
+        form.style.display = variables.length > 0 ? 'block' : 'none';
+
+        variables.forEach(variable => {
+            const field = document.createElement('div');
+            field.classList.add('template-variable-field');
+            field.setAttribute('data-variable-name', variable.name);
+
+            const label = document.createElement('label');
+            label.textContent = variable.name;
+
+            let input;
+            if (variable.choices) {
+                input = document.createElement('select');
+                variable.choices.forEach(choice => {
+                    const option = document.createElement('option');
+                    option.value = choice;
+                    option.textContent = choice;
+                    input.appendChild(option);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = 'text';
+                input.placeholder = variable.defaultValue !== null
+                    ? `Default: ${variable.defaultValue}`
+                    : `Value for {{${variable.name}}}`;
+                input.addEventListener('input', () => field.classList.remove('unfilled'));
+            }
+            if (typeof initialValues[variable.name] === 'string') input.value = initialValues[variable.name];
+
+            label.appendChild(input);
+            field.appendChild(label);
+            form.appendChild(field);
+        });
+    }
+
+    /**
+     * Reads the current values of the template variable form.
+     * @returns {Object<string, string>} Map of variable name to entered value.
+     */
+    function getTemplateVariableValues() {
+        const values = {};
+        if (!elements.templateVariablesForm) return values;
+        elements.templateVariablesForm.querySelectorAll('.template-variable-field').forEach(field => {
+            const input = field.querySelector('input, select');
+            if (input) values[field.getAttribute('data-variable-name')] = input.value;
+        });
+        return values;
+    }
+
+    /**
+     * Marks the given variables as unfilled and focuses the first of them.
+     * @param {Array<string>} names - Names of the variables left empty.
+     */
+    function highlightUnfilledVariables(names) {
+        if (!elements.templateVariablesForm) return;
+        let firstInput = null;
+        elements.templateVariablesForm.querySelectorAll('.template-variable-field').forEach(field => {
+            const isUnfilled = names.includes(field.getAttribute('data-variable-name'));
+            field.classList.toggle('unfilled', isUnfilled);
+            if (isUnfilled && !firstInput) firstInput = field.querySelector('input');
+        });
+        if (firstInput) firstInput.focus();
+    }
+
     /**
      * Sets the values for the prompt add/edit form.
      * @param {string} formTitle - The title for the form (e.g., "Add New Prompt").
      * @param {string} promptTitle - The value for the prompt title input.
      * @param {string} promptText - The value for the prompt text area.
+     * @param {object} [extras={}] - Optional prompt fields.
+     * @param {string} [extras.description] - Free-text description.
+     * @param {string} [extras.tags] - Tags as comma-separated text.
+     * @param {boolean} [extras.favorite] - Whether the prompt is a favourite.
+     * @param {string|null} [extras.outputFormat] - Output format override; empty selects "Use default".
+     * @param {string|null} [extras.folderId] - Folder the prompt lives in; empty selects "No folder".
+     * @param {string} [extras.storageTier] - 'sync' (default) or 'local'.
      */
-    function setAddEditFormValues(formTitle, promptTitle, promptText) {
+    function setAddEditFormValues(formTitle, promptTitle, promptText, extras = {}) {
         if (elements.addEditTitle) elements.addEditTitle.textContent = formTitle;
         else localLogger.warn("UIManager: Add/Edit title element not found.");
 
@@ -223,6 +921,609 @@ iconsSpan.classList.add('action-icons');
 
         if (elements.promptTextInput) elements.promptTextInput.value = promptText;
         else localLogger.warn("UIManager: Prompt text input element not found.");
+
+        if (elements.promptDescriptionInput) elements.promptDescriptionInput.value = extras.description || '';
+        if (elements.promptTagsInput) elements.promptTagsInput.value = extras.tags || '';
+        if (elements.promptFavoriteInput) elements.promptFavoriteInput.checked = !!extras.favorite;
+        if (elements.promptOutputFormatSelect) elements.promptOutputFormatSelect.value = extras.outputFormat || '';
+        if (elements.promptFolderSelect) {
+            elements.promptFolderSelect.value = extras.folderId || '';
+            // A prompt pointing at a deleted folder falls back to "No folder".
+            if (elements.promptFolderSelect.value !== (extras.folderId || '')) elements.promptFolderSelect.value = '';
+        }
+        if (elements.promptStorageTierSelect) elements.promptStorageTierSelect.value = extras.storageTier || 'sync';
+    }
+
+    /**
+     * Fills the folder dropdown in the add/edit view, with a leading "No folder" option.
+     * @param {Array<{id: string, label: string}>} folderOptions - From listFolderOptions().
+     */
+    function renderFolderOptions(folderOptions) {
+        const select = elements.promptFolderSelect;
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = '';
+        [{ id: '', label: 'No folder' }, ...folderOptions].forEach(({ id, label }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = folderOptions.some(o => o.id === selected) ? selected : '';
+    }
+
+    /**
+     * Fills the output format dropdowns: the default-format select in the output format view
+     * and the per-prompt override select (with a leading "Use default" option) in the add/edit view.
+     * @param {Object<string, {label: string}>} presets - Built-in presets keyed by id.
+     * @param {string} customId - Id used for the user's custom template.
+     */
+    function renderOutputFormatOptions(presets, customId) {
+        const fill = (select, includeDefaultOption) => {
+            if (!select) return;
+            select.innerHTML = '';
+            const options = Object.entries(presets).map(([id, preset]) => [id, preset.label]);
+            options.push([customId, 'Custom template']);
+            if (includeDefaultOption) options.unshift(['', 'Use default']);
+            options.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        };
+        fill(elements.outputFormatSelect, false);
+        fill(elements.promptOutputFormatSelect, true);
+    }
+
+    /**
+     * Shows the revision history panel with both dropdowns filled. Hidden when there is
+     * nothing to compare (fewer than two revisions).
+     * @param {Array<string>} labels - One label per revision, oldest first.
+     * @param {number} fromIndex - Initially selected revision.
+     * @param {number} toIndex - Initially selected revision to compare with.
+     */
+    function renderRevisionHistory(labels, fromIndex, toIndex) {
+        if (!elements.revisionHistoryPanel) return;
+        if (labels.length < 2) {
+            hideRevisionHistory();
+            return;
+        }
+        [elements.revisionFromSelect, elements.revisionToSelect].forEach(select => {
+            select.innerHTML = '';
+            // Newest first, which is the order people look for them in.
+            labels.map((label, index) => ({ label, index })).reverse().forEach(({ label, index }) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        });
+        elements.revisionFromSelect.value = String(fromIndex);
+        elements.revisionToSelect.value = String(toIndex);
+        elements.revisionHistoryPanel.style.display = 'block';
+    }
+
+    function hideRevisionHistory() {
+        if (elements.revisionHistoryPanel) elements.revisionHistoryPanel.style.display = 'none';
+    }
+
+    /**
+     * Shows the side-by-side merge panel in the edit view after a save hit an edit conflict.
+     * The left side starts with the user's version and is editable; the right side is the saved version.
+     * @param {{title: string, text: string}} mine
+     * @param {{title: string, text: string, updatedAt: number|null}} theirs
+     */
+    function showEditConflict(mine, theirs) {
+        if (!elements.editConflictPanel) return;
+        const when = theirs.updatedAt ? ` at ${new Date(theirs.updatedAt).toLocaleString()}` : '';
+        elements.editConflictMessage.textContent = `This prompt was saved elsewhere${when}, after you started editing. ` +
+            'Merge the changes into your version on the left, or keep the saved version.';
+        elements.conflictMineTitleInput.value = mine.title;
+        elements.conflictMineTextInput.value = mine.text;
+        elements.conflictTheirsTitleInput.value = theirs.title;
+        elements.conflictTheirsTextInput.value = theirs.text;
+        elements.editConflictPanel.style.display = 'block';
+        elements.editConflictPanel.scrollIntoView({ block: 'nearest' });
+        elements.conflictMineTextInput.focus();
+    }
+
+    function hideEditConflict() {
+        if (elements.editConflictPanel) elements.editConflictPanel.style.display = 'none';
+    }
+
+    /**
+     * @returns {{title: string, text: string}} The merged version from the left side of the merge panel.
+     */
+    function getMergedConflictValues() {
+        return { title: elements.conflictMineTitleInput.value.trim(), text: elements.conflictMineTextInput.value.trim() };
+    }
+
+    /**
+     * @returns {{fromIndex: number, toIndex: number}} Revision indices chosen in the history panel.
+     */
+    function getRevisionSelection() {
+        return {
+            fromIndex: parseInt(elements.revisionFromSelect.value, 10),
+            toIndex: parseInt(elements.revisionToSelect.value, 10)
+        };
+    }
+
+    /**
+     * Renders a line diff in the history panel.
+     * @param {Array<{type: string, text: string}>} diff - From diffLines().
+     * @param {string|null} titleChange - Note shown when the titles differ.
+     */
+    function renderRevisionDiff(diff, titleChange) {
+        if (!elements.revisionDiff) return;
+        fillDiff(elements.revisionDiff, diff);
+        if (elements.revisionTitleChange) {
+            elements.revisionTitleChange.textContent = titleChange || '';
+            elements.revisionTitleChange.style.display = titleChange ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Writes a line diff (from diffLines() in revision-history.js) into a <pre>, one span per line.
+     * @param {HTMLElement} element
+     * @param {Array<{type: string, text: string}>} diff
+     */
+    function fillDiff(element, diff) {
+        element.innerHTML = '';
+        const prefixes = { same: '  ', added: '+ ', removed: '- ' };
+        diff.forEach(line => {
+            const span = document.createElement('span');
+            span.classList.add(`diff-${line.type}`);
+            span.textContent = prefixes[line.type] + line.text;
+            element.appendChild(span);
+        });
+        if (diff.every(line => line.type === 'same')) {
+            element.prepend(document.createTextNode('(No text changes)\n'));
+        }
+    }
+
+    /**
+     * Renders the trash view's list, newest deletion first.
+     * @param {Array<{id: string, title: string, deletedAt: number, expiresAt: number}>} entries
+     * @param {number} retentionDays - Shown in the retention input.
+     * @param {object} callbacks - {onRestore(id), onPurge(id)}.
+     */
+    function renderTrashList(entries, retentionDays, callbacks) {
+        if (elements.trashRetentionInput) elements.trashRetentionInput.value = String(retentionDays);
+        if (!elements.trashList) return;
+        elements.trashList.innerHTML = '';
+        if (elements.emptyTrashButton) elements.emptyTrashButton.disabled = entries.length === 0;
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'Trash is empty.';
+            elements.trashList.appendChild(empty);
+            return;
+        }
+        entries.slice().sort((a, b) => b.deletedAt - a.deletedAt).forEach(entry => {
+            const item = document.createElement('li');
+            const info = document.createElement('span');
+            info.classList.add('trash-info');
+            info.textContent = entry.title;
+            const meta = document.createElement('span');
+            meta.classList.add('trash-meta');
+            const daysLeft = Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
+            meta.textContent = `Deleted ${new Date(entry.deletedAt).toLocaleString()} · removed for good in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+            info.appendChild(meta);
+            item.appendChild(info);
+
+            const restoreButton = document.createElement('button');
+            restoreButton.textContent = 'Restore';
+            restoreButton.addEventListener('click', () => callbacks.onRestore(entry.id));
+            item.appendChild(restoreButton);
+
+            const purgeButton = document.createElement('button');
+            purgeButton.textContent = 'Delete Forever';
+            purgeButton.addEventListener('click', () => callbacks.onPurge(entry.id));
+            item.appendChild(purgeButton);
+
+            elements.trashList.appendChild(item);
+        });
+    }
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    const NEAR_LIMIT_RATIO = 0.9;
+
+    // A null limit (a storage backend without that quota) hides the bar.
+    function setUsageMeter(summaryElement, progressElement, text, used, limit) {
+        if (summaryElement) {
+            summaryElement.textContent = text;
+            summaryElement.classList.toggle('near-limit', !!limit && used >= limit * NEAR_LIMIT_RATIO);
+        }
+        if (progressElement) {
+            progressElement.hidden = !limit;
+            if (!limit) return;
+            progressElement.max = limit;
+            progressElement.value = Math.min(used, limit);
+        }
+    }
+
+    /**
+     * Renders the storage view: sync totals against their limits, backup usage and the per-prompt breakdown.
+     * @param {{sync: object, backups: object|null}} usage - From loadStorageUsage().
+     * @param {Array<object>} prompts - usage.sync.prompts, already sorted.
+     * @param {Object<string, string>} sorts - Sort options keyed by id.
+     * @param {string} sortKey - Selected sort option.
+     */
+    function renderStorageUsage(usage, prompts, sorts, sortKey) {
+        const { sync, backups } = usage;
+        const percentOf = (used, limit) => Math.round((used / limit) * 100);
+        setUsageMeter(elements.storageSyncSummary, elements.storageSyncProgress,
+            sync.quotaBytes
+                ? `Sync storage: ${formatBytes(sync.bytesInUse)} of ${formatBytes(sync.quotaBytes)} (${percentOf(sync.bytesInUse, sync.quotaBytes)}%)`
+                : `Sync storage: ${formatBytes(sync.bytesInUse)}`,
+            sync.bytesInUse, sync.quotaBytes);
+        setUsageMeter(elements.storageItemsSummary, elements.storageItemsProgress,
+            sync.maxItems ? `Sync items: ${sync.itemCount} of ${sync.maxItems}` : `Sync items: ${sync.itemCount}`,
+            sync.itemCount, sync.maxItems);
+        if (elements.storageBackupSummary) {
+            elements.storageBackupSummary.textContent = backups
+                ? `Local backups: ${backups.count} snapshot${backups.count === 1 ? '' : 's'}, ${formatBytes(backups.bytesInUse)}` +
+                  (backups.quotaBytes ? ` of ${formatBytes(backups.quotaBytes)} local storage` : '')
+                : 'Local backups: unavailable';
+        }
+
+        const select = elements.storageSortSelect;
+        if (select) {
+            select.innerHTML = '';
+            Object.entries(sorts).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = sortKey;
+        }
+
+        if (!elements.storagePromptList) return;
+        elements.storagePromptList.innerHTML = '';
+        if (prompts.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No prompts stored.';
+            elements.storagePromptList.appendChild(empty);
+            return;
+        }
+        prompts.forEach(prompt => {
+            const item = document.createElement('li');
+            const info = document.createElement('span');
+            info.classList.add('storage-info');
+            if (prompt.title !== null) info.textContent = prompt.title;
+            else info.textContent = prompt.encrypted ? `Encrypted prompt (${prompt.id})` : `Orphaned chunks (${prompt.id})`;
+            const meta = document.createElement('span');
+            meta.classList.add('storage-meta');
+            const details = [formatBytes(prompt.bytes)];
+            if (prompt.storageTier === 'local') {
+                details.push('this device only');
+            } else {
+                details.push(`${percentOf(prompt.bytes, sync.quotaBytes)}% of sync quota`);
+                details.push(prompt.chunkCount > 0 ? `${prompt.chunkCount} chunks` : '1 item');
+                if (prompt.compressed) details.push('compressed');
+                if (prompt.encrypted) details.push('encrypted');
+            }
+            meta.textContent = details.join(' · ');
+            info.appendChild(meta);
+            item.appendChild(info);
+            elements.storagePromptList.appendChild(item);
+        });
+    }
+
+    const INTEGRITY_PROBLEM_LABELS = {
+        'missing-chunks': 'Part of the text is missing',
+        'orphaned-chunks': 'Text without its prompt details',
+        'malformed': 'Damaged prompt details',
+        'checksum-mismatch': 'Text failed its checksum'
+    };
+
+    /**
+     * Shows or hides the list view notice about quarantined prompts.
+     * @param {number} count - Quarantined items; 0 hides the notice.
+     */
+    function showQuarantineNotice(count) {
+        if (!elements.quarantineNotice) return;
+        elements.quarantineNotice.style.display = count > 0 ? 'flex' : 'none';
+        if (elements.quarantineNoticeText) {
+            elements.quarantineNoticeText.textContent = `${count} damaged prompt${count === 1 ? ' was' : 's were'} moved to quarantine.`;
+        }
+    }
+
+    /**
+     * Summarises an integrity check in the storage view.
+     * @param {object|null} report - From scanStorageIntegrity() or autoCleanupInconsistentStorage(); null if the check failed.
+     * @param {boolean} isDryRun - Whether the problems are still in storage (offers "Quarantine Now").
+     */
+    function renderIntegrityReport(report, isDryRun) {
+        const problems = report ? report.problems : [];
+        if (elements.integritySummary) {
+            if (!report) {
+                elements.integritySummary.textContent = 'The integrity check failed; see the console for details.';
+            } else if (problems.length === 0) {
+                elements.integritySummary.textContent = `No problems found (${new Date(report.checkedAt).toLocaleTimeString()}).`;
+            } else {
+                const details = problems.map(problem => `${problem.title || problem.id}: ${INTEGRITY_PROBLEM_LABELS[problem.kind] || problem.kind}`);
+                elements.integritySummary.textContent = `${problems.length} problem${problems.length === 1 ? '' : 's'} ${isDryRun ? 'found' : 'moved to quarantine'}. ${details.join('; ')}.`;
+            }
+        }
+        if (elements.quarantineNowButton) elements.quarantineNowButton.style.display = isDryRun && problems.length > 0 ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Renders the quarantined items in the storage view, newest first.
+     * @param {Array<object>} entries - From getQuarantinedItems().
+     * @param {object} callbacks - {onRecover(quarantineId), onDiscard(quarantineId)}.
+     */
+    function renderQuarantineList(entries, callbacks) {
+        if (!elements.quarantineList) return;
+        elements.quarantineList.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'Nothing in quarantine.';
+            elements.quarantineList.appendChild(empty);
+            return;
+        }
+        entries.slice().sort((a, b) => b.quarantinedAt - a.quarantinedAt).forEach(entry => {
+            const item = document.createElement('li');
+            const info = document.createElement('span');
+            info.textContent = entry.title || `Untitled (${entry.id})`;
+            const meta = document.createElement('span');
+            meta.classList.add('quarantine-meta');
+            const missing = entry.textComplete ? ' · full text found in revision history'
+                : entry.missingChunks && entry.missingChunks.length > 0 ? ` · ${entry.missingChunks.length} part(s) missing` : '';
+            meta.textContent = `${INTEGRITY_PROBLEM_LABELS[entry.kind] || entry.kind} · ${new Date(entry.quarantinedAt).toLocaleString()}${missing}`;
+            info.appendChild(meta);
+            item.appendChild(info);
+
+            const preview = document.createElement('pre');
+            preview.textContent = entry.partialText || '(No text could be recovered.)';
+            item.appendChild(preview);
+
+            const recoverButton = document.createElement('button');
+            recoverButton.textContent = 'Recover';
+            recoverButton.title = 'Open the recovered text as a new prompt';
+            recoverButton.disabled = !entry.partialText;
+            recoverButton.addEventListener('click', () => callbacks.onRecover(entry.quarantineId));
+            item.appendChild(recoverButton);
+
+            const discardButton = document.createElement('button');
+            discardButton.textContent = 'Discard';
+            discardButton.addEventListener('click', () => callbacks.onDiscard(entry.quarantineId));
+            item.appendChild(discardButton);
+
+            elements.quarantineList.appendChild(item);
+        });
+    }
+
+    /**
+     * Fills the backup dropdown in the backups view.
+     * @param {Array<{value: string, label: string}>} options - Backups, newest first.
+     * @param {string} selectedKey
+     */
+    function renderBackupOptions(options, selectedKey) {
+        const select = elements.backupSelect;
+        if (!select) return;
+        select.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = selectedKey;
+    }
+
+    const BACKUP_FIELD_LABELS = { folderId: 'folder', outputFormat: 'output format' };
+
+    function describeBackupEntry(entry) {
+        if (entry.status === 'removed') return 'Deleted since this backup';
+        if (entry.status === 'added') return 'Added since this backup · not in it, so nothing to restore';
+        const fields = entry.changedFields.map(field => BACKUP_FIELD_LABELS[field] || field).join(', ');
+        const titleChange = entry.changedFields.includes('title') ? ` · was "${entry.backup.title}"` : '';
+        return `Changed: ${fields}${titleChange}${entry.current.corrupted ? ' · corrupted in your library' : ''}`;
+    }
+
+    /**
+     * Renders how a backup differs from the current prompts: changed, then deleted, then added prompts.
+     * Changed and deleted prompts can be ticked for restoring and show their text diff on request.
+     * @param {Array<object>} entries - From compareBackupToLibrary() in backup-manager.js.
+     * @param {Array<string>} selectedIds - Ticked prompts.
+     * @param {object} callbacks - {onToggle(id, checked), getDiff(id)}; getDiff returns a diffLines() result,
+     *        with added lines from the backup and removed lines from the current version.
+     */
+    function renderBackupComparison(entries, selectedIds, callbacks) {
+        const count = (status) => entries.filter(e => e.status === status).length;
+        const differing = ['changed', 'removed', 'added'].flatMap(status => entries.filter(e => e.status === status));
+        if (elements.backupCompareSummary) {
+            elements.backupCompareSummary.textContent = `Compared with your prompts now: ${count('changed')} changed, ${count('removed')} deleted since, ${count('added')} added since, ${count('unchanged')} unchanged.`;
+        }
+        updateBackupSelection(selectedIds.length, differing.filter(e => e.status !== 'added').length);
+        if (!elements.backupPromptList) return;
+        elements.backupPromptList.innerHTML = '';
+        if (differing.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'This backup matches your prompts.';
+            elements.backupPromptList.appendChild(empty);
+            return;
+        }
+        differing.forEach(entry => {
+            const item = document.createElement('li');
+            item.classList.add(`backup-${entry.status}`);
+            const row = document.createElement('div');
+            row.classList.add('backup-row');
+            if (entry.status !== 'added') {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = selectedIds.includes(entry.id);
+                checkbox.title = `Restore "${entry.title}"`;
+                checkbox.addEventListener('change', () => callbacks.onToggle(entry.id, checkbox.checked));
+                row.appendChild(checkbox);
+            }
+            const info = document.createElement('span');
+            info.classList.add('backup-info');
+            info.textContent = entry.title;
+            const meta = document.createElement('span');
+            meta.classList.add('backup-meta');
+            meta.textContent = describeBackupEntry(entry);
+            info.appendChild(meta);
+            row.appendChild(info);
+            item.appendChild(row);
+
+            if (entry.status !== 'added') {
+                const diffElement = document.createElement('pre');
+                diffElement.classList.add('backup-diff');
+                diffElement.style.display = 'none';
+                const diffButton = document.createElement('button');
+                diffButton.textContent = 'Show Text';
+                diffButton.title = 'Lines marked + are in the backup, lines marked - in your current version';
+                diffButton.addEventListener('click', () => {
+                    const isHidden = diffElement.style.display === 'none';
+                    if (isHidden && !diffElement.hasChildNodes()) fillDiff(diffElement, callbacks.getDiff(entry.id));
+                    diffElement.style.display = isHidden ? 'block' : 'none';
+                    diffButton.textContent = isHidden ? 'Hide Text' : 'Show Text';
+                });
+                row.appendChild(diffButton);
+                item.appendChild(diffElement);
+            }
+            elements.backupPromptList.appendChild(item);
+        });
+    }
+
+    /**
+     * Updates the select-all box and restore buttons for the number of ticked prompts.
+     * @param {number} count - Ticked prompts.
+     * @param {number} selectable - Prompts that can be ticked.
+     */
+    function updateBackupSelection(count, selectable) {
+        if (elements.backupSelectAllInput) {
+            elements.backupSelectAllInput.checked = selectable > 0 && count === selectable;
+            elements.backupSelectAllInput.disabled = selectable === 0;
+        }
+        if (elements.restoreSelectedButton) elements.restoreSelectedButton.disabled = count === 0;
+        if (elements.mergeSelectedButton) elements.mergeSelectedButton.disabled = count === 0;
+    }
+
+    /**
+     * Shows the encryption state: the enable form or the management controls, and the list view's Lock button.
+     * @param {object} status - From getEncryptionStatus().
+     * @param {boolean} encryptBackups - This device's "Encrypt local backups" setting.
+     */
+    function renderEncryptionStatus(status, encryptBackups) {
+        if (elements.encryptionStatus) {
+            elements.encryptionStatus.textContent = !status.enabled
+                ? 'Your prompts are not encrypted.'
+                : status.unlocked
+                    ? `Encrypted. Unlocked until ${new Date(status.expiresAt).toLocaleTimeString([], { timeStyle: 'short' })} unless used again.`
+                    : 'Encrypted and locked.';
+        }
+        if (elements.encryptionEnableSection) elements.encryptionEnableSection.style.display = status.enabled ? 'none' : 'block';
+        if (elements.encryptionManageSection) elements.encryptionManageSection.style.display = status.enabled ? 'block' : 'none';
+        if (elements.encryptionTimeoutInput) elements.encryptionTimeoutInput.value = status.timeoutMinutes;
+        if (elements.encryptBackupsInput) elements.encryptBackupsInput.checked = encryptBackups;
+        if (elements.lockLibraryButton) elements.lockLibraryButton.style.display = status.unlocked ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Shows or clears the message under the unlock form.
+     * @param {string|null} message
+     */
+    function showUnlockError(message) {
+        if (!elements.unlockError) return;
+        elements.unlockError.textContent = message || '';
+        elements.unlockError.style.display = message ? 'block' : 'none';
+    }
+
+    // Passphrases are not left in the DOM once they have been used.
+    function clearPassphraseInputs() {
+        [elements.unlockPassphraseInput, elements.encryptionNewPassphraseInput, elements.encryptionConfirmPassphraseInput,
+            elements.encryptionCurrentPassphraseInput, elements.encryptionChangedPassphraseInput, elements.encryptionChangedConfirmInput]
+            .forEach(input => { if (input) input.value = ''; });
+    }
+
+    let toastTimer = null;
+
+    /**
+     * Shows a short message at the bottom of the popup with an optional action button.
+     * @param {string} message
+     * @param {string|null} actionLabel - E.g. "Undo"; no button when null.
+     * @param {function|null} onAction - Called once when the action is clicked; the toast closes first.
+     * @param {number} [durationMs=8000]
+     */
+    function showToast(message, actionLabel, onAction, durationMs = 8000) {
+        if (!elements.toast) return;
+        clearTimeout(toastTimer);
+        elements.toastMessage.textContent = message;
+        elements.toastActionButton.style.display = actionLabel ? 'inline-block' : 'none';
+        elements.toastActionButton.textContent = actionLabel || '';
+        elements.toastActionButton.onclick = () => {
+            hideToast();
+            if (onAction) onAction();
+        };
+        elements.toast.style.display = 'flex';
+        toastTimer = setTimeout(hideToast, durationMs);
+    }
+
+    function hideToast() {
+        clearTimeout(toastTimer);
+        if (elements.toast) elements.toast.style.display = 'none';
+    }
+
+    /**
+     * Fills the list sort dropdown.
+     * @param {Object<string, string>} modes - Sort mode labels keyed by id.
+     * @param {string} selectedMode
+     */
+    function renderSortModeOptions(modes, selectedMode) {
+        const select = elements.sortModeSelect;
+        if (!select) return;
+        select.innerHTML = '';
+        Object.entries(modes).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = selectedMode;
+    }
+
+    /**
+     * Fills the API provider and request format dropdowns in the input view.
+     * @param {Object<string, {label: string}>} providers - Providers keyed by id.
+     * @param {Object<string, string>} formats - Format labels keyed by id.
+     */
+    function renderApiExportOptions(providers, formats) {
+        const fill = (select, entries) => {
+            if (!select) return;
+            select.innerHTML = '';
+            entries.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        };
+        fill(elements.apiProviderSelect, Object.entries(providers).map(([id, provider]) => [id, provider.label]));
+        fill(elements.apiFormatSelect, Object.entries(formats));
+    }
+
+    /**
+     * Shows a format template in the output format view. Only the custom template is editable.
+     * @param {string} formatId - The selected format id.
+     * @param {string} template - The template text to display.
+     * @param {boolean} editable - Whether the template can be edited.
+     */
+    function setOutputFormatFormValues(formatId, template, editable) {
+        if (elements.outputFormatSelect) elements.outputFormatSelect.value = formatId;
+        if (elements.outputFormatTemplateInput) {
+            elements.outputFormatTemplateInput.value = template;
+            elements.outputFormatTemplateInput.readOnly = !editable;
+        }
     }
 
     /**
@@ -236,6 +1537,18 @@ iconsSpan.classList.add('action-icons');
         }
     }
 
+    /**
+     * Focuses the search box in the list view and selects any previous query.
+     */
+    function focusSearchInput() {
+        if (elements.promptSearchInput) {
+            elements.promptSearchInput.focus();
+            elements.promptSearchInput.select();
+        } else {
+            localLogger.warn("UIManager: Prompt search input not found for focusing.");
+        }
+    }
+
     /**
      * Focuses on the user input element in the input view.
      */
@@ -297,11 +1610,46 @@ iconsSpan.classList.add('action-icons');
         VIEWS: Object.freeze({...viewIds}), // Expose view constants
         showView,
         renderPromptList,
+        moveActivePrompt,
+        getActivePromptId,
+        renderTagFilterBar,
+        updateComposeBar,
+        renderCompositionPanel,
+        hideCompositionPanel,
         resetCopyButtonToDefault,
         clearUserInputDisplay,
         setSelectedPromptTitle,
+        renderTemplateVariableForm,
+        getTemplateVariableValues,
+        highlightUnfilledVariables,
         setAddEditFormValues,
+        renderFolderOptions,
+        renderOutputFormatOptions,
+        setOutputFormatFormValues,
+        renderApiExportOptions,
+        renderSortModeOptions,
+        renderRevisionHistory,
+        hideRevisionHistory,
+        getRevisionSelection,
+        renderRevisionDiff,
+        showEditConflict,
+        hideEditConflict,
+        getMergedConflictValues,
+        renderTrashList,
+        renderStorageUsage,
+        showQuarantineNotice,
+        renderIntegrityReport,
+        renderQuarantineList,
+        renderBackupOptions,
+        renderBackupComparison,
+        updateBackupSelection,
+        renderEncryptionStatus,
+        showUnlockError,
+        clearPassphraseInputs,
+        showToast,
+        hideToast,
         focusPromptTitleInput,
+        focusSearchInput,
         focusUserInput,
         showPendingImageCopyButton,
         removePendingImageCopyButton